@@ -18,8 +18,9 @@ CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
 
 let config = {
 
-  // Disable or enable console.logs outputs
-  'debug_mode': false,
+  // Logs
+  'log_level': 'info', // One of debug, info, warn, error or silent. Debug logs every byte exchanged with the feeders.
+  'log_format': 'json', // json, or text for a more readable output
 
   // Url
   'base_url': 'http://example.com',
@@ -29,12 +30,35 @@ let config = {
   // Port that will be called by the feeder (defined by the iptables rule that redirect the feeder calls)
   'feeder_port': 9999,
 
+  // Commands sent to the feeders
+  'command_timeout': 5000, // Time to wait for the feeder acknowledgement, in milliseconds
+  'command_retries': 2, // How many times a command is sent again when not acknowledged. Feeding now is never retried.
+  'command_retry_delay': 1000, // Delay before the first retry, in milliseconds. It doubles on each retry.
+  'enable_outbox': false, // Keep planning and default quantity changes made while the feeder is offline, and send them when it reconnects
+
+  // Webhooks
+  'webhook_timeout': 5000, // Time to wait for the webhook response, in milliseconds
+  'webhook_retries': 3, // How many times a failed delivery is attempted again
+  'webhook_retry_delay': 10000, // Delay before the first retry, in milliseconds. It doubles on each retry.
+  'webhook_private_hosts': false, // Allow webhooks on the local network, or on this server
+
+  // Prometheus metrics, served on /metrics
+  'enable_metrics': false,
+  'metrics_token': '', // Optional ; when set, scrapers must send it as a bearer token
+
+  // Storage: mysql, or sqlite to keep everything in a single file without running a database server
+  'storage': 'mysql',
+  'sqlite_path': 'alnpet.sqlite',
+  'migrate_on_startup': true, // Apply the schema migrations when starting. Otherwise, run npm run migrate after each update.
+
   // Mysql settings
   'mysql_host': 'localhost',
   'mysql_port': 3306,
   'mysql_user': 'alnpet',
   'mysql_password': 'Password1234!',
   'mysql_database': 'alnpet',
+  'mysql_connection_limit': 10, // Size of the connection pool
+  'mysql_query_timeout': 10000, // In milliseconds
 
   // Session settings
   'session_name': 'connect.sid',
@@ -49,9 +73,37 @@ let config = {
   'emulator_identifier': 'XXX012345678', // The identifier that will be used for the emulated feeder. Emulation allow to use the original app with a fake feeder.
   'empty_emulator': false, // Set as true if you want to simulate an emulator empty of any foo
 
-  // iOS app identifiers
+  // Emails settings
+  'enable_email_alerts': false, // Email the feeder alerts (like an empty feeder) to its owner
+  'smtp_host': 'localhost',
+  'smtp_port': 25, // A local SMTP sink (like MailHog on port 1025) is handy to test emails
+  'smtp_secure': false,
+  'smtp_user': '',
+  'smtp_password': '',
+  'mail_from': 'Aln <alnpet@example.com>',
+
+  // MQTT bridge, with Home Assistant discovery. Anyone allowed to publish on the broker can feed!
+  'mqtt_url': undefined, // Optional ; like mqtt://localhost:1883
+  'mqtt_username': undefined,
+  'mqtt_password': undefined,
+  'mqtt_prefix': 'alnpet',
+  'mqtt_discovery_prefix': 'homeassistant',
+
+  // iOS app identifiers (Sign in with Apple is only offered once the bundle identifier is set)
   'ios_bundle_identifier': '',
   'ios_team_identifier': '',
+
+  // OpenID Connect providers users may log in with, besides Sign in with Apple (the client id is the ios_bundle_identifier)
+  'oidc_providers': {
+    // 'google': { issuer: 'https://accounts.google.com', jwks_url: 'https://www.googleapis.com/oauth2/v3/certs', client_id: '' },
+    // 'keycloak': { issuer: 'https://sso.example.com/realms/home', jwks_url: 'https://sso.example.com/realms/home/protocol/openid-connect/certs', client_id: 'aln' },
+  },
+
+  // Push notifications, sent with the APNs key of the iOS app team
+  'enable_push_notifications': false,
+  'apns_url': 'https://api.push.apple.com', // Use https://api.sandbox.push.apple.com for development builds
+  'key_id': '', // Identifier of the APNs key
+  'key_path': '', // Path to the .p8 APNs key file
 };
 
 config.ios_app_identifier = config.ios_team_identifier + '.' + config.ios_bundle_identifier;
@@ -19,13 +19,9 @@ CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
 // Load configuration
 const config = require("./config");
 
-// Make logs a little bit better
-if (config.debug_mode) {
-  require('log-timestamp');
-}
-else {
-  console.log = function() {};
-}
+// Set the log level and format of every module
+const Logger = require("./src/logger");
+Logger.configure(config);
 
 // This will handle database connexions
 const DataBaseCoordinator = require("./src/database-coordinator");
@@ -35,9 +31,36 @@ let database = new DataBaseCoordinator(config);
 const FeederCoordinator = require("./src/feeder-coordinator");
 let feederCoordinator = new FeederCoordinator(config, database);
 
+// This will send the feeders activity to the registered webhooks
+const WebhookDispatcher = require("./src/webhook-dispatcher");
+new WebhookDispatcher(config, feederCoordinator, database);
+
+// This will send push notifications to the feeders members
+if (config.enable_push_notifications) {
+  const ApnsTransport = require("./src/apns-transport");
+  const PushNotifier = require("./src/push-notifier");
+  new PushNotifier(feederCoordinator, database, new ApnsTransport(config));
+}
+
+// This will send the emails
+const Mailer = require("./src/mailer");
+let mailer = new Mailer(config);
+
+// This will email the feeders alerts to their members
+if (config.enable_email_alerts) {
+  const MailNotifier = require("./src/mail-notifier");
+  new MailNotifier(feederCoordinator, database, mailer);
+}
+
+// This will bridge the feeders with MQTT home automation
+if (config.mqtt_url) {
+  const MqttBridge = require("./src/mqtt-bridge");
+  new MqttBridge(config, feederCoordinator, database, MqttBridge.connect(config));
+}
+
 // This will handle the REST API
 const Server = require("./src/server");
-new Server(config, feederCoordinator, database);
+new Server(config, feederCoordinator, database, mailer);
 
 // This is the feeder emulator part
 if (config.enable_emulator && config.emulator_identifier) {
@@ -0,0 +1,66 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+// Usage: npm run migrate [-- up|down [steps]|status]
+
+const config = require("./config");
+
+const Logger = require("./src/logger");
+Logger.configure(config);
+
+const Migrator = require("./src/migrator");
+const Storage = require("./src/storage/storage");
+let storage = Storage.create(config);
+let migrator = new Migrator(storage);
+
+let command = process.argv[2] || 'up';
+let action;
+switch (command) {
+  case 'up':
+    action = migrator.migrate().then((applied) => {
+      console.log(applied.length ? 'Applied ' + applied.length + ' migration(s)' : 'The database is up to date');
+    });
+    break;
+  case 'down':
+    let steps = process.argv[3] !== undefined ? parseInt(process.argv[3], 10) : 1;
+    if (isNaN(steps) || steps < 1) {
+      action = Promise.reject(new Error('The number of migrations to revert must be a positive number'));
+      break;
+    }
+    action = migrator.rollback(steps).then((reverted) => {
+      console.log('Reverted ' + reverted.length + ' migration(s)');
+    });
+    break;
+  case 'status':
+    action = migrator.status().then((migrations) => {
+      migrations.forEach((migration) => {
+        let applied = migration.applied ? 'applied ' + migration.applied.toJSON() : 'pending';
+        console.log(('00' + migration.version).slice(-3) + ' ' + migration.name + ': ' + applied);
+      });
+    });
+    break;
+  default:
+    action = Promise.reject(new Error('Unknown command ' + command + ', expected up, down or status'));
+}
+
+action.then(() => storage.end()).catch((err) => {
+  console.error(err.message || err);
+  storage.end().catch(() => {}).then(() => {
+    process.exitCode = 1;
+  });
+});
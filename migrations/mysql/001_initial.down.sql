@@ -0,0 +1,6 @@
+DROP TABLE `meals`;
+DROP TABLE `plannings`;
+DROP TABLE `alerts`;
+DROP TABLE `feeders`;
+DROP TABLE `unknown_data`;
+DROP TABLE `users`;
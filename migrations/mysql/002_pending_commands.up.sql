@@ -0,0 +1,17 @@
+CREATE TABLE `pending_commands` (
+  `id` int(11) UNSIGNED NOT NULL,
+  `feeder` int(11) UNSIGNED NOT NULL,
+  `type` varchar(64) NOT NULL,
+  `date` datetime NOT NULL,
+  `data` blob NOT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+ALTER TABLE `pending_commands`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `feeder_type` (`feeder`, `type`);
+
+ALTER TABLE `pending_commands`
+  MODIFY `id` int(11) UNSIGNED NOT NULL AUTO_INCREMENT;
+
+ALTER TABLE `pending_commands`
+  ADD CONSTRAINT `pending_command_feeder` FOREIGN KEY (`feeder`) REFERENCES `feeders` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
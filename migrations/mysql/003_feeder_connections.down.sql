@@ -0,0 +1 @@
+DROP TABLE `feeder_connections`;
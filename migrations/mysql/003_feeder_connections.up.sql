@@ -0,0 +1,17 @@
+CREATE TABLE `feeder_connections` (
+  `id` int(11) UNSIGNED NOT NULL,
+  `feeder` int(11) UNSIGNED NOT NULL,
+  `ip` varchar(64) NOT NULL,
+  `connected` datetime NOT NULL,
+  `disconnected` datetime DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+ALTER TABLE `feeder_connections`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `feeder_connected` (`feeder`, `connected`);
+
+ALTER TABLE `feeder_connections`
+  MODIFY `id` int(11) UNSIGNED NOT NULL AUTO_INCREMENT;
+
+ALTER TABLE `feeder_connections`
+  ADD CONSTRAINT `connection_feeder` FOREIGN KEY (`feeder`) REFERENCES `feeders` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
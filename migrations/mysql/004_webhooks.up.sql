@@ -0,0 +1,37 @@
+CREATE TABLE `webhooks` (
+  `id` int(11) UNSIGNED NOT NULL,
+  `feeder` int(11) UNSIGNED NOT NULL,
+  `url` varchar(2048) NOT NULL,
+  `secret` varchar(64) NOT NULL,
+  `created` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE `webhook_deliveries` (
+  `id` int(11) UNSIGNED NOT NULL,
+  `webhook` int(11) UNSIGNED NOT NULL,
+  `event` varchar(64) NOT NULL,
+  `date` datetime NOT NULL,
+  `attempt` tinyint(3) UNSIGNED NOT NULL,
+  `status` smallint(5) UNSIGNED DEFAULT NULL,
+  `error` varchar(255) DEFAULT NULL,
+  `payload` blob NOT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+ALTER TABLE `webhooks`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `feeder` (`feeder`);
+
+ALTER TABLE `webhook_deliveries`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `webhook` (`webhook`);
+
+ALTER TABLE `webhooks`
+  MODIFY `id` int(11) UNSIGNED NOT NULL AUTO_INCREMENT;
+ALTER TABLE `webhook_deliveries`
+  MODIFY `id` int(11) UNSIGNED NOT NULL AUTO_INCREMENT;
+
+ALTER TABLE `webhooks`
+  ADD CONSTRAINT `webhook_feeder` FOREIGN KEY (`feeder`) REFERENCES `feeders` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE `webhook_deliveries`
+  ADD CONSTRAINT `delivery_webhook` FOREIGN KEY (`webhook`) REFERENCES `webhooks` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
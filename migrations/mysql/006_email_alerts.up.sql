@@ -0,0 +1,2 @@
+ALTER TABLE `users`
+  ADD `email_alerts` tinyint(1) NOT NULL DEFAULT '1' AFTER `email_shown`;
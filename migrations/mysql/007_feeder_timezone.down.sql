@@ -0,0 +1,4 @@
+ALTER TABLE `plannings`
+  DROP `utc_offset`;
+ALTER TABLE `feeders`
+  DROP `timezone`;
@@ -0,0 +1,4 @@
+ALTER TABLE `feeders`
+  ADD `timezone` varchar(64) NOT NULL DEFAULT 'UTC' AFTER `default_value`;
+ALTER TABLE `plannings`
+  ADD `utc_offset` smallint(6) NOT NULL DEFAULT '0' AFTER `date`;
@@ -0,0 +1,4 @@
+ALTER TABLE `alerts`
+  DROP KEY `alert_feeder_date`,
+  DROP `dismissed`,
+  DROP `acknowledged`;
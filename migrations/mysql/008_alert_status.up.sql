@@ -0,0 +1,4 @@
+ALTER TABLE `alerts`
+  ADD `acknowledged` datetime DEFAULT NULL AFTER `data`,
+  ADD `dismissed` datetime DEFAULT NULL AFTER `acknowledged`,
+  ADD KEY `alert_feeder_date` (`feeder`, `date`);
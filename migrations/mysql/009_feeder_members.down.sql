@@ -0,0 +1,2 @@
+DROP TABLE `feeder_invitations`;
+DROP TABLE `feeder_members`;
@@ -0,0 +1,47 @@
+CREATE TABLE `feeder_members` (
+  `id` int(11) UNSIGNED NOT NULL,
+  `feeder` int(11) UNSIGNED NOT NULL,
+  `user` int(11) UNSIGNED NOT NULL,
+  `role` varchar(16) NOT NULL,
+  `expires` datetime DEFAULT NULL,
+  `created` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE `feeder_invitations` (
+  `id` int(11) UNSIGNED NOT NULL,
+  `feeder` int(11) UNSIGNED NOT NULL,
+  `invited_by` int(11) UNSIGNED NOT NULL,
+  `email` varchar(255) NOT NULL,
+  `role` varchar(16) NOT NULL,
+  `expires` datetime DEFAULT NULL,
+  `token` varchar(64) NOT NULL,
+  `valid_until` datetime NOT NULL,
+  `created` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+ALTER TABLE `feeder_members`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `feeder_user` (`feeder`, `user`),
+  ADD KEY `user` (`user`);
+
+ALTER TABLE `feeder_invitations`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `token` (`token`),
+  ADD KEY `feeder` (`feeder`);
+
+ALTER TABLE `feeder_members`
+  MODIFY `id` int(11) UNSIGNED NOT NULL AUTO_INCREMENT;
+ALTER TABLE `feeder_invitations`
+  MODIFY `id` int(11) UNSIGNED NOT NULL AUTO_INCREMENT;
+
+ALTER TABLE `feeder_members`
+  ADD CONSTRAINT `member_feeder` FOREIGN KEY (`feeder`) REFERENCES `feeders` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  ADD CONSTRAINT `member_user` FOREIGN KEY (`user`) REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE `feeder_invitations`
+  ADD CONSTRAINT `invitation_feeder` FOREIGN KEY (`feeder`) REFERENCES `feeders` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  ADD CONSTRAINT `invitation_user` FOREIGN KEY (`invited_by`) REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- The owners are the first members
+INSERT INTO `feeder_members` (`feeder`, `user`, `role`)
+  SELECT `id`, `owner`, 'owner' FROM `feeders` WHERE `owner` IS NOT NULL;
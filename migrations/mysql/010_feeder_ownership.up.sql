@@ -0,0 +1,41 @@
+CREATE TABLE `feeder_transfers` (
+  `id` int(11) UNSIGNED NOT NULL,
+  `feeder` int(11) UNSIGNED NOT NULL,
+  `from_user` int(11) UNSIGNED NOT NULL,
+  `to_user` int(11) UNSIGNED NOT NULL,
+  `created` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `valid_until` datetime NOT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE `feeder_ownership_log` (
+  `id` int(11) UNSIGNED NOT NULL,
+  `feeder` int(11) UNSIGNED NOT NULL,
+  `event` varchar(32) NOT NULL,
+  `from_user` int(11) UNSIGNED DEFAULT NULL,
+  `to_user` int(11) UNSIGNED DEFAULT NULL,
+  `date` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+ALTER TABLE `feeder_transfers`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `feeder` (`feeder`),
+  ADD KEY `to_user` (`to_user`);
+
+ALTER TABLE `feeder_ownership_log`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `feeder` (`feeder`);
+
+ALTER TABLE `feeder_transfers`
+  MODIFY `id` int(11) UNSIGNED NOT NULL AUTO_INCREMENT;
+ALTER TABLE `feeder_ownership_log`
+  MODIFY `id` int(11) UNSIGNED NOT NULL AUTO_INCREMENT;
+
+ALTER TABLE `feeder_transfers`
+  ADD CONSTRAINT `transfer_feeder` FOREIGN KEY (`feeder`) REFERENCES `feeders` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  ADD CONSTRAINT `transfer_from_user` FOREIGN KEY (`from_user`) REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  ADD CONSTRAINT `transfer_to_user` FOREIGN KEY (`to_user`) REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE `feeder_ownership_log`
+  ADD CONSTRAINT `ownership_feeder` FOREIGN KEY (`feeder`) REFERENCES `feeders` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  ADD CONSTRAINT `ownership_from_user` FOREIGN KEY (`from_user`) REFERENCES `users` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  ADD CONSTRAINT `ownership_to_user` FOREIGN KEY (`to_user`) REFERENCES `users` (`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,19 @@
+CREATE TABLE `feeder_pairings` (
+  `id` int(11) UNSIGNED NOT NULL,
+  `feeder` int(11) UNSIGNED NOT NULL,
+  `user` int(11) UNSIGNED NOT NULL,
+  `created` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `valid_until` datetime NOT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+ALTER TABLE `feeder_pairings`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `feeder` (`feeder`),
+  ADD KEY `user` (`user`);
+
+ALTER TABLE `feeder_pairings`
+  MODIFY `id` int(11) UNSIGNED NOT NULL AUTO_INCREMENT;
+
+ALTER TABLE `feeder_pairings`
+  ADD CONSTRAINT `pairing_feeder` FOREIGN KEY (`feeder`) REFERENCES `feeders` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  ADD CONSTRAINT `pairing_user` FOREIGN KEY (`user`) REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
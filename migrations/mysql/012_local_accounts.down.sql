@@ -0,0 +1,5 @@
+DROP TABLE `user_tokens`;
+
+ALTER TABLE `users`
+  DROP `password`,
+  DROP `email_verified`;
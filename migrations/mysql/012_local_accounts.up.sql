@@ -0,0 +1,26 @@
+ALTER TABLE `users`
+  ADD `password` varchar(255) DEFAULT NULL AFTER `email_shown`,
+  ADD `email_verified` datetime DEFAULT NULL AFTER `password`;
+
+CREATE TABLE `user_tokens` (
+  `id` int(11) UNSIGNED NOT NULL,
+  `user` int(11) UNSIGNED NOT NULL,
+  `purpose` varchar(16) NOT NULL,
+  `token` varchar(64) NOT NULL,
+  `valid_until` datetime NOT NULL,
+  `created` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+ALTER TABLE `user_tokens`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `token` (`token`),
+  ADD KEY `user` (`user`);
+
+ALTER TABLE `user_tokens`
+  MODIFY `id` int(11) UNSIGNED NOT NULL AUTO_INCREMENT;
+
+ALTER TABLE `user_tokens`
+  ADD CONSTRAINT `token_user` FOREIGN KEY (`user`) REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Apple already checked these
+UPDATE `users` SET `email_verified` = `register` WHERE `apple_id` IS NOT NULL;
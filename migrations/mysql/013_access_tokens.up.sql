@@ -0,0 +1,34 @@
+CREATE TABLE `access_tokens` (
+  `id` int(11) UNSIGNED NOT NULL,
+  `user` int(11) UNSIGNED NOT NULL,
+  `name` varchar(64) NOT NULL,
+  `token` varchar(64) NOT NULL,
+  `scopes` varchar(64) NOT NULL,
+  `restricted` tinyint(1) NOT NULL DEFAULT '0',
+  `created` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `last_used` datetime DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE `access_token_feeders` (
+  `token` int(11) UNSIGNED NOT NULL,
+  `feeder` int(11) UNSIGNED NOT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+ALTER TABLE `access_tokens`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `token` (`token`),
+  ADD KEY `user` (`user`);
+
+ALTER TABLE `access_token_feeders`
+  ADD PRIMARY KEY (`token`, `feeder`),
+  ADD KEY `feeder` (`feeder`);
+
+ALTER TABLE `access_tokens`
+  MODIFY `id` int(11) UNSIGNED NOT NULL AUTO_INCREMENT;
+
+ALTER TABLE `access_tokens`
+  ADD CONSTRAINT `access_token_user` FOREIGN KEY (`user`) REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE `access_token_feeders`
+  ADD CONSTRAINT `access_token_feeder_token` FOREIGN KEY (`token`) REFERENCES `access_tokens` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  ADD CONSTRAINT `access_token_feeder_feeder` FOREIGN KEY (`feeder`) REFERENCES `feeders` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
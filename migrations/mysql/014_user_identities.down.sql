@@ -0,0 +1,5 @@
+UPDATE `users` u
+  JOIN `user_identities` i ON i.`user` = u.`id` AND i.`provider` = 'apple'
+  SET u.`apple_id` = i.`subject`;
+
+DROP TABLE `user_identities`;
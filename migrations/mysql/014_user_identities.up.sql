@@ -0,0 +1,23 @@
+CREATE TABLE `user_identities` (
+  `id` int(11) UNSIGNED NOT NULL,
+  `user` int(11) UNSIGNED NOT NULL,
+  `provider` varchar(32) NOT NULL,
+  `subject` varchar(255) NOT NULL,
+  `email` varchar(254) DEFAULT NULL,
+  `created` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+ALTER TABLE `user_identities`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `provider_subject` (`provider`, `subject`),
+  ADD UNIQUE KEY `user_provider` (`user`, `provider`);
+
+ALTER TABLE `user_identities`
+  MODIFY `id` int(11) UNSIGNED NOT NULL AUTO_INCREMENT;
+
+ALTER TABLE `user_identities`
+  ADD CONSTRAINT `identity_user` FOREIGN KEY (`user`) REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Sign in with Apple is one provider among others ; users.apple_id is not used anymore
+INSERT INTO `user_identities` (`user`, `provider`, `subject`, `email`, `created`)
+  SELECT `id`, 'apple', `apple_id`, `email_shown`, `register` FROM `users` WHERE `apple_id` IS NOT NULL;
@@ -0,0 +1,4 @@
+UPDATE `feeders` SET `name` = '' WHERE `name` IS NULL;
+
+ALTER TABLE `feeders`
+  MODIFY `name` varchar(128) NOT NULL;
@@ -0,0 +1,5 @@
+ALTER TABLE `feeders`
+  MODIFY `name` varchar(128) DEFAULT NULL;
+
+-- Feeders given up had their name emptied
+UPDATE `feeders` SET `name` = NULL WHERE `owner` IS NULL AND `name` = '';
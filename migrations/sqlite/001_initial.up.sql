@@ -0,0 +1,56 @@
+CREATE TABLE `users` (
+  `id` integer PRIMARY KEY AUTOINCREMENT,
+  `apple_id` varchar(128) DEFAULT NULL UNIQUE,
+  `email` varchar(254) NOT NULL UNIQUE,
+  `email_shown` varchar(254) NOT NULL,
+  `register` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `login` timestamp NULL DEFAULT NULL
+);
+
+CREATE TABLE `feeders` (
+  `id` integer PRIMARY KEY AUTOINCREMENT,
+  `identifier` varchar(16) NOT NULL UNIQUE,
+  `name` varchar(128) NOT NULL,
+  `owner` integer DEFAULT NULL REFERENCES `users` (`id`) ON DELETE SET NULL ON UPDATE SET NULL,
+  `ip` varchar(64) NOT NULL,
+  `last_responded` datetime NOT NULL,
+  `default_value` tinyint DEFAULT NULL
+);
+
+CREATE TABLE `alerts` (
+  `id` integer PRIMARY KEY AUTOINCREMENT,
+  `feeder` integer NOT NULL REFERENCES `feeders` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  `type` varchar(64) NOT NULL,
+  `date` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `data` blob
+);
+
+CREATE TABLE `plannings` (
+  `id` integer PRIMARY KEY AUTOINCREMENT,
+  `feeder` integer NOT NULL REFERENCES `feeders` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  `date` datetime NOT NULL
+);
+
+CREATE TABLE `meals` (
+  `id` integer PRIMARY KEY AUTOINCREMENT,
+  `feeder` integer DEFAULT NULL REFERENCES `feeders` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  `planning` integer DEFAULT NULL REFERENCES `plannings` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  `date` date DEFAULT NULL,
+  `time` time NOT NULL,
+  `quantity` tinyint NOT NULL,
+  `enabled` tinyint NOT NULL DEFAULT '1'
+);
+
+CREATE TABLE `unknown_data` (
+  `id` integer PRIMARY KEY AUTOINCREMENT,
+  `date` datetime NOT NULL,
+  `type` varchar(64) NOT NULL,
+  `ip` varchar(64) NOT NULL,
+  `data` blob NOT NULL
+);
+
+CREATE INDEX `alert_feeder` ON `alerts` (`feeder`);
+CREATE INDEX `feeder_owner` ON `feeders` (`owner`);
+CREATE INDEX `meal_planning` ON `meals` (`planning`);
+CREATE INDEX `meal_feeder` ON `meals` (`feeder`);
+CREATE INDEX `planning_feeder` ON `plannings` (`feeder`);
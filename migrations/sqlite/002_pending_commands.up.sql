@@ -0,0 +1,9 @@
+CREATE TABLE `pending_commands` (
+  `id` integer PRIMARY KEY AUTOINCREMENT,
+  `feeder` integer NOT NULL REFERENCES `feeders` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  `type` varchar(64) NOT NULL,
+  `date` datetime NOT NULL,
+  `data` blob NOT NULL
+);
+
+CREATE INDEX `pending_command_feeder_type` ON `pending_commands` (`feeder`, `type`);
@@ -0,0 +1,9 @@
+CREATE TABLE `feeder_connections` (
+  `id` integer PRIMARY KEY AUTOINCREMENT,
+  `feeder` integer NOT NULL REFERENCES `feeders` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  `ip` varchar(64) NOT NULL,
+  `connected` datetime NOT NULL,
+  `disconnected` datetime DEFAULT NULL
+);
+
+CREATE INDEX `connection_feeder_connected` ON `feeder_connections` (`feeder`, `connected`);
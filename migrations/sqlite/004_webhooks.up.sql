@@ -0,0 +1,21 @@
+CREATE TABLE `webhooks` (
+  `id` integer PRIMARY KEY AUTOINCREMENT,
+  `feeder` integer NOT NULL REFERENCES `feeders` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  `url` varchar(2048) NOT NULL,
+  `secret` varchar(64) NOT NULL,
+  `created` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE `webhook_deliveries` (
+  `id` integer PRIMARY KEY AUTOINCREMENT,
+  `webhook` integer NOT NULL REFERENCES `webhooks` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  `event` varchar(64) NOT NULL,
+  `date` datetime NOT NULL,
+  `attempt` tinyint NOT NULL,
+  `status` smallint DEFAULT NULL,
+  `error` varchar(255) DEFAULT NULL,
+  `payload` blob NOT NULL
+);
+
+CREATE INDEX `webhook_feeder` ON `webhooks` (`feeder`);
+CREATE INDEX `delivery_webhook` ON `webhook_deliveries` (`webhook`);
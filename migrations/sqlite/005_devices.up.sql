@@ -0,0 +1,8 @@
+CREATE TABLE `devices` (
+  `id` integer PRIMARY KEY AUTOINCREMENT,
+  `user` integer NOT NULL REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  `token` varchar(200) NOT NULL UNIQUE,
+  `created` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX `device_user` ON `devices` (`user`);
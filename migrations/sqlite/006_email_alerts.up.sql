@@ -0,0 +1 @@
+ALTER TABLE `users` ADD `email_alerts` tinyint NOT NULL DEFAULT '1';
@@ -0,0 +1,2 @@
+ALTER TABLE `plannings` DROP `utc_offset`;
+ALTER TABLE `feeders` DROP `timezone`;
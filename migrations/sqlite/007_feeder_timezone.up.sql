@@ -0,0 +1,2 @@
+ALTER TABLE `feeders` ADD `timezone` varchar(64) NOT NULL DEFAULT 'UTC';
+ALTER TABLE `plannings` ADD `utc_offset` smallint NOT NULL DEFAULT '0';
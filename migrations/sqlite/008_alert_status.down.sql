@@ -0,0 +1,3 @@
+DROP INDEX `alert_feeder_date`;
+ALTER TABLE `alerts` DROP `dismissed`;
+ALTER TABLE `alerts` DROP `acknowledged`;
@@ -0,0 +1,3 @@
+ALTER TABLE `alerts` ADD `acknowledged` datetime DEFAULT NULL;
+ALTER TABLE `alerts` ADD `dismissed` datetime DEFAULT NULL;
+CREATE INDEX `alert_feeder_date` ON `alerts` (`feeder`, `date`);
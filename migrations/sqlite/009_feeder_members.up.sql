@@ -0,0 +1,28 @@
+CREATE TABLE `feeder_members` (
+  `id` integer PRIMARY KEY AUTOINCREMENT,
+  `feeder` integer NOT NULL REFERENCES `feeders` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  `user` integer NOT NULL REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  `role` varchar(16) NOT NULL,
+  `expires` datetime DEFAULT NULL,
+  `created` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (`feeder`, `user`)
+);
+
+CREATE TABLE `feeder_invitations` (
+  `id` integer PRIMARY KEY AUTOINCREMENT,
+  `feeder` integer NOT NULL REFERENCES `feeders` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  `invited_by` integer NOT NULL REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  `email` varchar(255) NOT NULL,
+  `role` varchar(16) NOT NULL,
+  `expires` datetime DEFAULT NULL,
+  `token` varchar(64) NOT NULL UNIQUE,
+  `valid_until` datetime NOT NULL,
+  `created` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX `member_user` ON `feeder_members` (`user`);
+CREATE INDEX `invitation_feeder` ON `feeder_invitations` (`feeder`);
+
+-- The owners are the first members
+INSERT INTO `feeder_members` (`feeder`, `user`, `role`)
+  SELECT `id`, `owner`, 'owner' FROM `feeders` WHERE `owner` IS NOT NULL;
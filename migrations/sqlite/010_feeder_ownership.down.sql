@@ -0,0 +1,2 @@
+DROP TABLE `feeder_ownership_log`;
+DROP TABLE `feeder_transfers`;
@@ -0,0 +1,20 @@
+CREATE TABLE `feeder_transfers` (
+  `id` integer PRIMARY KEY AUTOINCREMENT,
+  `feeder` integer NOT NULL UNIQUE REFERENCES `feeders` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  `from_user` integer NOT NULL REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  `to_user` integer NOT NULL REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  `created` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `valid_until` datetime NOT NULL
+);
+
+CREATE TABLE `feeder_ownership_log` (
+  `id` integer PRIMARY KEY AUTOINCREMENT,
+  `feeder` integer NOT NULL REFERENCES `feeders` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  `event` varchar(32) NOT NULL,
+  `from_user` integer DEFAULT NULL REFERENCES `users` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  `to_user` integer DEFAULT NULL REFERENCES `users` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  `date` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX `transfer_to_user` ON `feeder_transfers` (`to_user`);
+CREATE INDEX `ownership_feeder` ON `feeder_ownership_log` (`feeder`);
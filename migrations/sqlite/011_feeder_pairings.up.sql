@@ -0,0 +1,9 @@
+CREATE TABLE `feeder_pairings` (
+  `id` integer PRIMARY KEY AUTOINCREMENT,
+  `feeder` integer NOT NULL UNIQUE REFERENCES `feeders` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  `user` integer NOT NULL REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  `created` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `valid_until` datetime NOT NULL
+);
+
+CREATE INDEX `pairing_user` ON `feeder_pairings` (`user`);
@@ -0,0 +1,16 @@
+ALTER TABLE `users` ADD `password` varchar(255) DEFAULT NULL;
+ALTER TABLE `users` ADD `email_verified` datetime DEFAULT NULL;
+
+CREATE TABLE `user_tokens` (
+  `id` integer PRIMARY KEY AUTOINCREMENT,
+  `user` integer NOT NULL REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  `purpose` varchar(16) NOT NULL,
+  `token` varchar(64) NOT NULL UNIQUE,
+  `valid_until` datetime NOT NULL,
+  `created` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX `token_user` ON `user_tokens` (`user`);
+
+-- Apple already checked these
+UPDATE `users` SET `email_verified` = `register` WHERE `apple_id` IS NOT NULL;
@@ -0,0 +1,2 @@
+DROP TABLE `access_token_feeders`;
+DROP TABLE `access_tokens`;
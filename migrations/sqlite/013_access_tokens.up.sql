@@ -0,0 +1,19 @@
+CREATE TABLE `access_tokens` (
+  `id` integer PRIMARY KEY AUTOINCREMENT,
+  `user` integer NOT NULL REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  `name` varchar(64) NOT NULL,
+  `token` varchar(64) NOT NULL UNIQUE,
+  `scopes` varchar(64) NOT NULL,
+  `restricted` tinyint NOT NULL DEFAULT '0',
+  `created` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `last_used` datetime DEFAULT NULL
+);
+
+CREATE TABLE `access_token_feeders` (
+  `token` integer NOT NULL REFERENCES `access_tokens` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  `feeder` integer NOT NULL REFERENCES `feeders` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  PRIMARY KEY (`token`, `feeder`)
+);
+
+CREATE INDEX `access_token_user` ON `access_tokens` (`user`);
+CREATE INDEX `access_token_feeder` ON `access_token_feeders` (`feeder`);
@@ -0,0 +1,3 @@
+UPDATE `users` SET `apple_id` = (SELECT `subject` FROM `user_identities` WHERE `user` = `users`.`id` AND `provider` = 'apple');
+
+DROP TABLE `user_identities`;
@@ -0,0 +1,14 @@
+CREATE TABLE `user_identities` (
+  `id` integer PRIMARY KEY AUTOINCREMENT,
+  `user` integer NOT NULL REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  `provider` varchar(32) NOT NULL,
+  `subject` varchar(255) NOT NULL,
+  `email` varchar(254) DEFAULT NULL,
+  `created` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (`provider`, `subject`),
+  UNIQUE (`user`, `provider`)
+);
+
+-- Sign in with Apple is one provider among others ; users.apple_id is not used anymore
+INSERT INTO `user_identities` (`user`, `provider`, `subject`, `email`, `created`)
+  SELECT `id`, 'apple', `apple_id`, `email_shown`, `register` FROM `users` WHERE `apple_id` IS NOT NULL;
@@ -0,0 +1,23 @@
+PRAGMA foreign_keys = OFF;
+BEGIN;
+
+CREATE TABLE `feeders_rebuilt` (
+  `id` integer PRIMARY KEY AUTOINCREMENT,
+  `identifier` varchar(16) NOT NULL UNIQUE,
+  `name` varchar(128) NOT NULL,
+  `owner` integer DEFAULT NULL REFERENCES `users` (`id`) ON DELETE SET NULL ON UPDATE SET NULL,
+  `ip` varchar(64) NOT NULL,
+  `last_responded` datetime NOT NULL,
+  `default_value` tinyint DEFAULT NULL,
+  `timezone` varchar(64) NOT NULL DEFAULT 'UTC'
+);
+
+INSERT INTO `feeders_rebuilt` (`id`, `identifier`, `name`, `owner`, `ip`, `last_responded`, `default_value`, `timezone`)
+  SELECT `id`, `identifier`, IFNULL(`name`, ''), `owner`, `ip`, `last_responded`, `default_value`, `timezone` FROM `feeders`;
+
+DROP TABLE `feeders`;
+ALTER TABLE `feeders_rebuilt` RENAME TO `feeders`;
+CREATE INDEX `feeder_owner` ON `feeders` (`owner`);
+
+COMMIT;
+PRAGMA foreign_keys = ON;
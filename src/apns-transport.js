@@ -0,0 +1,134 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const fs = require('fs');
+const http2 = require('http2');
+const jwt = require('jsonwebtoken');
+
+const Logger = require('./logger');
+
+const logger = Logger.child({ module: 'push' });
+
+// Apple refuses provider tokens older than one hour, or renewed more than once every 20 minutes
+const TOKEN_LIFETIME = 45 * 60 * 1000;
+
+/**
+ * Sends notifications to the Apple Push Notification service over HTTP/2
+ */
+class ApnsTransport {
+
+  /**
+   * @param {{apns_url: string|undefined, key_id: string, key_path: string, ios_team_identifier: string, ios_bundle_identifier: string}} config
+   */
+  constructor(config) {
+    this.url = config.apns_url || 'https://api.push.apple.com';
+    this.keyId = config.key_id;
+    this.keyPath = config.key_path;
+    this.teamId = config.ios_team_identifier;
+    this.topic = config.ios_bundle_identifier;
+
+    this.session = undefined;
+    this.token = undefined;
+    this.tokenDate = 0;
+  }
+
+  /**
+   * @return {string} the provider authentication token
+   */
+  providerToken() {
+    if (this.token === undefined || Date.now() - this.tokenDate > TOKEN_LIFETIME) {
+      let key = fs.readFileSync(this.keyPath);
+      this.tokenDate = Date.now();
+      this.token = jwt.sign({ iss: this.teamId }, key, { algorithm: 'ES256', keyid: this.keyId });
+    }
+    return this.token;
+  }
+
+  /**
+   * @return {ClientHttp2Session}
+   */
+  connect() {
+    if (this.session === undefined || this.session.closed || this.session.destroyed) {
+      let session = http2.connect(this.url);
+      session.on('error', (err) => {
+        logger.warn('APNs connection error', { err: err });
+      });
+      session.on('close', () => {
+        if (this.session === session) {
+          this.session = undefined;
+        }
+      });
+      // Do not keep the process alive for an idle connection
+      session.unref();
+      this.session = session;
+    }
+    return this.session;
+  }
+
+  /**
+   * @param {string} deviceToken
+   * @param {Object} payload
+   * @return {Promise<{status: number, reason: string|undefined}>}
+   */
+  send(deviceToken, payload) {
+    return new Promise((resolve, reject) => {
+      let body = JSON.stringify(payload);
+      let request;
+      try {
+        request = this.connect().request({
+          ':method': 'POST',
+          ':path': '/3/device/' + deviceToken,
+          'authorization': 'bearer ' + this.providerToken(),
+          'apns-topic': this.topic,
+          'apns-push-type': 'alert',
+          'content-type': 'application/json',
+          'content-length': Buffer.byteLength(body),
+        });
+      } catch (err) {
+        reject(err);
+        return;
+      }
+
+      let status;
+      let data = '';
+      request.setEncoding('utf8');
+      request.on('response', (headers) => { status = headers[':status']; });
+      request.on('data', (chunk) => { data += chunk; });
+      request.on('error', reject);
+      request.on('end', () => {
+        let reason;
+        try {
+          reason = data ? JSON.parse(data).reason : undefined;
+        } catch (e) {
+          reason = undefined;
+        }
+        resolve({ status: status, reason: reason });
+      });
+      request.end(body);
+    });
+  }
+
+  close() {
+    if (this.session !== undefined) {
+      this.session.close();
+      this.session = undefined;
+    }
+  }
+}
+
+module.exports = ApnsTransport;
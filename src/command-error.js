@@ -0,0 +1,35 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+/**
+ * Raised when a command could not be delivered to a feeder
+ */
+class CommandError extends Error {
+
+  /**
+   * @param {string} message
+   * @param {string} reason one of 'offline', 'timeout', 'write_failed'
+   */
+  constructor(message, reason) {
+    super(message);
+    this.reason = reason;
+  }
+
+}
+
+module.exports = CommandError;
@@ -0,0 +1,165 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const CommandError = require("./command-error");
+const Logger = require("./logger");
+
+/**
+ * Sends commands to a single feeder one at a time.
+ * A command is done when the feeder acknowledges its action ; otherwise it is sent again, waiting longer each time.
+ */
+class CommandQueue {
+
+  /**
+   * @param {function(Buffer): Promise} write
+   * @param {{command_timeout: number|undefined, command_retries: number|undefined, command_retry_delay: number|undefined}} config
+   * @param {Logger} logger
+   */
+  constructor(write, config = {}, logger = Logger.child({ module: 'coordinator' })) {
+    this.write = write;
+    this.logger = logger;
+    this.timeout = config.command_timeout !== undefined ? config.command_timeout : 5000;
+    this.retries = config.command_retries !== undefined ? config.command_retries : 2;
+    this.retryDelay = config.command_retry_delay !== undefined ? config.command_retry_delay : 1000;
+
+    /**
+     * @type {Array<{action: string, data: Buffer, retries: number, attempts: number, resolve: function, reject: function}>}
+     */
+    this.commands = [];
+    this.timer = undefined;
+  }
+
+  /**
+   * @param {string} action the action the feeder will acknowledge
+   * @param {Buffer} data
+   * @param {number|undefined} retries overrides the configured retries count
+   * @return Promise
+   */
+  push(action, data, retries = undefined) {
+    return new Promise((resolve, reject) => {
+      this.commands.push({
+        action: action,
+        data: data,
+        retries: retries !== undefined ? retries : this.retries,
+        attempts: 0,
+        resolve: resolve,
+        reject: reject,
+      });
+
+      if (this.commands.length === 1) {
+        this.attempt();
+      }
+    });
+  }
+
+  /**
+   * @param {string} action
+   * @return {boolean} true if the acknowledgement was expected
+   */
+  acknowledge(action) {
+    let command = this.commands[0];
+    if (command === undefined || command.action !== action || command.attempts === 0) {
+      return false;
+    }
+
+    this.finish(command, null);
+    return true;
+  }
+
+  /**
+   * Reject every pending command
+   * @param {CommandError} error
+   */
+  cancel(error) {
+    let commands = this.commands;
+    this.commands = [];
+    clearTimeout(this.timer);
+    commands.forEach((command) => { command.reject(error); });
+  }
+
+  /**
+   * @return {number}
+   */
+  size() {
+    return this.commands.length;
+  }
+
+  attempt() {
+    let command = this.commands[0];
+    if (command === undefined) {
+      return;
+    }
+
+    command.attempts++;
+
+    // Only the first failure of an attempt counts
+    let settled = false;
+    let fail = (error) => {
+      if (settled || this.commands[0] !== command) {
+        return;
+      }
+      settled = true;
+      clearTimeout(this.timer);
+      this.retry(command, error);
+    };
+
+    this.timer = setTimeout(() => {
+      fail(new CommandError('Feeder did not acknowledge ' + command.action, 'timeout'));
+    }, this.timeout);
+
+    this.write(command.data).catch((err) => {
+      fail(new CommandError(err.message, 'write_failed'));
+    });
+  }
+
+  /**
+   * @param {Object} command
+   * @param {CommandError} error
+   */
+  retry(command, error) {
+    if (command.attempts > command.retries) {
+      this.finish(command, error);
+      return;
+    }
+
+    // Wait a little longer before each new attempt
+    let delay = this.retryDelay * Math.pow(2, command.attempts - 1);
+    this.logger.warn('Retrying ' + command.action + ' after: ' + error.message, { delay: delay, reason: error.reason });
+    this.timer = setTimeout(() => { this.attempt(); }, delay);
+  }
+
+  /**
+   * @param {Object} command
+   * @param {CommandError|null} error
+   */
+  finish(command, error) {
+    clearTimeout(this.timer);
+    this.commands.shift();
+
+    if (error) {
+      command.reject(error);
+    } else {
+      command.resolve();
+    }
+
+    this.attempt();
+  }
+
+}
+
+module.exports = CommandQueue;
@@ -20,6 +20,10 @@ const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const NodeRSA = require('node-rsa');
 
+// Cost of the password hashes ; the stored hashes keep the one they were made with
+const SCRYPT_PARAMETERS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
 class CryptoHelper {
 
     /**
@@ -45,12 +49,82 @@ class CryptoHelper {
     }
 
     /**
+     * @param {string} data
+     * @param {string} key
+     * @return {string}
+     */
+    static hashHex(data, key) {
+        const hasher = crypto.createHmac('sha256', key);
+        hasher.update(data);
+        return hasher.digest('hex');
+    }
+
+    /**
+     * @param {number} length in bytes
+     * @return {string} a random hexadecimal string
+     */
+    static randomToken(length = 32) {
+        return crypto.randomBytes(length).toString('hex');
+    }
+
+    /**
+     * @param {string} password
+     * @return {Promise<string>} the scrypt hash, with its parameters and salt
+     */
+    static hashPassword(password) {
+        return CryptoHelper.scrypt(password, crypto.randomBytes(16), SCRYPT_PARAMETERS).then((hash) => {
+            return ['scrypt', SCRYPT_PARAMETERS.N, SCRYPT_PARAMETERS.r, SCRYPT_PARAMETERS.p, hash.salt, hash.key].join('$');
+        });
+    }
+
+    /**
+     * @param {string} password
+     * @param {string|null|undefined} stored the result of hashPassword
+     * @return {Promise<boolean>}
+     */
+    static checkPassword(password, stored) {
+        let components = typeof stored === 'string' ? stored.split('$') : [];
+        if (components.length !== 6 || components[0] !== 'scrypt') {
+            // Take as long as a real check, not to tell which accounts exist
+            return CryptoHelper.scrypt(password, crypto.randomBytes(16), SCRYPT_PARAMETERS).then(() => false);
+        }
+
+        let parameters = { N: +components[1], r: +components[2], p: +components[3] };
+        let expected = Buffer.from(components[5], 'hex');
+        return CryptoHelper.scrypt(password, Buffer.from(components[4], 'hex'), parameters).then((hash) => {
+            let key = Buffer.from(hash.key, 'hex');
+            return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+        });
+    }
+
+    /**
+     * @param {string} password
+     * @param {Buffer} salt
+     * @param {{N: number, r: number, p: number}} parameters
+     * @return {Promise<{salt: string, key: string}>} hexadecimal strings
+     */
+    static scrypt(password, salt, parameters) {
+        return new Promise((resolve, reject) => {
+            let options = Object.assign({ maxmem: 64 * 1024 * 1024 }, parameters);
+            crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, options, (err, key) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve({ salt: salt.toString('hex'), key: key.toString('hex') });
+            });
+        });
+    }
+
+    /**
+     * Checks an OpenID Connect id token, signed with one of the RSA keys of its provider
      * @param {Array<{kty: string, kid: string, use: string, alg: string, n: string, e: string}>} keys
      * @param {string} idToken
-     * @param {string} clientId
-     * @return {Promise<{aud: string, exp: number, iat: number, sub: string}>}
+     * @param {string} issuer
+     * @param {string|undefined} clientId
+     * @return {Promise<{iss: string, aud: string|string[], exp: number, iat: number, sub: string, email: string|undefined}>}
      */
-    static checkAppleToken(keys, idToken, clientId) {
+    static checkIdToken(keys, idToken, issuer, clientId) {
         return new Promise((resolve, reject) => {
             let getKey = (header, callback) => {
                 const pubKey = new NodeRSA();
@@ -70,11 +144,11 @@ class CryptoHelper {
                     reject(err);
                     return;
                 }
-                if (payload.iss !== 'https://appleid.apple.com') {
-                    reject(new Error('id token not issued by correct OpenID provider - expected: https://appleid.apple.com | is: ' + payload.iss));
+                if (payload.iss !== issuer) {
+                    reject(new Error('id token not issued by correct OpenID provider - expected: ' + issuer + ' | is: ' + payload.iss));
                     return;
                 }
-                if (clientId !== undefined && payload.aud !== clientId) {
+                if (!clientId || [].concat(payload.aud).indexOf(clientId) === -1) {
                     reject(new Error('aud parameter does not include this client - expected: ' + clientId + ' | is: ' + payload.aud));
                     return;
                 }
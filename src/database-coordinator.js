@@ -16,38 +16,86 @@ CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
 
 "use strict";
 
-const mysql = require('mysql');
+const Logger = require('./logger');
+const Metrics = require('./metrics');
+const Migrator = require('./migrator');
+const Storage = require('./storage/storage');
+
+const logger = Logger.child({ module: 'database' });
+
+// Deliveries kept for each webhook ; older ones are removed
+const WEBHOOK_DELIVERIES_KEPT = 100;
 
 class DataBaseCoordinator {
 
   /**
-   * @param {{mysql_host: string, mysql_user: string, mysql_password: string, mysql_database: string}} config
+   * @param {{storage: string|undefined, migrate_on_startup: boolean|undefined}} config and the settings of the chosen storage
    */
   constructor (config) {
-    this.con = mysql.createConnection({
-      host: config.mysql_host,
-      user: config.mysql_user,
-      password: config.mysql_password,
-      database: config.mysql_database,
-      timezone: 'UTC'
+    /**
+     * @type {Storage}
+     */
+    this.storage = Storage.create(config);
+
+    /**
+     * Resolved once connected, with an up to date schema
+     * @type {Promise}
+     */
+    this.ready = this.prepare(config);
+    this.ready.then(() => {
+      logger.info('Database connection is ready', { storage: this.storage.dialect });
+    }).catch((err) => {
+      logger.error('Database could not be prepared', { err: err });
+      process.exit(1);
     });
+  }
 
-    this.con.connect((err) => {
-      if (err) {
-        throw err;
+  /**
+   * @param {{migrate_on_startup: boolean|undefined}} config
+   * @return Promise
+   */
+  prepare(config) {
+    return this.storage.connect().then(() => {
+      let migrator = new Migrator(this.storage);
+      if (config.migrate_on_startup === false) {
+        return migrator.pending().then((pending) => {
+          if (pending.length) {
+            throw new Error('The database schema is not up to date. You need to run npm run migrate first!');
+          }
+        });
       }
+      return migrator.migrate();
+    });
+  }
 
-      this.con.query('SHOW TABLES LIKE ?;', ['feeders'], (err, result, fields) => {
-        if (result.length === 0) {
-          throw 'Tables does not exists. You need to run init.sql file to create them!';
-        }
-        else {
-            console.log('Database connection is ready');
-        }
+  /**
+   * Runs a query once ready, keeping count of the failures
+   * @param {string} sql
+   * @param {Array} values
+   * @param {function(Error|null, *)} callback
+   */
+  query(sql, values, callback) {
+    this.ready.then(() => {
+      return this.storage.query(sql, values).catch((err) => {
+        this.queryFailed(err, sql);
+        throw err;
       });
+    }).then((result) => {
+      callback(null, result);
+    }, (err) => {
+      callback(err);
     });
   }
 
+  /**
+   * @param {Error} err
+   * @param {string} sql
+   */
+  queryFailed(err, sql) {
+    Metrics.databaseErrors.inc({ code: err.code || 'UNKNOWN' });
+    logger.error('Query failed', { err: err, sql: sql });
+  }
+
   /**
    * @param {number} id
    * @return Promise
@@ -61,31 +109,55 @@ class DataBaseCoordinator {
    * @return Promise
    */
   getUserByAppleId(apple_id) {
-    return this.getUserBy('apple_id', apple_id);
+    return this.getUserByIdentity('apple', apple_id);
+  }
+
+  /**
+   * @param {string} provider
+   * @param {string} subject the user identifier for the provider
+   * @return Promise
+   */
+  getUserByIdentity(provider, subject) {
+    return this.getUserBy('identity', [provider, subject]);
+  }
+
+  /**
+   * @param {string} email normalized
+   * @return Promise
+   */
+  getUserByEmail(email) {
+    return this.getUserBy('email', email);
   }
 
   /**
    * @param {string} column 
-   * @param {string|number} value
+   * @param {string|number|Array} value the provider and subject for an identity
    * @return Promise
    */
   getUserBy(column, value) {
     return new Promise((resolve, reject) => {
 
-      let query = 'SELECT u.*, GROUP_CONCAT(CONCAT(f.id, \':\', IFNULL(f.name, \'\'), \':\', IFNULL(f.default_value, 5))) as feeders FROM users u LEFT JOIN feeders f ON f.owner = u.id ';
+      // The name comes last, as it may contain colons
+      let feeder = this.storage.concat('f.id', '\':\'', 'm.role', '\':\'', 'IFNULL(f.default_value, 5)', '\':\'', 'IFNULL(f.name, \'\')');
+      let query = 'SELECT u.*, GROUP_CONCAT(' + feeder + ') as feeders FROM users u ' +
+        'LEFT JOIN feeder_members m ON m.user = u.id AND (m.expires IS NULL OR m.expires > ?) ' +
+        'LEFT JOIN feeders f ON f.id = m.feeder ';
       if (column === 'id') {
         query += 'WHERE u.id = ?';
       }
-      else if (column === 'apple_id') {
-        query += 'WHERE u.apple_id = ?';
+      else if (column === 'identity') {
+        query += 'WHERE u.id = (SELECT i.user FROM user_identities i WHERE i.provider = ? AND i.subject = ?)';
+      }
+      else if (column === 'email') {
+        query += 'WHERE u.email = ?';
       }
       else {
         reject(new Error('Undetermined column for getting user'));
         return;
       }
-      query += ' HAVING u.id IS NOT NULL';
+      query += ' GROUP BY u.id';
 
-      this.con.query(query, [value], (err, results, fields) => {
+      this.query(query, [new Date()].concat(value), (err, results, fields) => {
         if (err) {
           reject(err);
           return;
@@ -108,7 +180,7 @@ class DataBaseCoordinator {
    */
   loggedUser(user_id) {
     return new Promise((resolve, reject) => {
-      this.con.query('UPDATE users SET login = CURRENT_TIMESTAMP where id = ?', [user_id], (err, result, fields) => {
+      this.query('UPDATE users SET login = CURRENT_TIMESTAMP where id = ?', [user_id], (err, result, fields) => {
         if (err) {
           reject(err);
         }
@@ -120,101 +192,277 @@ class DataBaseCoordinator {
   }
 
   /**
-   * @param {{apple_id: string, email: string, shown_email: string}} data
+   * @param {number} user_id
+   * @param {boolean} enabled
    * @return Promise
    */
-  createUser(data) {
+  setEmailAlerts(user_id, enabled) {
     return new Promise((resolve, reject) => {
-      this.con.query('INSERT INTO users (apple_id, email, email_shown) VALUES (?, ?, ?, ?)', [data.apple_id, data.email, data.shown_email], (err, result, fields) => {
+      this.query('UPDATE users SET email_alerts = ? WHERE id = ?', [enabled ? 1 : 0, user_id], (err, result, fields) => {
         if (err) {
           reject(err);
-          return;
         }
-        resolve();
+        else {
+          resolve(result.affectedRows >= 1);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {{email: string, shown_email: string, password: string|undefined, email_verified: Date|undefined, identity: {provider: string, subject: string}|undefined}} data the password is hashed
+   * @return {Promise<number>} the user id
+   */
+  createUser(data) {
+    return this.ready.then(() => {
+      return this.storage.transaction((query) => {
+        let sql = 'INSERT INTO users (email, email_shown, password, email_verified) VALUES (?, ?, ?, ?)';
+        return query(sql, [data.email, data.shown_email, data.password || null, data.email_verified || null]).then((result) => {
+          if (!data.identity) {
+            return result.insertId;
+          }
+          sql = 'INSERT INTO user_identities(user, provider, subject, email) VALUES (?, ?, ?, ?)';
+          return query(sql, [result.insertId, data.identity.provider, data.identity.subject, data.shown_email]).then(() => result.insertId);
+        }).catch((err) => {
+          this.queryFailed(err, sql);
+          throw err;
+        });
       });
     });
   }
 
   /**
-   * @param {string} identifier
    * @param {number} user_id
-   * @param {string} ip
-   * @return Promise
+   * @return {Promise<[{provider: string, email: string|null, created: Date}]>}
    */
-  claimFeeder(identifier, user_id, ip) {
+  getIdentities(user_id) {
     return new Promise((resolve, reject) => {
-      this.con.query('UPDATE feeders SET owner = ? WHERE owner IS NULL AND identifier = ? AND ip LIKE ?', [user_id, identifier, '%:' + ip + ':%'], (err, result, fields) => {
+      this.query('SELECT provider, email, created FROM user_identities WHERE user = ? ORDER BY id', [user_id], (err, results, fields) => {
         if (err) {
           reject(err);
         }
         else {
-          resolve(result.affectedRows >= 1);
+          resolve(results);
         }
       });
     });
   }
 
   /**
-   * @param {number} feeder_id
+   * Replaces the identity the user had with the same provider
    * @param {number} user_id
-   * @return Promise
+   * @param {{provider: string, subject: string, email: string|undefined}} identity
+   * @return {Promise<boolean>} false when the identity belongs to another user
    */
-  checkFeederAssociation(feeder_id, user_id) {
+  linkIdentity(user_id, identity) {
+    return this.ready.then(() => {
+      return this.storage.transaction((query) => {
+        let sql = 'SELECT user FROM user_identities WHERE provider = ? AND subject = ?';
+        return query(sql, [identity.provider, identity.subject]).then((results) => {
+          if (results.length && results[0].user !== user_id) {
+            return false;
+          }
+
+          sql = 'DELETE FROM user_identities WHERE user = ? AND provider = ?';
+          return query(sql, [user_id, identity.provider]).then(() => {
+            sql = 'INSERT INTO user_identities(user, provider, subject, email) VALUES (?, ?, ?, ?)';
+            return query(sql, [user_id, identity.provider, identity.subject, identity.email || null]);
+          }).then(() => true);
+        }).catch((err) => {
+          this.queryFailed(err, sql);
+          throw err;
+        });
+      });
+    });
+  }
+
+  /**
+   * @param {number} user_id
+   * @param {string} provider
+   * @return {Promise<boolean>}
+   */
+  unlinkIdentity(user_id, provider) {
     return new Promise((resolve, reject) => {
-      this.con.query('SELECT * FROM feeders WHERE owner = ? AND id = ?', [user_id, feeder_id], (err, result, fields) => {
+      this.query('DELETE FROM user_identities WHERE user = ? AND provider = ?', [user_id, provider], (err, result, fields) => {
         if (err) {
           reject(err);
         }
         else {
-          resolve(result.length ? result[0] : undefined);
+          resolve(result.affectedRows >= 1);
         }
       });
     });
   }
 
   /**
-   * @param {string} identifier
+   * @param {number} user_id
+   * @param {string} purpose 'verify' or 'reset'
+   * @param {string} token hashed
+   * @param {Date} valid_until
    * @return Promise
    */
-  fetchFeederLastResponded(identifier) {
+  createUserToken(user_id, purpose, token, valid_until) {
     return new Promise((resolve, reject) => {
-      this.con.query('SELECT last_responded FROM feeders WHERE identifier = ?', [identifier], (err, result, fields) => {
+      this.query('INSERT INTO user_tokens(user, purpose, token, valid_until) VALUES (?, ?, ?, ?)', [user_id, purpose, token, valid_until], (err, result, fields) => {
         if (err) {
           reject(err);
+          return;
         }
-        else {
-          const Feeder = require("./models/feeder");
-          resolve(result.length && result[0].last_responded ? new Feeder(identifier, new Date(result[0].last_responded)) : undefined);
+        resolve(result.insertId);
+      });
+    });
+  }
+
+  /**
+   * Consumes a token, and the others of the same purpose for the user
+   * @param {function(string, Array): Promise} query of a transaction
+   * @param {string} purpose
+   * @param {string} token hashed
+   * @return {Promise<number|undefined>} the user ; undefined when the token is unknown or expired
+   */
+  useUserToken(query, purpose, token) {
+    let sql = 'SELECT user FROM user_tokens WHERE purpose = ? AND token = ? AND valid_until > ?';
+    return query(sql, [purpose, token, new Date()]).then((results) => {
+      if (!results.length) {
+        return undefined;
+      }
+
+      let user = results[0].user;
+      sql = 'DELETE FROM user_tokens WHERE purpose = ? AND user = ?';
+      return query(sql, [purpose, user]).then(() => user);
+    }).catch((err) => {
+      this.queryFailed(err, sql);
+      throw err;
+    });
+  }
+
+  /**
+   * @param {string} token hashed, sent by email on registration
+   * @return {Promise<number|undefined>} the user
+   */
+  verifyEmail(token) {
+    return this.ready.then(() => {
+      return this.storage.transaction((query) => {
+        return this.useUserToken(query, 'verify', token).then((user) => {
+          if (user === undefined) {
+            return undefined;
+          }
+          return query('UPDATE users SET email_verified = ? WHERE id = ? AND email_verified IS NULL', [new Date(), user]).then(() => user);
+        });
+      });
+    });
+  }
+
+  /**
+   * Receiving the token proves the email is the user one too
+   * @param {string} token hashed, sent by email
+   * @param {string} password hashed
+   * @return {Promise<number|undefined>} the user
+   */
+  resetPassword(token, password) {
+    return this.ready.then(() => {
+      return this.storage.transaction((query) => {
+        return this.useUserToken(query, 'reset', token).then((user) => {
+          if (user === undefined) {
+            return undefined;
+          }
+          let sql = 'UPDATE users SET password = ?, email_verified = IFNULL(email_verified, ?) WHERE id = ?';
+          return query(sql, [password, new Date(), user]).then(() => user);
+        });
+      });
+    });
+  }
+
+  /**
+   * @param {{user: number, name: string, token: string, scopes: string[], feeders: number[]|null}} access the token is hashed ; null feeders for all of them
+   * @return {Promise<number>} the token id
+   */
+  createAccessToken(access) {
+    return this.ready.then(() => {
+      return this.storage.transaction((query) => {
+        let sql = 'INSERT INTO access_tokens(user, name, token, scopes, restricted) VALUES (?, ?, ?, ?, ?)';
+        return query(sql, [access.user, access.name, access.token, access.scopes.join(','), access.feeders ? 1 : 0]).then((result) => {
+          if (!access.feeders || !access.feeders.length) {
+            return result.insertId;
+          }
+          sql = 'INSERT INTO access_token_feeders(token, feeder) VALUES ' + access.feeders.map(() => '(?, ?)').join(', ');
+          let values = access.feeders.reduce((carry, feeder) => carry.concat([result.insertId, feeder]), []);
+          return query(sql, values).then(() => result.insertId);
+        }).catch((err) => {
+          this.queryFailed(err, sql);
+          throw err;
+        });
+      });
+    });
+  }
+
+  /**
+   * @param {number} user_id
+   * @return {Promise<[{id: number, user: number, name: string, scopes: string[], feeders: number[]|null, created: Date, last_used: Date|null}]>}
+   */
+  getAccessTokens(user_id) {
+    return new Promise((resolve, reject) => {
+      let query = 'SELECT t.id, t.user, t.name, t.scopes, t.restricted, GROUP_CONCAT(f.feeder) as feeders, t.created, t.last_used FROM access_tokens t ' +
+        'LEFT JOIN access_token_feeders f ON f.token = t.id ' +
+        'WHERE t.user = ? GROUP BY t.id ORDER BY t.id';
+      this.query(query, [user_id], (err, results, fields) => {
+        if (err) {
+          reject(err);
+          return;
         }
+        resolve(results.map((row) => this.parseAccessToken(row)));
       });
     });
   }
 
   /**
-   * @param {string} identifier
-   * @param {string} ip
-   * @return Promise
+   * @param {string} token hashed
+   * @return {Promise<{id: number, user: number, name: string, scopes: string[], feeders: number[]|null, created: Date, last_used: Date|null}|undefined>}
    */
-  registerFeeder(identifier, ip) {
+  getAccessToken(token) {
     return new Promise((resolve, reject) => {
-      // We try to update the feeder registry.
-      let now = new Date();
-      let date = now.toJSON().slice(0, 10) + ' ' + now.toJSON().slice(11, 19);
-      this.con.query('UPDATE feeders SET last_responded = ?, ip = ? WHERE identifier = ?', [date, ip, identifier], (err, result, fields) => {
+      let query = 'SELECT t.id, t.user, t.name, t.scopes, t.restricted, GROUP_CONCAT(f.feeder) as feeders, t.created, t.last_used FROM access_tokens t ' +
+        'LEFT JOIN access_token_feeders f ON f.token = t.id ' +
+        'WHERE t.token = ? GROUP BY t.id';
+      this.query(query, [token], (err, results, fields) => {
         if (err) {
           reject(err);
           return;
         }
+        resolve(results.length ? this.parseAccessToken(results[0]) : undefined);
+      });
+    });
+  }
 
-        if (result.affectedRows < 1) {
-          // We insert the new row in the feeder registry.
-          this.con.query('INSERT INTO feeders(identifier, name, default_value, last_responded, ip) VALUES (?, ?, ?, ?, ?)', [identifier, "", 5, date, ip], (err, result, fields) => {
-            if (err) {
-              reject(err);
-            } else {
-              resolve();
-            }
-          });
+  /**
+   * @param {{id: number, user: number, name: string, scopes: string, restricted: number, feeders: string|number|null, created: Date, last_used: Date|null}} row
+   * @return {{id: number, user: number, name: string, scopes: string[], feeders: number[]|null, created: Date, last_used: Date|null}}
+   */
+  parseAccessToken(row) {
+    let feeders = null;
+    if (row.restricted) {
+      feeders = row.feeders === null ? [] : String(row.feeders).split(',').map((feeder) => +feeder);
+    }
+    return {
+      id: row.id,
+      user: row.user,
+      name: row.name,
+      scopes: row.scopes.split(','),
+      feeders: feeders,
+      created: row.created,
+      last_used: row.last_used,
+    };
+  }
+
+  /**
+   * @param {number} token_id
+   * @return Promise
+   */
+  accessTokenUsed(token_id) {
+    return new Promise((resolve, reject) => {
+      this.query('UPDATE access_tokens SET last_used = ? WHERE id = ?', [new Date(), token_id], (err, result, fields) => {
+        if (err) {
+          reject(err);
         }
         else {
           resolve();
@@ -224,13 +472,38 @@ class DataBaseCoordinator {
   }
 
   /**
-   * @param id
-   * @param name
+   * @param {number} user_id
+   * @param {number} token_id
+   * @return {Promise<boolean>}
+   */
+  revokeAccessToken(user_id, token_id) {
+    return this.ready.then(() => {
+      return this.storage.transaction((query) => {
+        let sql = 'DELETE FROM access_tokens WHERE id = ? AND user = ?';
+        return query(sql, [token_id, user_id]).then((result) => {
+          if (result.affectedRows < 1) {
+            return false;
+          }
+          // Foreign keys are not always enforced
+          sql = 'DELETE FROM access_token_feeders WHERE token = ?';
+          return query(sql, [token_id]).then(() => true);
+        }).catch((err) => {
+          this.queryFailed(err, sql);
+          throw err;
+        });
+      });
+    });
+  }
+
+  /**
+   * A token belongs to one device, that may change of user
+   * @param {number} user_id
+   * @param {string} token
    * @return Promise
    */
-  setFeederName(id, name) {
+  registerDeviceToken(user_id, token) {
     return new Promise((resolve, reject) => {
-      this.con.query('UPDATE feeders SET name = ? WHERE id = ?', [name, id], (err, result, fields) => {
+      this.query('INSERT INTO devices(user, token) VALUES (?, ?) ' + this.storage.upsert(['token'], ['user']), [user_id, token], (err, result, fields) => {
         if (err) {
           reject(err);
         }
@@ -242,13 +515,19 @@ class DataBaseCoordinator {
   }
 
   /**
-   * @param {string} identifier
-   * @param {Quantity} quantity
+   * @param {string} token
+   * @param {number|undefined} user_id
    * @return Promise
    */
-  rememberDefaultAmount(identifier, quantity) {
+  removeDeviceToken(token, user_id = undefined) {
     return new Promise((resolve, reject) => {
-      this.con.query('UPDATE feeders SET default_value = ? WHERE identifier = ?', [quantity.amount, identifier], (err, result, fields) => {
+      let query = 'DELETE FROM devices WHERE token = ?';
+      let values = [token];
+      if (user_id !== undefined) {
+        query += ' AND user = ?';
+        values.push(user_id);
+      }
+      this.query(query, values, (err, result, fields) => {
         if (err) {
           reject(err);
         }
@@ -261,139 +540,989 @@ class DataBaseCoordinator {
 
   /**
    * @param {string} identifier
-   * @param {Quantity} quantity
-   * @return Promise
+   * @return {Promise<[{token: string, feeder: number, feeder_name: string}]>}
    */
-  recordMeal(identifier, quantity) {
+  getDeviceTokensByIdentifier(identifier) {
     return new Promise((resolve, reject) => {
-      let now = new Date();
-      let date = now.toJSON().slice(0, 10);
-      let time = now.toJSON().slice(11, 19);
-      this.con.query('INSERT INTO meals(feeder, date, time, quantity) VALUES ((SELECT id FROM feeders WHERE identifier = ?), ?, ?, ?)', [identifier, date, time, quantity.amount], (err, result, fields) => {
+      let query = 'SELECT d.token, f.id as feeder, f.name as feeder_name FROM devices d ' +
+        'JOIN feeder_members m ON m.user = d.user AND (m.expires IS NULL OR m.expires > ?) ' +
+        'JOIN feeders f ON f.id = m.feeder ' +
+        'WHERE f.identifier = ?';
+      this.query(query, [new Date(), identifier], (err, results, fields) => {
         if (err) {
           reject(err);
         }
         else {
-          resolve(result.affectedRows >= 1);
+          resolve(results);
         }
       });
     });
   }
 
   /**
-   * @param {number} id
-   * @param period
-   * @param offset
-   * @return {Promise<[{type: string, date: Date, quantity: number}]>}
+   * @param {string} identifier
+   * @param {number} user_id
+   * @return {Promise<boolean>} false when the feeder is unknown or owned
    */
-  getMealHistory(id, period, offset) {
-    return new Promise((resolve, reject) => {
-      Promise.all([
-        this.getPlannedMeals(id, period, offset),
-        this.getManualMeals(id, period, offset)
-      ]).then((results) => {
-        // Merge meals array
-        let meals = results[0].concat(results[1]);
+  claimFeeder(identifier, user_id) {
+    return this.ready.then(() => {
+      return this.storage.transaction((query) => this.recordClaim(query, identifier, user_id));
+    });
+  }
 
-        // Sort meals array by DESC dates
-        meals.sort((a, b) => { return b.date - a.date; });
+  /**
+   * @param {function(string, Array): Promise} query of a transaction
+   * @param {string} identifier
+   * @param {number} user_id
+   * @return {Promise<boolean>}
+   */
+  recordClaim(query, identifier, user_id) {
+    let sql = 'UPDATE feeders SET owner = ? WHERE owner IS NULL AND identifier = ?';
+    return query(sql, [user_id, identifier]).then((result) => {
+      if (result.affectedRows < 1) {
+        return false;
+      }
 
-        // Return them
-        resolve(meals);
-      }, reject);
+      // The owner is the first member
+      sql = 'INSERT INTO feeder_members(feeder, user, role) VALUES ((SELECT id FROM feeders WHERE identifier = ?), ?, ?) ' + this.storage.upsert(['feeder', 'user'], ['role', 'expires']);
+      return query(sql, [identifier, user_id, 'owner']).then(() => {
+        sql = 'INSERT INTO feeder_ownership_log(feeder, event, from_user, to_user, date) VALUES ((SELECT id FROM feeders WHERE identifier = ?), ?, ?, ?, ?)';
+        return query(sql, [identifier, 'claimed', null, user_id, new Date()]);
+      }).then(() => true);
+    }).catch((err) => {
+      this.queryFailed(err, sql);
+      throw err;
     });
   }
 
   /**
-   * @param {number} id
-   * @param period
-   * @param offset
-   * @return {Promise<[{type: string, date: Date, quantity: number}]>}
+   * Opens the window in which the feeder button has to be pressed to claim it
+   * @param {string} identifier
+   * @param {number} user_id
+   * @param {Date} valid_until
+   * @return {Promise<{feeder: number, user: number, valid_until: Date}|undefined>} the pairing in progress, maybe of another user ; undefined when the feeder is unknown or owned
    */
-  getPlannedMeals(id, period, offset) {
-    let dates = this._getDates(period, offset);
-    let datesArray = this._getDatesArray(dates.begin, dates.end);
+  startPairing(identifier, user_id, valid_until) {
+    return this.ready.then(() => {
+      return this.storage.transaction((query) => {
+        let sql = 'SELECT f.id, p.user, p.valid_until FROM feeders f ' +
+          'LEFT JOIN feeder_pairings p ON p.feeder = f.id AND p.valid_until > ? ' +
+          'WHERE f.identifier = ? AND f.owner IS NULL';
+        return query(sql, [new Date(), identifier]).then((results) => {
+          let feeder = results[0];
+          if (!feeder) {
+            return undefined;
+          }
 
-    // This one is tricky : get plannings from the range, and recreate meals manually
-    let query = 'SELECT p.date, GROUP_CONCAT(CONCAT(m.time, \'/\', m.quantity)) as meals ' +
-      'FROM plannings p ' +
-      'LEFT JOIN meals m ON p.id = m.planning AND m.enabled <> 0 ' +
-      'WHERE p.feeder = ? AND p.date BETWEEN ? AND ? OR p.date = (SELECT MAX(date) FROM plannings WHERE date < ?) ' +
-      'GROUP BY p.id';
+          // A button press could not tell two users apart
+          if (feeder.user && feeder.user !== user_id) {
+            return { feeder: feeder.id, user: feeder.user, valid_until: feeder.valid_until };
+          }
 
-    return new Promise((resolve, reject) => {
-      this.con.query(query, [id, dates.begin, dates.end, dates.begin], (err, result, fields) => {
-        if (err) {
-          reject(err);
-        } else {
-          let plans = result.map((row) => {
-            return {
-              date: row.date,
-              meals: row.meals.split(',').map((data) => {
-                let meal = data.split('/');
-                return {
-                  time: meal[0],
-                  quantity: meal[1]
-                };
-              })
-            };
+          sql = 'DELETE FROM feeder_pairings WHERE feeder = ?';
+          return query(sql, [feeder.id]).then(() => {
+            sql = 'INSERT INTO feeder_pairings(feeder, user, created, valid_until) VALUES (?, ?, ?, ?)';
+            return query(sql, [feeder.id, user_id, new Date(), valid_until]);
+          }).then(() => {
+            return { feeder: feeder.id, user: user_id, valid_until: valid_until };
           });
-
-          let meals = plans.map((plan, index)  => {
-            let start = plan.date;
-            let end = plan[index+1] ? plan[index+1].date : new Date(); // Today is the upper limit if there is now newer plan
-            return datesArray.map((date) => {
-              return plan.meals.map((meal) => {
-                return {
-                  type: 'planned',
-                  date: new Date(date + 'T' + meal.time), // FIXME: date issues with timezone & DST
-                  quantity: meal.quantity,
-                };
-              }).filter((meal) => {
-                return meal.date >= start && meal.date < end;
-              });
-            }).reduce((carry, meals) => {
-              return carry.concat(meals);
-            }, []);
-          }).reduce((carry, meals) => {
-            return carry.concat(meals);
-          }, []);
-
-          resolve(meals);
-        }
+        }).catch((err) => {
+          this.queryFailed(err, sql);
+          throw err;
+        });
       });
     });
   }
 
   /**
-   * @param {number} id
-   * @param period
-   * @param offset
-   * @return {Promise<[{type: string, date: Date, quantity: number}]>}
+   * @param {string} identifier
+   * @param {number} user_id
+   * @return {Promise<{id: number, owner: number|null, valid_until: Date|null}|undefined>} the feeder, with the end of the pairing window of the user
    */
-  getManualMeals(id, period, offset) {
-    let dates = this._getDates(period, offset);
-
+  getPairing(identifier, user_id) {
     return new Promise((resolve, reject) => {
-      this.con.query('SELECT * FROM meals m WHERE feeder = ? AND m.date IS NOT NULL AND m.date BETWEEN ? AND ?', [id, dates.begin, dates.end], (err, result, fields) => {
+      let query = 'SELECT f.id, f.owner, p.valid_until FROM feeders f ' +
+        'LEFT JOIN feeder_pairings p ON p.feeder = f.id AND p.user = ? ' +
+        'WHERE f.identifier = ?';
+      this.query(query, [user_id, identifier], (err, results, fields) => {
         if (err) {
           reject(err);
-        } else {
-          resolve(result.map((row) => {
-            return {
-              type: 'manual',
-              date: new Date(row.date.toISOString().split('T')[0] + 'T' + row.time),
-              quantity: row.quantity,
-            };
-          }));
+        }
+        else {
+          resolve(results[0]);
         }
       });
     });
   }
 
-  _getDates(period, offset) {
-    let dayLength = isNaN(+period) ? 7 : period;
-    let dayEnd = (isNaN(+offset) ? 0 : offset) * dayLength;
+  /**
+   * Gives the feeder to the user pairing it, when its button is pressed in time
+   * @param {string} identifier
+   * @param {Date} connected when the connection the button press came from was opened ; it must predate the pairing
+   * @return {Promise<number|undefined>} the new owner
+   */
+  completePairing(identifier, connected) {
+    return this.ready.then(() => {
+      return this.storage.transaction((query) => {
+        let sql = 'SELECT p.feeder, p.user FROM feeder_pairings p ' +
+          'JOIN feeders f ON f.id = p.feeder ' +
+          'WHERE f.identifier = ? AND f.owner IS NULL AND p.valid_until > ? AND p.created > ?';
+        return query(sql, [identifier, new Date(), connected]).then((results) => {
+          let pairing = results[0];
+          if (!pairing) {
+            return undefined;
+          }
+
+          sql = 'DELETE FROM feeder_pairings WHERE feeder = ?';
+          return query(sql, [pairing.feeder]).then(() => {
+            return this.recordClaim(query, identifier, pairing.user);
+          }).then((success) => {
+            return success ? pairing.user : undefined;
+          });
+        }).catch((err) => {
+          this.queryFailed(err, sql);
+          throw err;
+        });
+      });
+    });
+  }
+
+  /**
+   * @param {number} feeder_id
+   * @param {number} user_id
+   * @return {Promise<Object|undefined>} the feeder, with the role of the user
+   */
+  checkFeederAssociation(feeder_id, user_id) {
+    return new Promise((resolve, reject) => {
+      let query = 'SELECT f.*, m.role FROM feeders f ' +
+        'JOIN feeder_members m ON m.feeder = f.id AND m.user = ? AND (m.expires IS NULL OR m.expires > ?) ' +
+        'WHERE f.id = ?';
+      this.query(query, [user_id, new Date(), feeder_id], (err, result, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(result.length ? result[0] : undefined);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {number} feeder_id
+   * @return {Promise<[{user: number, email: string, role: string, expires: Date|null, created: Date}]>}
+   */
+  getFeederMembers(feeder_id) {
+    return new Promise((resolve, reject) => {
+      let query = 'SELECT m.user, u.email_shown as email, m.role, m.expires, m.created FROM feeder_members m ' +
+        'JOIN users u ON u.id = m.user ' +
+        'WHERE m.feeder = ? AND (m.expires IS NULL OR m.expires > ?) ORDER BY m.id';
+      this.query(query, [feeder_id, new Date()], (err, results, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(results);
+        }
+      });
+    });
+  }
+
+  /**
+   * The owner cannot be changed this way
+   * @param {number} feeder_id
+   * @param {number} user_id
+   * @param {string} role
+   * @param {Date|null} expires
+   * @return {Promise<boolean>}
+   */
+  updateFeederMember(feeder_id, user_id, role, expires) {
+    return new Promise((resolve, reject) => {
+      this.query('UPDATE feeder_members SET role = ?, expires = ? WHERE feeder = ? AND user = ? AND role <> ?', [role, expires, feeder_id, user_id, 'owner'], (err, result, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(result.affectedRows >= 1);
+        }
+      });
+    });
+  }
+
+  /**
+   * The owner cannot be removed this way
+   * @param {number} feeder_id
+   * @param {number} user_id
+   * @return {Promise<boolean>}
+   */
+  removeFeederMember(feeder_id, user_id) {
+    return new Promise((resolve, reject) => {
+      this.query('DELETE FROM feeder_members WHERE feeder = ? AND user = ? AND role <> ?', [feeder_id, user_id, 'owner'], (err, result, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(result.affectedRows >= 1);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {{feeder: number, invited_by: number, email: string, role: string, expires: Date|null, token: string, valid_until: Date}} invitation the token is hashed
+   * @return {Promise<number>} the invitation id
+   */
+  createInvitation(invitation) {
+    return new Promise((resolve, reject) => {
+      let query = 'INSERT INTO feeder_invitations(feeder, invited_by, email, role, expires, token, valid_until) VALUES (?, ?, ?, ?, ?, ?, ?)';
+      let values = [invitation.feeder, invitation.invited_by, invitation.email, invitation.role, invitation.expires, invitation.token, invitation.valid_until];
+      this.query(query, values, (err, result, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(result.insertId);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {number} feeder_id
+   * @return {Promise<[{id: number, email: string, role: string, expires: Date|null, valid_until: Date, created: Date}]>} the invitations still valid
+   */
+  getInvitations(feeder_id) {
+    return new Promise((resolve, reject) => {
+      this.query('SELECT id, email, role, expires, valid_until, created FROM feeder_invitations WHERE feeder = ? AND valid_until > ? ORDER BY id', [feeder_id, new Date()], (err, results, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(results);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {number} feeder_id
+   * @param {number} invitation_id
+   * @return {Promise<boolean>}
+   */
+  removeInvitation(feeder_id, invitation_id) {
+    return new Promise((resolve, reject) => {
+      this.query('DELETE FROM feeder_invitations WHERE feeder = ? AND id = ?', [feeder_id, invitation_id], (err, result, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(result.affectedRows >= 1);
+        }
+      });
+    });
+  }
+
+  /**
+   * Makes the user a member of the feeder ; the invitation can only be used once
+   * @param {string} token hashed
+   * @param {number} user_id
+   * @return {Promise<{feeder: number, role: string}|undefined>} undefined when the invitation is unknown or not valid anymore
+   */
+  acceptInvitation(token, user_id) {
+    return this.ready.then(() => {
+      return this.storage.transaction((query) => {
+        let sql = 'SELECT id, feeder, role, expires FROM feeder_invitations WHERE token = ? AND valid_until > ?';
+        let invitation;
+        return query(sql, [token, new Date()]).then((results) => {
+          invitation = results[0];
+          if (!invitation) {
+            return;
+          }
+
+          sql = 'DELETE FROM feeder_invitations WHERE id = ?';
+          return query(sql, [invitation.id]).then(() => {
+            // An owner stays the owner
+            sql = 'SELECT role FROM feeder_members WHERE feeder = ? AND user = ?';
+            return query(sql, [invitation.feeder, user_id]);
+          }).then((members) => {
+            if (members.length && members[0].role === 'owner') {
+              return { feeder: invitation.feeder, role: 'owner' };
+            }
+
+            sql = 'INSERT INTO feeder_members(feeder, user, role, expires) VALUES (?, ?, ?, ?) ' + this.storage.upsert(['feeder', 'user'], ['role', 'expires']);
+            return query(sql, [invitation.feeder, user_id, invitation.role, invitation.expires]).then(() => {
+              return { feeder: invitation.feeder, role: invitation.role };
+            });
+          });
+        }).catch((err) => {
+          this.queryFailed(err, sql);
+          throw err;
+        });
+      });
+    });
+  }
+
+  /**
+   * Gives the feeder up: its name, members, invitations, webhooks, commands waiting and the access tokens restricted to it are removed
+   * @param {number} feeder_id
+   * @param {number} user_id the owner
+   * @param {boolean} wipe true to remove the history and plannings too
+   * @return {Promise<boolean>} false when the user is not the owner
+   */
+  releaseFeeder(feeder_id, user_id, wipe) {
+    return this.ready.then(() => {
+      return this.storage.transaction((query) => {
+        let sql = 'UPDATE feeders SET owner = NULL, name = NULL WHERE id = ? AND owner = ?';
+        return query(sql, [feeder_id, user_id]).then((result) => {
+          if (result.affectedRows < 1) {
+            return false;
+          }
+
+          // Foreign keys are not always enforced, the rows depending on others go first
+          let conditions = [
+            'feeder_members WHERE feeder = ?',
+            'feeder_invitations WHERE feeder = ?',
+            'feeder_transfers WHERE feeder = ?',
+            'webhook_deliveries WHERE webhook IN (SELECT id FROM webhooks WHERE feeder = ?)',
+            'webhooks WHERE feeder = ?',
+            'pending_commands WHERE feeder = ?',
+            'access_token_feeders WHERE feeder = ?',
+          ];
+          if (wipe) {
+            conditions = conditions.concat([
+              'meals WHERE planning IN (SELECT id FROM plannings WHERE feeder = ?)',
+              'meals WHERE feeder = ?',
+              'plannings WHERE feeder = ?',
+              'alerts WHERE feeder = ?',
+              'feeder_connections WHERE feeder = ?',
+            ]);
+          }
+          return conditions.reduce((promise, condition) => {
+            return promise.then(() => {
+              sql = 'DELETE FROM ' + condition;
+              return query(sql, [feeder_id]);
+            });
+          }, Promise.resolve()).then(() => {
+            sql = 'INSERT INTO feeder_ownership_log(feeder, event, from_user, to_user, date) VALUES (?, ?, ?, ?, ?)';
+            return query(sql, [feeder_id, wipe ? 'released_wiped' : 'released', user_id, null, new Date()]);
+          }).then(() => true);
+        }).catch((err) => {
+          this.queryFailed(err, sql);
+          throw err;
+        });
+      });
+    });
+  }
+
+  /**
+   * Replaces the transfer waiting for the feeder, if any
+   * @param {{feeder: number, from_user: number, to_user: number, valid_until: Date}} transfer
+   * @return {Promise<number>} the transfer id
+   */
+  createTransfer(transfer) {
+    return this.ready.then(() => {
+      return this.storage.transaction((query) => {
+        let sql = 'DELETE FROM feeder_transfers WHERE feeder = ?';
+        return query(sql, [transfer.feeder]).then(() => {
+          sql = 'INSERT INTO feeder_transfers(feeder, from_user, to_user, valid_until) VALUES (?, ?, ?, ?)';
+          return query(sql, [transfer.feeder, transfer.from_user, transfer.to_user, transfer.valid_until]);
+        }).then((result) => {
+          sql = 'INSERT INTO feeder_ownership_log(feeder, event, from_user, to_user, date) VALUES (?, ?, ?, ?, ?)';
+          return query(sql, [transfer.feeder, 'transfer_requested', transfer.from_user, transfer.to_user, new Date()]).then(() => result.insertId);
+        }).catch((err) => {
+          this.queryFailed(err, sql);
+          throw err;
+        });
+      });
+    });
+  }
+
+  /**
+   * @param {number} user_id
+   * @return {Promise<[{id: number, feeder: number, feeder_name: string, from: string, created: Date, valid_until: Date}]>} the transfers the user can accept
+   */
+  getTransfersTo(user_id) {
+    return new Promise((resolve, reject) => {
+      let query = 'SELECT t.id, t.feeder, f.name as feeder_name, u.email_shown as `from`, t.created, t.valid_until FROM feeder_transfers t ' +
+        'JOIN feeders f ON f.id = t.feeder ' +
+        'JOIN users u ON u.id = t.from_user ' +
+        'WHERE t.to_user = ? AND t.valid_until > ? ORDER BY t.id';
+      this.query(query, [user_id, new Date()], (err, results, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(results);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {number} feeder_id
+   * @param {number} user_id the owner cancelling the transfer
+   * @return {Promise<boolean>}
+   */
+  cancelTransfer(feeder_id, user_id) {
+    return this.closeTransfer('feeder = ? AND from_user = ?', [feeder_id, user_id], 'transfer_cancelled');
+  }
+
+  /**
+   * @param {number} transfer_id
+   * @param {number} user_id the recipient declining the transfer
+   * @return {Promise<boolean>}
+   */
+  declineTransfer(transfer_id, user_id) {
+    return this.closeTransfer('id = ? AND to_user = ?', [transfer_id, user_id], 'transfer_declined');
+  }
+
+  /**
+   * @param {string} condition matching the transfer
+   * @param {Array} values
+   * @param {string} event the ownership log event
+   * @return {Promise<boolean>}
+   */
+  closeTransfer(condition, values, event) {
+    return this.ready.then(() => {
+      return this.storage.transaction((query) => {
+        let sql = 'SELECT id, feeder, from_user, to_user FROM feeder_transfers WHERE ' + condition;
+        return query(sql, values).then((results) => {
+          let transfer = results[0];
+          if (!transfer) {
+            return false;
+          }
+
+          sql = 'DELETE FROM feeder_transfers WHERE id = ?';
+          return query(sql, [transfer.id]).then(() => {
+            sql = 'INSERT INTO feeder_ownership_log(feeder, event, from_user, to_user, date) VALUES (?, ?, ?, ?, ?)';
+            return query(sql, [transfer.feeder, event, transfer.from_user, transfer.to_user, new Date()]);
+          }).then(() => true);
+        }).catch((err) => {
+          this.queryFailed(err, sql);
+          throw err;
+        });
+      });
+    });
+  }
+
+  /**
+   * Makes the recipient the owner ; like when it's released, the other members, invitations, webhooks and pending commands are removed
+   * @param {number} transfer_id
+   * @param {number} user_id the recipient
+   * @return {Promise<number|undefined>} the feeder id ; undefined when the transfer is unknown or not valid anymore
+   */
+  acceptTransfer(transfer_id, user_id) {
+    return this.ready.then(() => {
+      return this.storage.transaction((query) => {
+        let sql = 'SELECT t.id, t.feeder, t.from_user FROM feeder_transfers t ' +
+          'JOIN feeders f ON f.id = t.feeder AND f.owner = t.from_user ' +
+          'WHERE t.id = ? AND t.to_user = ? AND t.valid_until > ?';
+        let transfer;
+        return query(sql, [transfer_id, user_id, new Date()]).then((results) => {
+          transfer = results[0];
+          if (!transfer) {
+            return;
+          }
+
+          let steps = [
+            ['DELETE FROM feeder_transfers WHERE id = ?', [transfer.id]],
+            ['UPDATE feeders SET owner = ? WHERE id = ?', [user_id, transfer.feeder]],
+            ['DELETE FROM feeder_members WHERE feeder = ? AND user <> ?', [transfer.feeder, user_id]],
+            ['INSERT INTO feeder_members(feeder, user, role, expires) VALUES (?, ?, ?, ?) ' + this.storage.upsert(['feeder', 'user'], ['role', 'expires']), [transfer.feeder, user_id, 'owner', null]],
+            ['DELETE FROM feeder_invitations WHERE feeder = ?', [transfer.feeder]],
+            ['DELETE FROM webhooks WHERE feeder = ?', [transfer.feeder]],
+            ['DELETE FROM pending_commands WHERE feeder = ?', [transfer.feeder]],
+            ['INSERT INTO feeder_ownership_log(feeder, event, from_user, to_user, date) VALUES (?, ?, ?, ?, ?)', [transfer.feeder, 'transferred', transfer.from_user, user_id, new Date()]],
+          ];
+          return steps.reduce((promise, step) => {
+            return promise.then(() => {
+              sql = step[0];
+              return query(step[0], step[1]);
+            });
+          }, Promise.resolve()).then(() => transfer.feeder);
+        }).catch((err) => {
+          this.queryFailed(err, sql);
+          throw err;
+        });
+      });
+    });
+  }
+
+  /**
+   * @param {number} feeder_id
+   * @return {Promise<[{event: string, from: string|null, to: string|null, date: Date}]>} oldest first
+   */
+  getOwnershipLog(feeder_id) {
+    return new Promise((resolve, reject) => {
+      let query = 'SELECT l.event, fu.email_shown as `from`, tu.email_shown as `to`, l.date FROM feeder_ownership_log l ' +
+        'LEFT JOIN users fu ON fu.id = l.from_user ' +
+        'LEFT JOIN users tu ON tu.id = l.to_user ' +
+        'WHERE l.feeder = ? ORDER BY l.id';
+      this.query(query, [feeder_id], (err, results, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(results);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {string} identifier
+   * @return {Promise<{id: number, identifier: string, name: string, owner: number|null, default_value: number|null, timezone: string}|undefined>}
+   */
+  getFeederByIdentifier(identifier) {
+    return new Promise((resolve, reject) => {
+      this.query('SELECT id, identifier, name, owner, default_value, timezone FROM feeders WHERE identifier = ?', [identifier], (err, result, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(result.length ? result[0] : undefined);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {string} identifier
+   * @return Promise
+   */
+  fetchFeederLastResponded(identifier) {
+    return new Promise((resolve, reject) => {
+      this.query('SELECT last_responded FROM feeders WHERE identifier = ?', [identifier], (err, result, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          const Feeder = require("./models/feeder");
+          resolve(result.length && result[0].last_responded ? new Feeder(identifier, new Date(result[0].last_responded)) : undefined);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {string} identifier
+   * @param {string} ip
+   * @return Promise
+   */
+  registerFeeder(identifier, ip) {
+    return new Promise((resolve, reject) => {
+      // We try to update the feeder registry.
+      let now = new Date();
+      let date = now.toJSON().slice(0, 10) + ' ' + now.toJSON().slice(11, 19);
+      this.query('UPDATE feeders SET last_responded = ?, ip = ? WHERE identifier = ?', [date, ip, identifier], (err, result, fields) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        if (result.affectedRows < 1) {
+          // We insert the new row in the feeder registry.
+          this.query('INSERT INTO feeders(identifier, name, default_value, last_responded, ip) VALUES (?, ?, ?, ?, ?)', [identifier, "", 5, date, ip], (err, result, fields) => {
+            if (err) {
+              reject(err);
+            } else {
+              resolve();
+            }
+          });
+        }
+        else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {string} identifier
+   * @param {string} ip
+   * @return {Promise<number>} the connection id
+   */
+  recordConnection(identifier, ip) {
+    return new Promise((resolve, reject) => {
+      let now = new Date();
+      let date = now.toJSON().slice(0, 10) + ' ' + now.toJSON().slice(11, 19);
+      this.query('INSERT INTO feeder_connections(feeder, ip, connected) VALUES ((SELECT id FROM feeders WHERE identifier = ?), ?, ?)', [identifier, ip, date], (err, result, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(result.insertId);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {number} connection_id
+   * @return Promise
+   */
+  recordDisconnection(connection_id) {
+    return new Promise((resolve, reject) => {
+      let now = new Date();
+      let date = now.toJSON().slice(0, 10) + ' ' + now.toJSON().slice(11, 19);
+      this.query('UPDATE feeder_connections SET disconnected = ? WHERE id = ?', [date, connection_id], (err, result, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(result.affectedRows >= 1);
+        }
+      });
+    });
+  }
+
+  /**
+   * Connections still opened when the process stopped ended after the feeder last responded
+   * @return Promise
+   */
+  closeDanglingConnections() {
+    return new Promise((resolve, reject) => {
+      let disconnected = this.storage.greatest('connected', '(SELECT f.last_responded FROM feeders f WHERE f.id = feeder_connections.feeder)');
+      this.query('UPDATE feeder_connections SET disconnected = ' + disconnected + ' WHERE disconnected IS NULL', [], (err, result, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(result.affectedRows);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {number} id
+   * @param period
+   * @param offset
+   * @return {Promise<{days: {date: string, uptime: number|null}[], connections: {ip: string, connected: string, disconnected: string|null}[]}>}
+   */
+  getConnectivity(id, period, offset) {
+    let dates = this._getDates(period, offset);
+    let datesArray = this._getDatesArray(dates.begin, dates.end);
+
+    // The end day is included
+    let end = new Date(dates.end + 'T00:00:00Z');
+    end.setUTCDate(end.getUTCDate() + 1);
+    let upper = end.toJSON().slice(0, 10) + ' 00:00:00';
+
+    return new Promise((resolve, reject) => {
+      this.query('SELECT ip, connected, disconnected FROM feeder_connections WHERE feeder = ? AND connected < ? AND (disconnected IS NULL OR disconnected >= ?) ORDER BY connected', [id, upper, dates.begin + ' 00:00:00'], (err, results, fields) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        const Connectivity = require('./models/connectivity');
+        let connectivity = new Connectivity(results.map((row) => {
+          return {
+            ip: row.ip,
+            connected: new Date(row.connected),
+            disconnected: row.disconnected ? new Date(row.disconnected) : null,
+          };
+        }));
+        resolve({ days: connectivity.daily(datesArray), connections: connectivity.jsoned() });
+      });
+    });
+  }
+
+  /**
+   * @param id
+   * @param name
+   * @return Promise
+   */
+  setFeederName(id, name) {
+    return new Promise((resolve, reject) => {
+      this.query('UPDATE feeders SET name = ? WHERE id = ?', [name, id], (err, result, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(result.affectedRows >= 1);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {number} id
+   * @param {string} timezone
+   * @return Promise
+   */
+  setFeederTimezone(id, timezone) {
+    return new Promise((resolve, reject) => {
+      this.query('UPDATE feeders SET timezone = ? WHERE id = ?', [timezone, id], (err, result, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(result.affectedRows >= 1);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {string} identifier
+   * @param {Quantity} quantity
+   * @return Promise
+   */
+  rememberDefaultAmount(identifier, quantity) {
+    return new Promise((resolve, reject) => {
+      this.query('UPDATE feeders SET default_value = ? WHERE identifier = ?', [quantity.amount, identifier], (err, result, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(result.affectedRows >= 1);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {string} identifier
+   * @param {Quantity} quantity
+   * @return Promise
+   */
+  recordMeal(identifier, quantity) {
+    return new Promise((resolve, reject) => {
+      let now = new Date();
+      let date = now.toJSON().slice(0, 10);
+      let time = now.toJSON().slice(11, 19);
+      this.query('INSERT INTO meals(feeder, date, time, quantity) VALUES ((SELECT id FROM feeders WHERE identifier = ?), ?, ?, ?)', [identifier, date, time, quantity.amount], (err, result, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(result.affectedRows >= 1);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {number} id
+   * @param period
+   * @param offset
+   * @param {string} timezone the zone of the feeder plannings
+   * @return {Promise<[{type: string, date: Date, quantity: number}]>}
+   */
+  getMealHistory(id, period, offset, timezone = 'UTC') {
+    let dates = this._getDates(period, offset);
+    return this.getMealsBetween(id, dates.begin, dates.end, timezone).then((meals) => {
+      // Newest first
+      return meals.reverse();
+    });
+  }
+
+  /**
+   * @param {number} id
+   * @param {string} begin the first day, like '2018-03-21', in the feeder timezone
+   * @param {string} end the last day, included
+   * @param {string} timezone the zone of the feeder plannings
+   * @return {Promise<[{type: string, date: Date, quantity: number}]>} oldest first
+   */
+  getMealsBetween(id, begin, end, timezone = 'UTC') {
+    const Time = require('./models/time');
+    const Timezone = require('./models/timezone');
+
+    let zone = new Timezone(timezone);
+    let lower = zone.instant(begin, new Time(0, 0));
+    let upper = zone.instant(this._nextDay(end), new Time(0, 0));
+
+    return Promise.all([
+      this.getPlannedMeals(id, begin, end, timezone),
+      this.getManualMeals(id, lower.toJSON().slice(0, 10), upper.toJSON().slice(0, 10))
+    ]).then((results) => {
+      return results[0].concat(results[1]).filter((meal) => {
+        return meal.date >= lower && meal.date < upper;
+      }).sort((a, b) => {
+        return a.date - b.date;
+      });
+    });
+  }
+
+  /**
+   * @param {number} id
+   * @param {string} begin the first day, like '2018-03-21', in the feeder timezone
+   * @param {string} end the last day, included
+   * @param {string} timezone the zone of the feeder plannings
+   * @return {Promise<[{type: string, date: Date, quantity: number}]>}
+   */
+  getPlannedMeals(id, begin, end, timezone = 'UTC') {
+    const Time = require('./models/time');
+    const Timezone = require('./models/timezone');
+
+    let zone = new Timezone(timezone);
+    let datesArray = this._getDatesArray(begin, end);
+    let lower = zone.instant(begin, new Time(0, 0));
+    let upper = zone.instant(this._nextDay(end), new Time(0, 0));
+
+    // This one is tricky : get plannings from the range, and recreate meals manually
+    let query = 'SELECT p.date, GROUP_CONCAT(' + this.storage.concat('m.time', '\'/\'', 'm.quantity') + ') as meals ' +
+      'FROM plannings p ' +
+      'LEFT JOIN meals m ON p.id = m.planning AND m.enabled <> 0 ' +
+      'WHERE p.feeder = ? AND (p.date >= ? AND p.date < ? OR p.date = (SELECT MAX(date) FROM plannings WHERE feeder = ? AND date < ?)) ' +
+      'GROUP BY p.id ' +
+      'ORDER BY p.date, p.id';
+
+    return new Promise((resolve, reject) => {
+      this.query(query, [id, lower, upper, id, lower], (err, result, fields) => {
+        if (err) {
+          reject(err);
+        } else {
+          let plans = result.map((row) => {
+            return {
+              date: row.date,
+              meals: (row.meals ? row.meals.split(',') : []).map((data) => {
+                let meal = data.split('/');
+                return {
+                  time: new Time(meal[0]),
+                  quantity: +meal[1]
+                };
+              })
+            };
+          });
+
+          let meals = plans.map((plan, index)  => {
+            let start = plan.date;
+            let end = plans[index+1] ? plans[index+1].date : new Date(); // Today is the upper limit if there is now newer plan
+            return datesArray.map((date) => {
+              return plan.meals.map((meal) => {
+                return {
+                  type: 'planned',
+                  // Meal times are the local times of the feeder, whatever its offset was that day
+                  date: zone.instant(date, meal.time),
+                  quantity: meal.quantity,
+                };
+              }).filter((meal) => {
+                return meal.date >= start && meal.date < end;
+              });
+            }).reduce((carry, meals) => {
+              return carry.concat(meals);
+            }, []);
+          }).reduce((carry, meals) => {
+            return carry.concat(meals);
+          }, []);
+
+          resolve(meals);
+        }
+      });
+    });
+  }
+
+  /**
+   * Amounts given each day, computed from the totals of each planning and of the manual meals of each local day
+   * @param {number} id
+   * @param period the number of days, 30 by default
+   * @param offset the number of periods before the current one
+   * @param {string} timezone the zone the days are counted in
+   * @return Promise
+   */
+  getFeedingStats(id, period, offset, timezone = 'UTC') {
+    const FeedingStats = require('./models/feeding-stats');
+    const Time = require('./models/time');
+    const Timezone = require('./models/timezone');
+
+    let zone = new Timezone(timezone);
+    let length = isNaN(+period) || +period < 1 ? 30 : Math.min(Math.floor(+period), 366);
+    let shift = isNaN(+offset) || +offset < 0 ? 0 : Math.floor(+offset);
+
+    // Local days, oldest first
+    let last = new Date(zone.day() + 'T00:00:00Z');
+    last.setUTCDate(last.getUTCDate() - shift * length);
+    let days = [];
+    for (let index = length - 1; index >= 0; index--) {
+      let day = new Date(last.getTime());
+      day.setUTCDate(day.getUTCDate() - index);
+      days.push(day.toJSON().slice(0, 10));
+    }
+    let next = new Date(last.getTime());
+    next.setUTCDate(next.getUTCDate() + 1);
+
+    let bounds = days.concat([next.toJSON().slice(0, 10)]).map((day) => zone.instant(day, new Time(0, 0)));
+    let begin = bounds[0];
+    let end = bounds[bounds.length - 1];
+
+    let plannings = 'SELECT p.date, COALESCE(SUM(m.quantity), 0) AS quantity, COUNT(m.id) AS meals ' +
+      'FROM plannings p ' +
+      'LEFT JOIN meals m ON p.id = m.planning AND m.enabled <> 0 ' +
+      'WHERE p.feeder = ? AND (p.date BETWEEN ? AND ? OR p.date = (SELECT MAX(date) FROM plannings WHERE feeder = ? AND date < ?)) ' +
+      'GROUP BY p.id, p.date ' +
+      'ORDER BY p.date, p.id';
+
+    // Meals are stored in UTC: they are moved to the feeder day by the offset of the zone at that time
+    let day = this.storage.shiftedDay('m.date', 'm.time');
+    let manual = 'SELECT ' + day + ' AS day, SUM(m.quantity) AS quantity, COUNT(*) AS meals ' +
+      'FROM meals m ' +
+      'WHERE m.feeder = ? AND (m.date > ? OR (m.date = ? AND m.time >= ?)) AND (m.date < ? OR (m.date = ? AND m.time < ?)) ' +
+      'GROUP BY day';
+    let manualValues = (range) => {
+      let from = range.begin.toJSON();
+      let to = range.end.toJSON();
+      return [range.offset, id, from.slice(0, 10), from.slice(0, 10), from.slice(11, 19), to.slice(0, 10), to.slice(0, 10), to.slice(11, 19)];
+    };
+
+    let select = (sql, values) => {
+      return new Promise((resolve, reject) => {
+        this.query(sql, values, (err, results) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(results);
+          }
+        });
+      });
+    };
+
+    // A day changing its offset is counted by two ranges
+    let ranges = zone.offsetRanges(bounds);
+
+    return Promise.all([
+      select(plannings, [id, begin, end, id, begin]),
+      Promise.all(ranges.map((range) => select(manual, manualValues(range)))),
+      this.getCurrentPlanning(id),
+    ]).then((results) => {
+      let stats = new FeedingStats(zone, results[0].map((row) => {
+        return { date: new Date(row.date), quantity: +row.quantity, meals: +row.meals };
+      }), results[1].reduce((carry, rows) => carry.concat(rows), []).map((row) => {
+        return { day: row.day, quantity: +row.quantity, meals: +row.meals };
+      }), results[2]);
+      return stats.jsoned(days);
+    });
+  }
+
+  /**
+   * @param {number} id
+   * @param {string} begin the first day, like '2018-03-21', in UTC
+   * @param {string} end the last day, included
+   * @return {Promise<[{type: string, date: Date, quantity: number}]>}
+   */
+  getManualMeals(id, begin, end) {
+    return new Promise((resolve, reject) => {
+      this.query('SELECT * FROM meals m WHERE feeder = ? AND m.date IS NOT NULL AND m.date BETWEEN ? AND ?', [id, begin, end], (err, result, fields) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(result.map((row) => {
+            return {
+              type: 'manual',
+              date: new Date(row.date.toISOString().split('T')[0] + 'T' + row.time + 'Z'),
+              quantity: row.quantity,
+            };
+          }));
+        }
+      });
+    });
+  }
+
+  _getDates(period, offset) {
+    let dayLength = isNaN(+period) ? 7 : period;
+    let dayEnd = (isNaN(+offset) ? 0 : offset) * dayLength;
 
     let date = new Date();
     date.setDate(date.getDate() - dayEnd);
@@ -408,6 +1537,12 @@ class DataBaseCoordinator {
     };
   }
 
+  _nextDay(day) {
+    let date = new Date(day + 'T00:00:00Z');
+    date.setUTCDate(date.getUTCDate() + 1);
+    return date.toJSON().slice(0, 10);
+  }
+
   _getDatesArray(start, end) {
     let dateArray = [];
     let currentDate = new Date(start);
@@ -428,7 +1563,7 @@ class DataBaseCoordinator {
       const Meal = require('./models/meal');
 
       // Get current planning id
-      this.con.query('SELECT time, quantity, enabled FROM meals WHERE planning = (SELECT p.id FROM plannings p WHERE p.feeder = ? ORDER BY p.date DESC LIMIT 1)', [id], (err, results, fields) => {
+      this.query('SELECT time, quantity, enabled FROM meals WHERE planning = (SELECT p.id FROM plannings p WHERE p.feeder = ? ORDER BY p.date DESC, p.id DESC LIMIT 1)', [id], (err, results, fields) => {
         if (err) {
           reject(err);
           return;
@@ -444,66 +1579,138 @@ class DataBaseCoordinator {
 
   /**
    * @param {string} identifier
-   * @param {Planning} planning
-   * @return Promise
+   * @return {Promise<{planning: Planning, timezone: string, offset: number}|undefined>} the planning with the UTC offset it was sent with
    */
-  recordPlanning(identifier, planning) {
+  getCurrentPlanningByIdentifier(identifier) {
     return new Promise((resolve, reject) => {
-      let connection = this.con;
-      connection.beginTransaction((err) => {
+      let sql = 'SELECT f.id, f.timezone, p.utc_offset FROM feeders f ' +
+        'JOIN plannings p ON p.id = (SELECT id FROM plannings WHERE feeder = f.id ORDER BY date DESC, id DESC LIMIT 1) ' +
+        'WHERE f.identifier = ?';
+
+      this.query(sql, [identifier], (err, result, fields) => {
         if (err) {
           reject(err);
           return;
         }
+        if (!result.length) {
+          resolve(undefined);
+          return;
+        }
 
-        let now = new Date();
-        let date = now.toJSON().slice(0, 10) + ' ' + now.toJSON().slice(11, 19);
+        this.getCurrentPlanning(result[0].id).then((planning) => {
+          resolve({ planning: planning, timezone: result[0].timezone, offset: result[0].utc_offset });
+        }, reject);
+      });
+    });
+  }
 
-        // We register the planning in the database
-        connection.query('INSERT INTO plannings(feeder, date) VALUES ((SELECT id FROM feeders WHERE identifier = ?), ?)', [identifier, date], (err, result, fields) => {
-          if (err) {
-            connection.rollback(() => {
-              reject(err);
-            });
-            return;
-          }
+  /**
+   * @param {string} identifier
+   * @param {Planning} planning meals in the local time of the feeder
+   * @param {number} offset the UTC offset of the feeder zone when the planning was sent, in minutes
+   * @return Promise
+   */
+  recordPlanning(identifier, planning, offset = 0) {
+    let now = new Date();
+    let date = now.toJSON().slice(0, 10) + ' ' + now.toJSON().slice(11, 19);
 
+    return this.ready.then(() => {
+      return this.storage.transaction((query) => {
+        // We register the planning in the database
+        let sql = 'INSERT INTO plannings(feeder, date, utc_offset) VALUES ((SELECT id FROM feeders WHERE identifier = ?), ?, ?)';
+        return query(sql, [identifier, date, offset]).then((result) => {
           if (planning.mealsCount() === 0) {
-            connection.commit((err) => {
-              if (err) {
-                connection.rollback(() => {
-                  reject(err);
-                });
-                return;
-              }
-
-              resolve();
-            });
             return;
           }
 
           // We then insert all meals in the table meals
           let meals = planning.sqled(result.insertId);
-          connection.query('INSERT INTO meals(planning, time, quantity, enabled) VALUES ?', [meals], (err, result, fields) => {
-            if (err) {
-              connection.rollback(() => {
-                reject(err);
-              });
-              return;
-            }
+          sql = 'INSERT INTO meals(planning, time, quantity, enabled) VALUES ' + meals.map(() => '(?, ?, ?, ?)').join(', ');
+          return query(sql, [].concat.apply([], meals));
+        }).catch((err) => {
+          this.queryFailed(err, sql);
+          throw err;
+        });
+      });
+    });
+  }
+
+  /**
+   * Keep a command to send to the feeder once it's reachable again
+   * @param {string} identifier
+   * @param {string} type
+   * @param {*} data
+   * @return Promise
+   */
+  queueCommand(identifier, type, data) {
+    return new Promise((resolve, reject) => {
+      let now = new Date();
+      let date = now.toJSON().slice(0, 10) + ' ' + now.toJSON().slice(11, 19);
+      let json = Buffer.from(JSON.stringify(data));
+
+      this.query('INSERT INTO pending_commands(feeder, type, date, data) VALUES ((SELECT id FROM feeders WHERE identifier = ?), ?, ?, ?)', [identifier, type, date, json], (err, result, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(result.affectedRows >= 1);
+        }
+      });
+    });
+  }
 
-            connection.commit((err) => {
-              if (err) {
-                connection.rollback(() => {
-                  reject(err);
-                });
-                return;
-              }
+  /**
+   * Only the latest command of each type is returned, since it supersedes the older ones
+   * @param {string} identifier
+   * @return {Promise<[{id: number, type: string, date: Date, data: *}]>}
+   */
+  getPendingCommands(identifier) {
+    let query = 'SELECT c.id, c.type, c.date, c.data FROM pending_commands c ' +
+      'JOIN feeders f ON f.id = c.feeder ' +
+      'WHERE f.identifier = ? AND c.id = (SELECT MAX(id) FROM pending_commands WHERE feeder = c.feeder AND type = c.type) ' +
+      'ORDER BY c.id';
 
-              resolve();
-            });
-          });
-        });
+    return new Promise((resolve, reject) => {
+      this.query(query, [identifier], (err, results, fields) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        resolve(results.map((row) => {
+          return {
+            id: row.id,
+            type: row.type,
+            date: row.date,
+            data: JSON.parse(row.data.toString()),
+          };
+        }));
+      });
+    });
+  }
+
+  /**
+   * @param {string} identifier
+   * @param {string} type
+   * @param {number|undefined} id the last command sent ; newer ones are kept. Every command of the type is removed when undefined
+   * @return Promise
+   */
+  removePendingCommands(identifier, type, id = undefined) {
+    let query = 'DELETE FROM pending_commands WHERE feeder = (SELECT id FROM feeders WHERE identifier = ?) AND type = ?';
+    let values = [identifier, type];
+    if (id !== undefined) {
+      query += ' AND id <= ?';
+      values.push(id);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.query(query, values, (err, result, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(result.affectedRows >= 1);
+        }
       });
     });
   }
@@ -520,7 +1727,219 @@ class DataBaseCoordinator {
       let date = now.toJSON().slice(0, 10) + ' ' + now.toJSON().slice(11, 19);
       let json = Buffer.from(JSON.stringify(data));
 
-      this.con.query('INSERT INTO alerts(feeder, type, date, data) VALUES ((SELECT id FROM feeders WHERE identifier = ?), ?, ?, ?)', [identifier, type, date, json], (err, result, fields) => {
+      this.query('INSERT INTO alerts(feeder, type, date, data) VALUES ((SELECT id FROM feeders WHERE identifier = ?), ?, ?, ?)', [identifier, type, date, json], (err, result, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(result.affectedRows >= 1);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {number} feeder_id
+   * @param {Date} begin
+   * @param {Date} end excluded
+   * @return {Promise<[{id: number, type: string, date: Date, data: *}]>} oldest first
+   */
+  getAlertsBetween(feeder_id, begin, end) {
+    return new Promise((resolve, reject) => {
+      this.query('SELECT id, type, date, data FROM alerts WHERE feeder = ? AND date >= ? AND date < ? ORDER BY date, id', [feeder_id, begin, end], (err, results, fields) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        resolve(results.map((row) => {
+          return { id: row.id, type: row.type, date: new Date(row.date), data: this._decodeData(row.data) };
+        }));
+      });
+    });
+  }
+
+  /**
+   * @param {number} feeder_id
+   * @param {string|undefined} type only the alerts of this type
+   * @param {boolean} dismissed true to include the dismissed alerts
+   * @param limit
+   * @param offset
+   * @return {Promise<[{id: number, type: string, date: Date, data: *, acknowledged: Date|null, dismissed: Date|null}]>} newest first
+   */
+  getAlerts(feeder_id, type, dismissed, limit, offset) {
+    let count = isNaN(+limit) ? 50 : Math.min(Math.max(Math.floor(+limit), 1), 500);
+    let skip = isNaN(+offset) ? 0 : Math.max(Math.floor(+offset), 0);
+
+    let query = 'SELECT id, type, date, data, acknowledged, dismissed FROM alerts WHERE feeder = ?';
+    let values = [feeder_id];
+    if (type) {
+      query += ' AND type = ?';
+      values.push(type);
+    }
+    if (!dismissed) {
+      query += ' AND dismissed IS NULL';
+    }
+    query += ' ORDER BY date DESC, id DESC LIMIT ? OFFSET ?';
+
+    return new Promise((resolve, reject) => {
+      this.query(query, values.concat([count, skip]), (err, results, fields) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        resolve(results.map((row) => {
+          return {
+            id: row.id,
+            type: row.type,
+            date: row.date,
+            data: this._decodeData(row.data),
+            acknowledged: row.acknowledged,
+            dismissed: row.dismissed,
+          };
+        }));
+      });
+    });
+  }
+
+  /**
+   * @param {number} feeder_id
+   * @return {Promise<number>} the number of alerts neither acknowledged nor dismissed
+   */
+  countUnreadAlerts(feeder_id) {
+    return new Promise((resolve, reject) => {
+      this.query('SELECT COUNT(*) AS count FROM alerts WHERE feeder = ? AND acknowledged IS NULL AND dismissed IS NULL', [feeder_id], (err, results, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(+results[0].count);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {number} feeder_id
+   * @param {number|undefined} alert_id every alert of the feeder when not given
+   * @return {Promise<number>} the number of alerts acknowledged
+   */
+  acknowledgeAlerts(feeder_id, alert_id = undefined) {
+    let query = 'UPDATE alerts SET acknowledged = ? WHERE feeder = ? AND acknowledged IS NULL';
+    let values = [new Date(), feeder_id];
+    if (alert_id !== undefined) {
+      query += ' AND id = ?';
+      values.push(alert_id);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.query(query, values, (err, result, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(result.affectedRows);
+        }
+      });
+    });
+  }
+
+  /**
+   * Dismissed alerts are hidden, but kept in the feeder history
+   * @param {number} feeder_id
+   * @param {number} alert_id
+   * @return {Promise<boolean>}
+   */
+  dismissAlert(feeder_id, alert_id) {
+    return new Promise((resolve, reject) => {
+      this.query('UPDATE alerts SET dismissed = ? WHERE feeder = ? AND id = ? AND dismissed IS NULL', [new Date(), feeder_id, alert_id], (err, result, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(result.affectedRows >= 1);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {Buffer|string|null} data JSON kept in a blob
+   * @return {*} null when there is nothing readable
+   */
+  _decodeData(data) {
+    if (data === null || data === undefined) {
+      return null;
+    }
+    try {
+      return JSON.parse(data.toString());
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * @param {number} feeder_id
+   * @return {Promise<[{id: number, feeder: number, url: string, created: Date}]>}
+   */
+  getWebhooks(feeder_id) {
+    return new Promise((resolve, reject) => {
+      this.query('SELECT id, feeder, url, created FROM webhooks WHERE feeder = ? ORDER BY id', [feeder_id], (err, results, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(results);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {string} identifier
+   * @return {Promise<[{id: number, feeder: number, url: string, secret: string}]>}
+   */
+  getWebhooksByIdentifier(identifier) {
+    return new Promise((resolve, reject) => {
+      this.query('SELECT w.id, w.feeder, w.url, w.secret FROM webhooks w JOIN feeders f ON f.id = w.feeder WHERE f.identifier = ?', [identifier], (err, results, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(results);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {number} feeder_id
+   * @param {string} url
+   * @param {string} secret
+   * @return {Promise<number>} the webhook id
+   */
+  createWebhook(feeder_id, url, secret) {
+    return new Promise((resolve, reject) => {
+      this.query('INSERT INTO webhooks(feeder, url, secret) VALUES (?, ?, ?)', [feeder_id, url, secret], (err, result, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(result.insertId);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {number} feeder_id
+   * @param {number} webhook_id
+   * @return Promise
+   */
+  deleteWebhook(feeder_id, webhook_id) {
+    return new Promise((resolve, reject) => {
+      this.query('DELETE FROM webhooks WHERE feeder = ? AND id = ?', [feeder_id, webhook_id], (err, result, fields) => {
         if (err) {
           reject(err);
         }
@@ -531,6 +1950,101 @@ class DataBaseCoordinator {
     });
   }
 
+  /**
+   * Only the latest deliveries of the webhook are kept
+   * @param {number} webhook_id
+   * @param {string} event
+   * @param {number} attempt
+   * @param {number|null} status the HTTP status code, if any
+   * @param {string|null} error
+   * @param {string} payload
+   * @return Promise
+   */
+  recordWebhookDelivery(webhook_id, event, attempt, status, error, payload) {
+    let now = new Date();
+    let date = now.toJSON().slice(0, 10) + ' ' + now.toJSON().slice(11, 19);
+    let message = error ? error.substring(0, 255) : null;
+
+    return this.ready.then(() => {
+      return this.storage.transaction((query) => {
+        let sql = 'INSERT INTO webhook_deliveries(webhook, event, date, attempt, status, error, payload) VALUES (?, ?, ?, ?, ?, ?, ?)';
+        let recorded;
+        return query(sql, [webhook_id, event, date, attempt, status, message, Buffer.from(payload)]).then((result) => {
+          recorded = result.affectedRows >= 1;
+          sql = 'SELECT id FROM webhook_deliveries WHERE webhook = ? ORDER BY id DESC LIMIT 1 OFFSET ?';
+          return query(sql, [webhook_id, WEBHOOK_DELIVERIES_KEPT]);
+        }).then((results) => {
+          if (results.length === 0) {
+            return;
+          }
+          sql = 'DELETE FROM webhook_deliveries WHERE webhook = ? AND id <= ?';
+          return query(sql, [webhook_id, results[0].id]);
+        }).then(() => recorded).catch((err) => {
+          this.queryFailed(err, sql);
+          throw err;
+        });
+      });
+    });
+  }
+
+  /**
+   * @param {number} feeder_id
+   * @param {number} webhook_id
+   * @param limit
+   * @param offset
+   * @return {Promise<[{id: number, event: string, date: Date, attempt: number, status: number|null, error: string|null, payload: *}]>}
+   */
+  getWebhookDeliveries(feeder_id, webhook_id, limit, offset) {
+    let count = isNaN(+limit) ? 50 : Math.min(Math.max(Math.floor(+limit), 1), 500);
+    let skip = isNaN(+offset) ? 0 : Math.max(Math.floor(+offset), 0);
+
+    let query = 'SELECT d.id, d.event, d.date, d.attempt, d.status, d.error, d.payload FROM webhook_deliveries d ' +
+      'JOIN webhooks w ON w.id = d.webhook ' +
+      'WHERE w.feeder = ? AND w.id = ? ORDER BY d.id DESC LIMIT ? OFFSET ?';
+
+    return new Promise((resolve, reject) => {
+      this.query(query, [feeder_id, webhook_id, count, skip], (err, results, fields) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        resolve(results.map((row) => {
+          return {
+            id: row.id,
+            event: row.event,
+            date: row.date,
+            attempt: row.attempt,
+            status: row.status,
+            error: row.error,
+            payload: JSON.parse(row.payload.toString()),
+          };
+        }));
+      });
+    });
+  }
+
+  /**
+   * @param {string} identifier
+   * @return {Promise<[{email: string, feeder_name: string, feeder_timezone: string}]>}
+   */
+  getAlertRecipients(identifier) {
+    return new Promise((resolve, reject) => {
+      let query = 'SELECT u.email_shown as email, f.name as feeder_name, f.timezone as feeder_timezone FROM feeders f ' +
+        'JOIN feeder_members m ON m.feeder = f.id AND (m.expires IS NULL OR m.expires > ?) ' +
+        'JOIN users u ON u.id = m.user ' +
+        'WHERE f.identifier = ? AND u.email_alerts <> 0';
+      this.query(query, [new Date(), identifier], (err, results, fields) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(results);
+        }
+      });
+    });
+  }
+
   /**
    * @param {string} type
    * @param {Buffer} data
@@ -550,7 +2064,7 @@ class DataBaseCoordinator {
       let now = new Date();
       let date = now.toJSON().slice(0, 10) + ' ' + now.toJSON().slice(11, 19);
 
-      this.con.query('INSERT INTO unknown_data(date, type, ip, data) VALUES (?, ?, ?, ?)', [date, type.substring(0, 64), ip, data], (err, result, fields) => {
+      this.query('INSERT INTO unknown_data(date, type, ip, data) VALUES (?, ?, ?, ?)', [date, type.substring(0, 64), ip, data], (err, result, fields) => {
         if (err) {
           reject(err);
         }
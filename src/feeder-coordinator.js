@@ -16,42 +16,113 @@ CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
 
 "use strict";
 
+const EventEmitter = require('events');
 const net = require('net');
 
+const CommandError = require("./command-error");
+const CommandQueue = require("./command-queue");
 const Feeder = require("./models/feeder");
+const FrameDecoder = require("./frame-decoder");
+const Logger = require("./logger");
+const MessageCodec = require("./message-codec");
+const Metrics = require("./metrics");
 const ResponseBuilder = require("./response-builder");
 const Time = require("./models/time");
 const Quantity = require("./models/quantity");
-
-class FeederCoordinator {
+const Meal = require("./models/meal");
+const Planning = require("./models/planning");
+const Timezone = require("./models/timezone");
+
+const logger = Logger.child({ module: 'coordinator' });
+
+// DST transitions happen on the hour or half hour: check often enough to follow them closely
+const OFFSET_CHECK_INTERVAL = 15 * 60 * 1000;
+
+/**
+ * Emits 'activity' events ({identifier: string, type: string, date: Date, data: Object}) when:
+ * - a feeder goes online or offline
+ * - a meal is given using the feeder button
+ * - a feeder is empty
+ * - a feeder acknowledges a command
+ * - a meal asked through the API has been given
+ *
+ * Emits 'alert' events ({identifier: string, type: string, date: Date, data: Object}) once an alert is logged.
+ */
+class FeederCoordinator extends EventEmitter {
 
   /**
-   * @param {{feeder_port: number, feeder_list: string[]|undefined, feeder_mode: string|undefined}} config
+   * @param {{feeder_port: number, feeder_list: string[]|undefined, feeder_mode: string|undefined, enable_outbox: boolean|undefined, command_timeout: number|undefined, command_retries: number|undefined, command_retry_delay: number|undefined}} config
    * @param {DataBaseCoordinator} database
    */
   constructor(config, database) {
+    super();
+
+    // Every event stream is listening
+    this.setMaxListeners(0);
 
     /**
      * @type {Object.<string, Feeder>}
      */
     this.feeders = {};
+
+    /**
+     * @type {Object.<string, CommandQueue>}
+     */
+    this.queues = {};
+
+    /**
+     * The sending of the commands kept while each feeder was offline ; newer commands wait for it
+     * @type {Object.<string, Promise>}
+     */
+    this.flushing = {};
+
+    /**
+     * The connection history id of each identified socket
+     * @type {Map<net.Socket, Promise<number>>}
+     */
+    this.connections = new Map();
+
+    this.config = config;
     this.database = database;
 
+    // Connections opened before a restart are over
+    database.closeDanglingConnections().catch((err) => {
+      logger.error('Could not close previous connections', { err: err });
+    });
+
     const server = net.createServer((socket) => {
       this.handleSocketConnection(socket, config);
     });
 
     server.on('error', (err) => {
-      console.log('Error occurred: ' + err);
+      logger.error('Feeder server error', { err: err });
     });
 
     // Listen on given port ; that will be called by device
     server.listen(config.feeder_port, () => {
-      console.log('Listening to port', config.feeder_port);
+      logger.info('Listening to feeders', { port: config.feeder_port });
     });
+    this.server = server;
+
+    // Plannings are sent in UTC: send them again when the offset of the feeder zone changes
+    this.offsetTimer = setInterval(() => {
+      this.checkPlanningOffsets();
+    }, OFFSET_CHECK_INTERVAL);
+    this.offsetTimer.unref();
 
   }
 
+  /**
+   * Stop listening to feeders ; connected ones are not closed
+   * @return Promise
+   */
+  close () {
+    clearInterval(this.offsetTimer);
+    return new Promise((resolve, reject) => {
+      this.server.close(() => resolve());
+    });
+  }
+
   /**
    * @param {net.Socket} socket
    * @param {{feeder_list: string[]|undefined, feeder_mode: string|undefined}} config
@@ -59,40 +130,107 @@ class FeederCoordinator {
   handleSocketConnection (socket, config) {
 
     let ip = socket.remoteAddress + ":" + socket.remotePort;
-    console.log('Client connected:', ip);
+    logger.info('Client connected', { ip: ip });
+
+    // The feeder messages may be split or glued together by TCP
+    let decoder = new FrameDecoder();
+
     socket.on('end', () => {
-      console.log('Client disconnected:', ip);
+      if (decoder.pending().length) {
+        logger.warn('Incomplete data dropped', { ip: ip, data: decoder.pending().toString('hex') });
+      }
+    });
+    socket.on('error', (err) => {
+      // The socket is closed right after
+      logger.warn('Socket error', { ip: ip, err: err });
+    });
+    socket.on('close', () => {
+      this.socketClosed(socket, ip);
     });
     socket.on('data', (data) => {
-      this.socketDataRetrieved(data, ip, socket);
+      decoder.push(data).forEach((frame) => {
+        if (!socket.destroyed) {
+          this.socketDataRetrieved(frame, ip, socket);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {net.Socket} socket
+   * @param {string} ip
+   * @return Promise
+   */
+  socketClosed (socket, ip) {
+    logger.info('Client disconnected', { ip: ip });
+
+    Object.keys(this.feeders).forEach((identifier) => {
+      if (!this.feeders[identifier].hasDisconnected(socket)) {
+        return;
+      }
+      if (identifier in this.queues) {
+        this.queues[identifier].cancel(new CommandError('Feeder disconnected', 'offline'));
+      }
+      logger.info('Feeder offline', { feeder: identifier });
+      Metrics.connectedFeeders.dec();
+      this.notify(identifier, 'offline');
+    });
+
+    if (!this.connections.has(socket)) {
+      return Promise.resolve();
+    }
+
+    let connection = this.connections.get(socket);
+    this.connections.delete(socket);
+    return connection.then((id) => {
+      return this.database.recordDisconnection(id);
+    }).catch((err) => {
+      logger.error('Could not record disconnection', { ip: ip, err: err });
     });
   }
 
   /**
+   * Handles a single message sent by a feeder
    * @param {Buffer} data
    * @param {string} ip
    * @param {net.Socket} socket
    * @return Promise
    */
   socketDataRetrieved (data, ip, socket) {
-    console.log('Data received from', ip, ':', data.toString('hex'));
+    logger.debug('Data received', { ip: ip, data: data.toString('hex') });
+
+    let treatedData = MessageCodec.decode(data, MessageCodec.FROM_FEEDER) || { type: 'unknown' };
+    if (treatedData.type === 'unknown') {
+      Metrics.unknownFrames.inc();
+    }
+    else {
+      Metrics.messagesReceived.inc({ type: treatedData.type });
+    }
 
-    let treatedData = ResponseBuilder.recognize(data);
     switch (treatedData.type) {
       case 'identification':
         return this.identifyFeeder(treatedData.identifier, ip, socket);
       case 'manual_meal':
         let quantity = new Quantity(treatedData.amount);
-        return this.recordManualMeal(treatedData.identifier, quantity);
+        return this.recordManualMeal(treatedData.identifier, quantity, socket);
       case 'empty_feeder':
         let time = new Time(treatedData.hours, treatedData.minutes);
         let plannedQuantity = new Quantity(treatedData.amount);
         return this.recordEmptyFeeder(treatedData.identifier, time, plannedQuantity);
       case 'expectation':
-        // Don't do a thing for expectations.
+        // Anyone can send the identifier of a feeder: only its own connection acknowledges its commands
+        let feeder = this.feeders[treatedData.identifier];
+        if (feeder === undefined || feeder.socket !== socket) {
+          logger.warn('Acknowledgement from another connection ignored', { feeder: treatedData.identifier, ip: ip });
+          return Promise.resolve();
+        }
+        if (treatedData.identifier in this.queues && this.queues[treatedData.identifier].acknowledge(treatedData.action)) {
+          this.notify(treatedData.identifier, 'acknowledgement', { action: treatedData.action });
+        }
         return new Promise((resolve, reject) => { resolve(); });
     }
 
+    logger.warn('Unknown data received', { ip: ip, data: data.toString('hex') });
     socket.destroy();
     return this.database.logUnknownData('Unknown response', data, ip);
   }
@@ -104,8 +242,9 @@ class FeederCoordinator {
    * @return Promise
    */
   identifyFeeder (identifier, ip, socket) {
-    console.log('Feeder identified with', identifier);
+    logger.debug('Feeder identified', { feeder: identifier, ip: ip });
 
+    let wasOnline = identifier in this.feeders && this.feeders[identifier].socket !== undefined;
     if (identifier in this.feeders) {
       this.feeders[identifier].hasResponded(socket);
     }
@@ -113,30 +252,76 @@ class FeederCoordinator {
       this.feeders[identifier] = new Feeder(identifier, socket);
     }
 
+    if (!wasOnline) {
+      logger.info('Feeder online', { feeder: identifier, ip: ip });
+      Metrics.connectedFeeders.inc();
+      this.notify(identifier, 'online');
+    }
+
     // Maintain the connection with the socket
     socket.setKeepAlive(true, 30000);
 
+    // Register it in database
+    let registration = this.database.registerFeeder(identifier, ip);
+
+    // The feeder identifies itself regularly ; only the first identification opens the connection
+    let connecting = !this.connections.has(socket);
+    if (connecting) {
+      this.connections.set(socket, registration.then(() => {
+        return this.database.recordConnection(identifier, ip);
+      }));
+    }
+
+    // Then send what was asked while it was offline, before anything asked from now on
+    if (connecting) {
+      this.flushPendingCommands(identifier, registration).catch((err) => {
+        logger.error('Could not send pending commands', { feeder: identifier, err: err });
+      });
+    }
+
     return Promise.all([
       // Send it back the time
       this.send(identifier, ResponseBuilder.time()),
-      // Register it in database
-      this.database.registerFeeder(identifier, ip),
+      registration,
     ]);
   }
 
   /**
    * @param {String} identifier
    * @param {Quantity} quantity
+   * @param {net.Socket} socket
    * @return Promise
    */
-  recordManualMeal (identifier, quantity) {
-    // TODO: Later, push notification sending?
+  recordManualMeal (identifier, quantity, socket) {
+    this.notify(identifier, 'manual_meal', { amount: quantity.amount });
     return Promise.all([
       this.database.recordMeal(identifier, quantity),
       this.database.rememberDefaultAmount(identifier, quantity),
+      this.completePairing(identifier, socket),
     ]);
   }
 
+  /**
+   * Pressing the feeder button proves the user pairing it has it at hand
+   * @param {string} identifier
+   * @param {net.Socket} socket the connection the button press came from
+   * @return {Promise<number|undefined>} the new owner
+   */
+  completePairing (identifier, socket) {
+    // Anyone can identify as any feeder, and its connection then replaces the one of the feeder.
+    // A connection opened once the pairing started could be anyone's: only an older one may complete it.
+    if (!(identifier in this.feeders) || this.feeders[identifier].socket !== socket) {
+      return Promise.resolve(undefined);
+    }
+
+    return this.database.completePairing(identifier, this.feeders[identifier].connected).then((user) => {
+      if (user !== undefined) {
+        logger.info('Feeder claimed', { feeder: identifier, user: user });
+      }
+      return user;
+    });
+  }
+
   /**
    * @param {String} identifier
    * @param {Time} time
@@ -144,14 +329,36 @@ class FeederCoordinator {
    * @return Promise
    */
   recordEmptyFeeder (identifier, time, quantity) {
-    // TODO: Later, push notification sending?
-    return this.database.logAlert(identifier, 'empty', {
+    this.notify(identifier, 'empty_feeder', { hours: time.hours, minutes: time.minutes, amount: quantity.amount });
+    return this.logAlert(identifier, 'empty', {
       hours: time.hours,
       minutes: time.minutes,
       amount: quantity.amount
     });
   }
 
+  /**
+   * @param {string} identifier
+   * @param {string} type
+   * @param {Object} data
+   * @return Promise
+   */
+  logAlert (identifier, type, data) {
+    return this.database.logAlert(identifier, type, data).then((result) => {
+      this.emit('alert', { identifier: identifier, type: type, date: new Date(), data: data });
+      return result;
+    });
+  }
+
+  /**
+   * @param {string} identifier
+   * @param {string} type
+   * @param {Object} data
+   */
+  notify (identifier, type, data = {}) {
+    this.emit('activity', { identifier: identifier, type: type, date: new Date(), data: data });
+  }
+
   /**
    * @param {string} identifier
    * @param {Buffer} data
@@ -169,40 +376,23 @@ class FeederCoordinator {
   }
 
   /**
+   * Queue a command for the feeder, and wait for it to be acknowledged
    * @param {string} identifier
    * @param {Buffer} data
-   * @param {Buffer} expectation
+   * @param {string} action the action acknowledged by the feeder
+   * @param {number|undefined} retries
    * @return Promise
    */
-  sendAndWait(identifier, data, expectation) {
-    return new Promise((resolve, reject) => {
-      if (!(identifier in this.feeders)) {
-        reject(new Error('Feeder socket not opened'));
-        return;
-      }
-
-      let feeder = this.feeders[identifier];
-
-      // Prepare a timeout for execution
-      let timeout = setTimeout(() => {
-        feeder.socket.removeListener('data', expectationListener);
-        reject(new Error('Timeout occurred'));
-      }, 5000);
-
-      let expectationListener = (data) => {
-        if (data.toString('hex') === expectation.toString('hex')) {
-          resolve();
-          feeder.socket.removeListener('data', expectationListener);
-          clearTimeout(timeout);
-        }
-      };
+  sendAndWait(identifier, data, action, retries = undefined) {
+    if (!(identifier in this.feeders) || this.feeders[identifier].socket === undefined) {
+      return Metrics.observeCommand(action, Promise.reject(new CommandError('Feeder socket not opened', 'offline')));
+    }
 
-      // Listen for the expectation
-      feeder.socket.on('data', expectationListener);
+    if (!(identifier in this.queues)) {
+      this.queues[identifier] = new CommandQueue((data) => this.send(identifier, data), this.config, logger.child({ feeder: identifier }));
+    }
 
-      // Write to the feeder
-      feeder.send(data);
-    });
+    return Metrics.observeCommand(action, this.queues[identifier].push(action, data, retries));
   }
 
   /**
@@ -224,34 +414,199 @@ class FeederCoordinator {
   /**
    * @param {String} identifier
    * @param {Quantity} quantity
-   * @return Promise
+   * @return {Promise<{pending: boolean}>}
    */
   setDefaultQuantity (identifier, quantity) {
+    return this.afterFlush(identifier).then(() => this.sendDefaultQuantity(identifier, quantity));
+  }
+
+  /**
+   * @param {String} identifier
+   * @param {Planning} planning meals in the local time of the feeder
+   * @return {Promise<{pending: boolean}>}
+   */
+  setPlanning (identifier, planning) {
+    return this.afterFlush(identifier).then(() => this.sendPlanning(identifier, planning));
+  }
+
+  /**
+   * @param {String} identifier
+   * @param {Quantity} quantity
+   * @return {Promise<{pending: boolean}>}
+   */
+  sendDefaultQuantity (identifier, quantity) {
     return new Promise((resolve, reject) => {
       let data = ResponseBuilder.changeDefaultQuantity(quantity);
-      let expectation = ResponseBuilder.changeDefaultQuantityExpectation(identifier);
 
-      this.sendAndWait(identifier, data, expectation).then(() => {
+      this.sendAndWait(identifier, data, 'change_default_quantity').then(() => {
         this.database.rememberDefaultAmount(identifier, quantity);
-        resolve();
-      }, reject);
+        return this.dropPendingCommands(identifier, 'change_default_quantity');
+      }).then(() => {
+        resolve({ pending: false });
+      }).catch((err) => {
+        this.deferIfOffline(identifier, 'change_default_quantity', { quantity: quantity.amount }, err).then(resolve, reject);
+      });
     });
   }
 
 
   /**
    * @param {String} identifier
-   * @param {Planning} planning
-   * @return Promise
+   * @param {Planning} planning meals in the local time of the feeder
+   * @return {Promise<{pending: boolean}>}
    */
-  setPlanning (identifier, planning) {
+  sendPlanning (identifier, planning) {
     return new Promise((resolve, reject) => {
-      let data = ResponseBuilder.changePlanning(planning);
-      let expectation = ResponseBuilder.changePlanningExpectation(identifier);
+      this.database.getFeederByIdentifier(identifier).then((feeder) => {
+        // The feeder works in UTC, while the planning is in its local time
+        let timezone = new Timezone(feeder ? feeder.timezone : undefined);
+        let offset = timezone.offset();
+        let data = ResponseBuilder.changePlanning(planning.utc(timezone));
+
+        return this.sendAndWait(identifier, data, 'change_planning').then(() => {
+          return Promise.all([
+            this.database.recordPlanning(identifier, planning, offset),
+            this.dropPendingCommands(identifier, 'change_planning'),
+          ]);
+        });
+      }).then(() => {
+        resolve({ pending: false });
+      }).catch((err) => {
+        this.deferIfOffline(identifier, 'change_planning', { meals: planning.jsoned() }, err).then(resolve, reject);
+      });
+    });
+  }
 
-      this.sendAndWait(identifier, data, expectation).then(() => {
-        this.database.recordPlanning(identifier, planning).then(resolve, reject);
-      }, reject);
+  /**
+   * Send the planning again if the UTC offset of the feeder zone is not the one it was sent with
+   * @param {string} identifier
+   * @return {Promise<boolean>} true when the planning has been sent again
+   */
+  syncPlanningOffset (identifier) {
+    return this.database.getCurrentPlanningByIdentifier(identifier).then((current) => {
+      if (current === undefined) {
+        return false;
+      }
+
+      let timezone = new Timezone(current.timezone);
+      if (timezone.offset() === current.offset) {
+        return false;
+      }
+
+      logger.info('UTC offset changed, sending the planning again', { feeder: identifier, timezone: timezone.name });
+      return this.setPlanning(identifier, current.planning).then((result) => !result.pending);
+    });
+  }
+
+  /**
+   * @return Promise
+   */
+  checkPlanningOffsets () {
+    let identifiers = Object.keys(this.feeders).filter((identifier) => this.feeders[identifier].socket !== undefined);
+    return Promise.all(identifiers.map((identifier) => {
+      return this.syncPlanningOffset(identifier).catch((err) => {
+        logger.error('Could not send the planning again', { feeder: identifier, err: err });
+      });
+    }));
+  }
+
+  /**
+   * Keep the command in the outbox when the feeder is not connected, if the outbox is enabled
+   * @param {string} identifier
+   * @param {string} type
+   * @param {*} data
+   * @param {Error} err the error that occurred when sending the command
+   * @return {Promise<{pending: boolean}>}
+   */
+  deferIfOffline (identifier, type, data, err) {
+    if (!this.config.enable_outbox || !(err instanceof CommandError) || err.reason !== 'offline') {
+      return Promise.reject(err);
+    }
+
+    logger.info('Feeder offline, ' + type + ' will be sent on reconnection', { feeder: identifier });
+    return this.database.queueCommand(identifier, type, data).then(() => {
+      return { pending: true };
+    });
+  }
+
+  /**
+   * A command the feeder acknowledged supersedes the ones of the same type kept while it was offline
+   * @param {string} identifier
+   * @param {string} type
+   * @return Promise
+   */
+  dropPendingCommands (identifier, type) {
+    if (!this.config.enable_outbox) {
+      return Promise.resolve();
+    }
+    return this.database.removePendingCommands(identifier, type);
+  }
+
+  /**
+   * Send the commands kept while the feeder was offline, oldest first
+   * @param {string} identifier
+   * @param {Promise} ready what to wait for before reading them
+   * @return Promise
+   */
+  flushPendingCommands (identifier, ready = Promise.resolve()) {
+    if (!this.config.enable_outbox) {
+      return Promise.resolve();
+    }
+    if (identifier in this.flushing) {
+      return this.flushing[identifier];
+    }
+
+    let flushing = ready.then(() => {
+      return this.database.getPendingCommands(identifier);
+    }).then((commands) => {
+      return commands.reduce((promise, command) => {
+        return promise.then(() => this.sendPendingCommand(identifier, command));
+      }, Promise.resolve());
+    }).then(() => {
+      delete this.flushing[identifier];
+    }, (err) => {
+      delete this.flushing[identifier];
+      throw err;
+    });
+    this.flushing[identifier] = flushing;
+    return flushing;
+  }
+
+  /**
+   * Commands sent while the kept ones are being sent would otherwise be overwritten by them
+   * @param {string} identifier
+   * @return Promise resolved once the kept commands have been sent, even if it failed
+   */
+  afterFlush (identifier) {
+    return (this.flushing[identifier] || Promise.resolve()).catch(() => {});
+  }
+
+  /**
+   * @param {string} identifier
+   * @param {{id: number, type: string, data: *}} command
+   * @return Promise
+   */
+  sendPendingCommand (identifier, command) {
+    let promise;
+    switch (command.type) {
+      case 'change_default_quantity':
+        promise = this.sendDefaultQuantity(identifier, new Quantity(command.data.quantity));
+        break;
+      case 'change_planning':
+        let meals = command.data.meals.map((obj) => { return new Meal(obj.time, obj.quantity, obj.enabled); });
+        promise = this.sendPlanning(identifier, new Planning(meals));
+        break;
+      default:
+        // Nothing we can send ; drop it
+        promise = Promise.resolve({ pending: false });
+    }
+
+    return promise.then((result) => {
+      // It went offline again: it has been kept once more
+      if (result.pending) {
+        return;
+      }
+      return this.database.removePendingCommands(identifier, command.type, command.id);
     });
   }
 
@@ -263,9 +618,10 @@ class FeederCoordinator {
   feedNow (identifier, quantity) {
     return new Promise((resolve, reject) => {
       let data = ResponseBuilder.feedNow(quantity);
-      let expectation = ResponseBuilder.feedNowExpectation(identifier);
-      this.sendAndWait(identifier, data, expectation).then(() => {
+      // Never retried: the meal may have been given even if the acknowledgement was lost
+      this.sendAndWait(identifier, data, 'feed_now', 0).then(() => {
         this.database.recordMeal(identifier, quantity);
+        this.notify(identifier, 'feed_now', { amount: quantity.amount });
         resolve();
       }, reject);
     });
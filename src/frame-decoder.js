@@ -0,0 +1,103 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+// 9d a1
+const SYNC = Buffer.from([157, 161]);
+
+// Sync bytes followed by the length byte
+const HEADER_LENGTH = 3;
+
+/**
+ * Splits the byte stream sent by a feeder into individual frames.
+ * Every frame sent by the feeder looks like 9d a1 <length> ..., where length is the size of the whole frame.
+ * TCP may split or coalesce those frames, so we buffer until a full frame is available.
+ */
+class FrameDecoder {
+
+  constructor () {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * @param {Buffer} data
+   * @returns {Buffer[]} complete frames, and garbage found between them
+   */
+  push (data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+
+    let frames = [];
+    while (this.buffer.length) {
+      let start = this.buffer.indexOf(SYNC);
+      if (start === -1) {
+        // Keep a trailing 9d, it may be the beginning of the next frame
+        let keep = this.buffer[this.buffer.length - 1] === SYNC[0] ? 1 : 0;
+        if (this.buffer.length > keep) {
+          frames.push(this.buffer.slice(0, this.buffer.length - keep));
+        }
+        this.buffer = this.buffer.slice(this.buffer.length - keep);
+        break;
+      }
+
+      if (start > 0) {
+        // Data before the sync bytes does not belong to any frame
+        frames.push(this.buffer.slice(0, start));
+        this.buffer = this.buffer.slice(start);
+      }
+
+      if (this.buffer.length < HEADER_LENGTH) {
+        break;
+      }
+
+      let length = this.buffer[2];
+      if (length <= HEADER_LENGTH) {
+        // Cannot be a valid frame ; drop the sync bytes and look for the next one
+        frames.push(this.buffer.slice(0, SYNC.length));
+        this.buffer = this.buffer.slice(SYNC.length);
+        continue;
+      }
+
+      // Sync bytes cannot appear inside a frame: if they do, the current frame has been truncated
+      let next = this.buffer.slice(0, length).indexOf(SYNC, SYNC.length);
+      if (next !== -1) {
+        frames.push(this.buffer.slice(0, next));
+        this.buffer = this.buffer.slice(next);
+        continue;
+      }
+
+      if (this.buffer.length < length) {
+        // Partial frame, wait for the rest
+        break;
+      }
+
+      frames.push(this.buffer.slice(0, length));
+      this.buffer = this.buffer.slice(length);
+    }
+
+    return frames;
+  }
+
+  /**
+   * @returns {Buffer} the data received that is not yet part of a complete frame
+   */
+  pending () {
+    return this.buffer;
+  }
+
+}
+
+module.exports = FrameDecoder;
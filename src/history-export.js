@@ -0,0 +1,208 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const Time = require('./models/time');
+const Timezone = require('./models/timezone');
+
+// Days read from the database at once
+const WINDOW = 31;
+
+const COLUMNS = ['date', 'local_date', 'category', 'type', 'quantity', 'data'];
+
+/**
+ * @param {*} value
+ * @returns {string} the value as a CSV field
+ */
+function csvField(value) {
+  let string = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(string) ? '"' + string.replace(/"/g, '""') + '"' : string;
+}
+
+/**
+ * Streams the meals and alerts of a feeder, oldest first, as CSV or JSON.
+ * The range is read a few weeks at a time, so it can be as long as needed.
+ */
+class HistoryExport {
+
+  /**
+   * @param {DataBaseCoordinator} database
+   * @param {{id: number, identifier: string, timezone: string}} feeder
+   * @param {string} format csv or json
+   * @param {string} from the first day, like '2018-03-21', in the feeder timezone
+   * @param {string} to the last day, included
+   */
+  constructor (database, feeder, format, from, to) {
+    this.database = database;
+    this.feeder = feeder;
+    this.format = format;
+    this.from = from;
+    this.to = to;
+    this.timezone = new Timezone(feeder.timezone);
+  }
+
+  /**
+   * @param {string} day
+   * @returns {boolean} true for an existing day like '2018-03-21'
+   */
+  static isDay (day) {
+    if (typeof day !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+      return false;
+    }
+    let date = new Date(day + 'T00:00:00Z');
+    return !isNaN(date.getTime()) && date.toJSON().slice(0, 10) === day;
+  }
+
+  /**
+   * @returns {string[][]} the first and last days of each part of the range
+   */
+  windows () {
+    let windows = [];
+    let begin = new Date(this.from + 'T00:00:00Z');
+    let last = new Date(this.to + 'T00:00:00Z');
+    while (begin <= last) {
+      let end = new Date(begin.getTime());
+      end.setUTCDate(end.getUTCDate() + WINDOW - 1);
+      if (end > last) {
+        end = last;
+      }
+      windows.push([begin.toJSON().slice(0, 10), end.toJSON().slice(0, 10)]);
+      begin = new Date(end.getTime());
+      begin.setUTCDate(begin.getUTCDate() + 1);
+    }
+    return windows;
+  }
+
+  /**
+   * @param {string} begin
+   * @param {string} end
+   * @returns {Promise<{date: Date, category: string, type: string, quantity: number|null, data: *}[]>} oldest first
+   */
+  events (begin, end) {
+    let next = new Date(end + 'T00:00:00Z');
+    next.setUTCDate(next.getUTCDate() + 1);
+
+    return Promise.all([
+      this.database.getMealsBetween(this.feeder.id, begin, end, this.timezone.name),
+      this.database.getAlertsBetween(this.feeder.id, this.timezone.instant(begin, new Time(0, 0)), this.timezone.instant(next.toJSON().slice(0, 10), new Time(0, 0))),
+    ]).then((results) => {
+      let meals = results[0].map((meal) => {
+        return { date: meal.date, category: 'meal', type: meal.type, quantity: meal.quantity, data: null };
+      });
+      let alerts = results[1].map((alert) => {
+        return { date: alert.date, category: 'alert', type: alert.type, quantity: null, data: alert.data };
+      });
+      return meals.concat(alerts).sort((a, b) => a.date - b.date);
+    });
+  }
+
+  /**
+   * @returns {{'Content-Type': string, 'Content-Disposition': string}}
+   */
+  headers () {
+    let filename = 'feeder-' + this.feeder.identifier + '-' + this.from + '-' + this.to + '.' + this.format;
+    return {
+      'Content-Type': this.format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+      'Content-Disposition': 'attachment; filename="' + filename + '"',
+    };
+  }
+
+  /**
+   * @param {{date: Date, category: string, type: string, quantity: number|null, data: *}} event
+   * @param {boolean} first
+   * @returns {string}
+   */
+  formatted (event, first) {
+    let values = [
+      event.date.toJSON(),
+      this.timezone.format(event.date),
+      event.category,
+      event.type,
+      event.quantity,
+      event.data,
+    ];
+
+    if (this.format === 'csv') {
+      values[5] = values[5] === null ? null : JSON.stringify(values[5]);
+      return values.map(csvField).join(',') + '\r\n';
+    }
+
+    let object = {};
+    COLUMNS.forEach((column, index) => {
+      object[column] = values[index];
+    });
+    return (first ? '\n' : ',\n') + JSON.stringify(object);
+  }
+
+  /**
+   * @param {stream.Writable} output
+   * @returns {Promise} resolved once everything has been written, or the output has been closed
+   */
+  pipe (output) {
+    // Wait for the output to be drained before reading more
+    let write = (chunk) => {
+      if (output.write(chunk)) {
+        return Promise.resolve();
+      }
+      return new Promise((resolve) => {
+        let done = () => {
+          output.removeListener('drain', done);
+          output.removeListener('close', done);
+          resolve();
+        };
+        output.on('drain', done);
+        output.on('close', done);
+      });
+    };
+
+    let first = true;
+    let start = write(this.format === 'csv' ? COLUMNS.join(',') + '\r\n' : '[');
+    return this.windows().reduce((promise, window) => {
+      return promise.then(() => {
+        if (output.destroyed) {
+          return;
+        }
+        return this.events(window[0], window[1]).then((events) => {
+          return events.reduce((promise, event) => {
+            return promise.then(() => {
+              if (output.destroyed) {
+                return;
+              }
+              let chunk = this.formatted(event, first);
+              first = false;
+              return write(chunk);
+            });
+          }, Promise.resolve());
+        });
+      });
+    }, start).then(() => {
+      if (output.destroyed) {
+        return;
+      }
+      return new Promise((resolve) => {
+        output.once('finish', resolve);
+        output.once('close', resolve);
+        output.end(this.format === 'csv' ? '' : (first ? ']\n' : '\n]\n'));
+      });
+    });
+  }
+
+}
+
+HistoryExport.FORMATS = ['csv', 'json'];
+
+module.exports = HistoryExport;
@@ -0,0 +1,135 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+
+"use strict";
+
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+const CryptoHelper = require('./crypto-helper');
+
+// Providers rotate their signing keys rarely, and an unknown key refreshes them anyway
+const JWKS_CACHE_LIFETIME = 60 * 60 * 1000;
+
+// Tokens with made up keys should not flood the providers
+const JWKS_REFRESH_DELAY = 60 * 1000;
+
+/**
+ * The OpenID Connect providers users can log in with: Sign in with Apple when the iOS app is configured, and the configured ones
+ */
+class IdentityProviders {
+
+  /**
+   * @param {{ios_bundle_identifier: string, oidc_providers: Object.<string, {issuer: string, jwks_url: string, client_id: string}>|undefined}} config
+   * @throws when a configured provider has no client id
+   */
+  constructor(config) {
+
+    /**
+     * @type {Object.<string, {issuer: string, jwks_url: string, client_id: string}>}
+     */
+    this.providers = {};
+
+    // Sign in with Apple is only available to the iOS app
+    if (config.ios_bundle_identifier) {
+      this.providers.apple = {
+        issuer: 'https://appleid.apple.com',
+        jwks_url: 'https://appleid.apple.com/auth/keys',
+        client_id: config.ios_bundle_identifier,
+      };
+    }
+    Object.assign(this.providers, config.oidc_providers || {});
+
+    // Without it, the tokens given to any other client of the provider would be accepted
+    Object.keys(this.providers).forEach((name) => {
+      let clientId = this.providers[name].client_id;
+      if (typeof clientId !== 'string' || !clientId.length) {
+        throw 'The ' + name + ' identity provider needs a client_id';
+      }
+    });
+
+    /**
+     * The keys of each provider, with the date they were fetched
+     * @type {Map<string, {keys: Array, date: number}>}
+     */
+    this.cache = new Map();
+  }
+
+  /**
+   * @param {string} name
+   * @return {boolean}
+   */
+  has(name) {
+    return this.providers.hasOwnProperty(name);
+  }
+
+  /**
+   * @return {[{name: string, issuer: string, client_id: string}]} what the apps need to start logging in
+   */
+  jsoned() {
+    return Object.keys(this.providers).map((name) => {
+      return { name: name, issuer: this.providers[name].issuer, client_id: this.providers[name].client_id };
+    });
+  }
+
+  /**
+   * @param {string} name
+   * @param {boolean} refresh to ignore the cache
+   * @return {Promise<Array<{kty: string, kid: string, use: string, alg: string, n: string, e: string}>>}
+   */
+  fetchKeys(name, refresh = false) {
+    let cached = this.cache.get(name);
+    if (!refresh && cached && cached.date + JWKS_CACHE_LIFETIME > Date.now()) {
+      return Promise.resolve(cached.keys);
+    }
+
+    return axios.get(this.providers[name].jwks_url).then((res) => {
+      let keys = res.data.keys || [];
+      this.cache.set(name, { keys: keys, date: Date.now() });
+      return keys;
+    });
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} idToken
+   * @return {Promise<{iss: string, aud: string|string[], exp: number, iat: number, sub: string, email: string|undefined}>}
+   */
+  verify(name, idToken) {
+    if (!this.has(name)) {
+      return Promise.reject(new Error('Unknown identity provider ' + name));
+    }
+
+    let decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !decoded.header) {
+      return Promise.reject(new Error('Malformed id token'));
+    }
+
+    let provider = this.providers[name];
+    return this.fetchKeys(name).then((keys) => {
+      // The provider may have rotated its keys since they were cached
+      if (keys.some((key) => key.kid === decoded.header.kid) || this.cache.get(name).date + JWKS_REFRESH_DELAY > Date.now()) {
+        return keys;
+      }
+      return this.fetchKeys(name, true);
+    }).then((keys) => {
+      return CryptoHelper.checkIdToken(keys, idToken, provider.issuer, provider.client_id);
+    });
+  }
+}
+
+module.exports = IdentityProviders;
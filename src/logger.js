@@ -0,0 +1,186 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100,
+};
+
+/**
+ * Leveled logger, writing one line per entry, as JSON or as readable text.
+ * Child loggers add their fields (like the module, the feeder identifier or the user id) to each of their entries.
+ */
+class Logger {
+
+  /**
+   * @param {Object} fields added to every entry
+   * @param {{level: string, format: string}} options shared with the child loggers
+   */
+  constructor(fields = {}, options = { level: 'info', format: 'json' }) {
+    this.fields = fields;
+    this.options = options;
+  }
+
+  /**
+   * Applies the configuration to the root logger and all its children
+   * @param {{log_level: string|undefined, log_format: string|undefined, debug_mode: boolean|undefined}} config
+   */
+  static configure(config) {
+    let level = config.log_level || (config.debug_mode ? 'debug' : 'info');
+    if (!(level in LEVELS)) {
+      throw 'Unknown log level ' + level;
+    }
+    Logger.root.options.level = level;
+    Logger.root.options.format = config.log_format === 'text' ? 'text' : 'json';
+  }
+
+  /**
+   * @param {Object} fields
+   * @return {Logger}
+   */
+  static child(fields) {
+    return Logger.root.child(fields);
+  }
+
+  /**
+   * @param {Object} fields
+   * @return {Logger}
+   */
+  child(fields) {
+    return new Logger(Object.assign({}, this.fields, fields), this.options);
+  }
+
+  /**
+   * @param {string} level
+   * @return {boolean}
+   */
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.options.level];
+  }
+
+  /**
+   * @param {string} message
+   * @param {Object} fields
+   */
+  debug(message, fields = {}) {
+    this.log('debug', message, fields);
+  }
+
+  /**
+   * @param {string} message
+   * @param {Object} fields
+   */
+  info(message, fields = {}) {
+    this.log('info', message, fields);
+  }
+
+  /**
+   * @param {string} message
+   * @param {Object} fields
+   */
+  warn(message, fields = {}) {
+    this.log('warn', message, fields);
+  }
+
+  /**
+   * @param {string} message
+   * @param {Object} fields
+   */
+  error(message, fields = {}) {
+    this.log('error', message, fields);
+  }
+
+  /**
+   * @param {string} level
+   * @param {string} message
+   * @param {Object} fields
+   */
+  log(level, message, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+
+    let entry = Object.assign({ time: new Date().toJSON(), level: level, msg: message }, this.fields);
+    Object.keys(fields).forEach((key) => {
+      entry[key] = Logger.serialize(fields[key]);
+    });
+    Object.keys(entry).forEach((key) => {
+      if (entry[key] === undefined) {
+        delete entry[key];
+      }
+    });
+
+    let line = this.options.format === 'text' ? Logger.textFormatted(entry) : JSON.stringify(entry);
+    if (LEVELS[level] >= LEVELS.warn) {
+      console.error(line);
+    }
+    else {
+      console.log(line);
+    }
+  }
+
+  /**
+   * Errors do not serialize to JSON by themselves
+   * @param {*} value
+   * @return {*}
+   */
+  static serialize(value) {
+    if (!(value instanceof Error)) {
+      return value;
+    }
+    let serialized = { message: value.message };
+    ['code', 'reason', 'stack'].forEach((key) => {
+      if (value[key] !== undefined) {
+        serialized[key] = value[key];
+      }
+    });
+    return serialized;
+  }
+
+  /**
+   * @param {Object} entry
+   * @return {string} like 2018-03-21T08:00:00.000Z INFO Feeder identified feeder=ABC123456789
+   */
+  static textFormatted(entry) {
+    let line = entry.time + ' ' + entry.level.toUpperCase() + ' ' + entry.msg;
+    let stacks = '';
+    Object.keys(entry).forEach((key) => {
+      if (key === 'time' || key === 'level' || key === 'msg') {
+        return;
+      }
+      let value = entry[key];
+      if (value && typeof value === 'object') {
+        if (value.stack) {
+          stacks += '\n' + value.stack;
+        }
+        value = value.message !== undefined ? value.message : JSON.stringify(value);
+      }
+      line += ' ' + key + '=' + value;
+    });
+    return line + stacks;
+  }
+
+}
+
+Logger.LEVELS = LEVELS;
+Logger.root = new Logger();
+
+module.exports = Logger;
@@ -0,0 +1,63 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const Logger = require('./logger');
+const MailTemplates = require('./mail-templates');
+
+const logger = Logger.child({ module: 'mail' });
+
+/**
+ * Emails the feeder members about the feeder alerts
+ */
+class MailNotifier {
+
+  /**
+   * @param {FeederCoordinator} feederCoordinator
+   * @param {DataBaseCoordinator} database
+   * @param {Mailer} mailer
+   */
+  constructor(feederCoordinator, database, mailer) {
+    this.database = database;
+    this.mailer = mailer;
+
+    feederCoordinator.on('alert', (alert) => {
+      // Alerts types without template are not emailed
+      if (!MailTemplates.exists(alert.type)) {
+        return;
+      }
+      this.notify(alert).catch((err) => {
+        logger.error('Could not email ' + alert.type + ' alert', { feeder: alert.identifier, err: err });
+      });
+    });
+  }
+
+  /**
+   * @param {{identifier: string, type: string, date: Date, data: Object}} alert
+   * @return Promise
+   */
+  notify(alert) {
+    return this.database.getAlertRecipients(alert.identifier).then((recipients) => {
+      return Promise.all(recipients.map((recipient) => {
+        let mail = MailTemplates.render(alert.type, { feeder_name: recipient.feeder_name, timezone: recipient.feeder_timezone, date: alert.date, data: alert.data });
+        return this.mailer.send(recipient.email, mail);
+      }));
+    });
+  }
+}
+
+module.exports = MailNotifier;
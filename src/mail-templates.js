@@ -0,0 +1,171 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const Timezone = require('./models/timezone');
+
+/**
+ * @param {string} text
+ * @return {string}
+ */
+function escape(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * @param {number} number
+ * @return {string}
+ */
+function pad(number) {
+  return ('0' + number).slice(-2);
+}
+
+/**
+ * @param {string} title
+ * @param {string[]} paragraphs already escaped
+ * @return {string}
+ */
+function layout(title, paragraphs) {
+  return '<!DOCTYPE html><html><head><meta charset="utf-8"><title>' + escape(title) + '</title></head>' +
+    '<body style="font-family: sans-serif; color: #333;">' +
+    '<h1 style="font-size: 20px;">' + escape(title) + '</h1>' +
+    paragraphs.map((paragraph) => '<p>' + paragraph + '</p>').join('') +
+    '</body></html>';
+}
+
+const TEMPLATES = {
+
+  /**
+   * @param {{feeder_name: string, timezone: string|undefined, date: Date|undefined, data: {hours: number, minutes: number, amount: number}}} context the UTC time of the meal, reported at date
+   */
+  empty: (context) => {
+    let name = context.feeder_name || 'Your feeder';
+    let date = context.date || new Date();
+    let planned = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), context.data.hours, context.data.minutes));
+    if (planned > date) {
+      // Planned the day before
+      planned.setUTCDate(planned.getUTCDate() - 1);
+    }
+    let clock = new Timezone(context.timezone).wallClock(planned);
+    let time = pad(clock.hours) + ':' + pad(clock.minutes);
+    let subject = name + ' is empty';
+    let message = 'The meal of ' + context.data.amount + 'g planned at ' + time + ' could not be given.';
+    let advice = 'Please refill the feeder as soon as possible.';
+    return {
+      subject: subject,
+      text: subject + '\n\n' + message + '\n' + advice + '\n',
+      html: layout(subject, [escape(message), escape(advice)]),
+    };
+  },
+
+  /**
+   * @param {{feeder_name: string, inviter: string, role: string, url: string, valid_until: Date}} context
+   */
+  invitation: (context) => {
+    let name = context.feeder_name || 'a feeder';
+    let subject = 'You are invited to use ' + name;
+    let message = context.inviter + ' invited you to use ' + name + ' as ' + (context.role === 'viewer' ? 'a viewer' : 'a caregiver') + '.';
+    let advice = 'Open this link with the app to accept the invitation, before ' + context.valid_until.toJSON().slice(0, 10) + ':';
+    return {
+      subject: subject,
+      text: subject + '\n\n' + message + '\n' + advice + '\n' + context.url + '\n',
+      html: layout(subject, [escape(message), escape(advice), '<a href="' + escape(context.url) + '">' + escape(context.url) + '</a>']),
+    };
+  },
+
+  /**
+   * @param {{feeder_name: string, from: string, valid_until: Date}} context
+   */
+  transfer: (context) => {
+    let name = context.feeder_name || 'a feeder';
+    let subject = 'Become the owner of ' + name;
+    let message = context.from + ' wants to give you ' + name + '.';
+    let advice = 'Open the app to accept or decline the transfer, before ' + context.valid_until.toJSON().slice(0, 10) + '.';
+    return {
+      subject: subject,
+      text: subject + '\n\n' + message + '\n' + advice + '\n',
+      html: layout(subject, [escape(message), escape(advice)]),
+    };
+  },
+
+  /**
+   * @param {{url: string, valid_until: Date}} context
+   */
+  verification: (context) => {
+    let subject = 'Confirm your email address';
+    let message = 'Open this link to confirm your email address and start using your account, before ' + context.valid_until.toJSON().slice(0, 10) + ':';
+    return {
+      subject: subject,
+      text: subject + '\n\n' + message + '\n' + context.url + '\n',
+      html: layout(subject, [escape(message), '<a href="' + escape(context.url) + '">' + escape(context.url) + '</a>']),
+    };
+  },
+
+  /**
+   * @param {{url: string}} context
+   */
+  password_reset: (context) => {
+    let subject = 'Reset your password';
+    let message = 'Open this link to choose a new password, within the hour:';
+    let advice = 'If you did not ask for it, you can ignore this email.';
+    return {
+      subject: subject,
+      text: subject + '\n\n' + message + '\n' + context.url + '\n\n' + advice + '\n',
+      html: layout(subject, [escape(message), '<a href="' + escape(context.url) + '">' + escape(context.url) + '</a>', escape(advice)]),
+    };
+  },
+
+};
+
+class MailTemplates {
+
+  /**
+   * @param {string} name
+   * @return {boolean}
+   */
+  static exists(name) {
+    return TEMPLATES.hasOwnProperty(name);
+  }
+
+  /**
+   * @param {string} name
+   * @param {Object} context
+   * @throws
+   * @return {{subject: string, text: string, html: string}}
+   */
+  static render(name, context) {
+    if (!MailTemplates.exists(name)) {
+      throw new Error('Unknown mail template ' + name);
+    }
+    return TEMPLATES[name](context);
+  }
+
+  /**
+   * @param {string} text
+   * @return {string}
+   */
+  static escape(text) {
+    return escape(text);
+  }
+}
+
+module.exports = MailTemplates;
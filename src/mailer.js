@@ -0,0 +1,56 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const nodemailer = require('nodemailer');
+
+class Mailer {
+
+  /**
+   * @param {{smtp_host: string, smtp_port: number, smtp_secure: boolean, smtp_user: string, smtp_password: string, mail_from: string}} config
+   */
+  constructor(config) {
+    let options = {
+      host: config.smtp_host,
+      port: config.smtp_port,
+      secure: !!config.smtp_secure,
+    };
+    if (config.smtp_user) {
+      options.auth = { user: config.smtp_user, pass: config.smtp_password };
+    }
+
+    this.from = config.mail_from;
+    this.transport = nodemailer.createTransport(options);
+  }
+
+  /**
+   * @param {string} to
+   * @param {{subject: string, text: string, html: string}} mail
+   * @return Promise
+   */
+  send(to, mail) {
+    return this.transport.sendMail({
+      from: this.from,
+      to: to,
+      subject: mail.subject,
+      text: mail.text,
+      html: mail.html,
+    });
+  }
+}
+
+module.exports = Mailer;
@@ -0,0 +1,223 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const Time = require("./models/time");
+const Meal = require("./models/meal");
+const Planning = require("./models/planning");
+
+const TO_FEEDER = 'to_feeder';
+const FROM_FEEDER = 'from_feeder';
+
+/**
+ * Constant bytes. The optional tag values are given back when decoding, and used to pick the message when encoding.
+ * @param {string} hex
+ * @param {Object} tag
+ */
+function bytes(hex, tag = {}) {
+  let buffer = Buffer.from(hex, 'hex');
+  return {
+    size: () => buffer.length,
+    encode: () => buffer,
+    decode: (data) => data.equals(buffer) ? tag : undefined,
+    matches: (values) => Object.keys(tag).every((key) => values[key] === tag[key]),
+  };
+}
+
+/**
+ * @param {Array} parts
+ * @returns {number}
+ */
+function fixedSize(parts) {
+  return parts.reduce((sum, part) => sum + part.size(Buffer.alloc(0)), 0);
+}
+
+// Aln time is weird: minutes are counted from 16:00 UTC
+function decodeAlnTime(data) {
+  let alnMinutes = data.readUInt16BE(0);
+  if (alnMinutes >= 24 * 60) {
+    return undefined;
+  }
+  let hours = (((alnMinutes - (alnMinutes % 60)) / 60) + 16) % 24;
+  let minutes = (alnMinutes % 60);
+  return { hours: hours, minutes: minutes };
+}
+
+function decodeAmount(data) {
+  if (data[0] !== 0) {
+    return undefined;
+  }
+  return { amount: data[1] };
+}
+
+// The identifier takes the space left by the other parts of the message
+const IDENTIFIER = {
+  size: () => undefined,
+  encode: (values) => Buffer.from(values.identifier, 'utf8'),
+  decode: (data) => {
+    let identifier = data.toString();
+    if (!identifier.match(/^[a-z0-9]+$/i)) {
+      return undefined;
+    }
+    return { identifier: identifier };
+  },
+  matches: () => true,
+};
+
+// Current time when not given
+const TIME = {
+  size: () => 2,
+  encode: (values) => (values.hours === undefined ? new Time() : new Time(values.hours, values.minutes)).buffered(),
+  decode: decodeAlnTime,
+  matches: () => true,
+};
+
+const QUANTITY = {
+  size: () => 2,
+  encode: (values) => Buffer.from([0, values.amount]),
+  decode: decodeAmount,
+  matches: () => true,
+};
+
+// The length of the change_planning frame (2d) has room for that many meals
+const PLANNING_MAX_MEALS = 10;
+
+// Count of meals, then time & quantity of each meal, padded with zeros up to the length of the frame
+const PLANNING = {
+  size: () => 1 + 4 * PLANNING_MAX_MEALS,
+  encode: (values) => {
+    let buffer = values.planning.buffered();
+    if (buffer[0] > PLANNING_MAX_MEALS) {
+      throw new Error('A planning cannot have more than ' + PLANNING_MAX_MEALS + ' meals');
+    }
+    return Buffer.concat([buffer, Buffer.alloc(PLANNING.size() - buffer.length)]);
+  },
+  decode: (data) => {
+    let end = 1 + 4 * data[0];
+    if (data[0] > PLANNING_MAX_MEALS || data.slice(end).some((byte) => byte !== 0)) {
+      return undefined;
+    }
+    let meals = [];
+    for (let offset = 1; offset < end; offset += 4) {
+      let time = decodeAlnTime(data.slice(offset, offset + 2));
+      let quantity = decodeAmount(data.slice(offset + 2, offset + 4));
+      if (time === undefined || quantity === undefined) {
+        return undefined;
+      }
+      meals.push(new Meal(time, quantity.amount));
+    }
+    return { planning: new Planning(meals) };
+  },
+  matches: () => true,
+};
+
+/**
+ * Every known message. When decoding, the first matching definition wins.
+ */
+const MESSAGES = [
+  // Sent to the feeder
+  { type: 'time', direction: TO_FEEDER, layout: [bytes('9da10601'), TIME] },
+  { type: 'change_default_quantity', direction: TO_FEEDER, layout: [bytes('9da106c3'), QUANTITY] },
+  { type: 'change_planning', direction: TO_FEEDER, layout: [bytes('9da12dc4'), PLANNING] },
+  { type: 'feed_now', direction: TO_FEEDER, layout: [bytes('9da106a2'), QUANTITY] },
+
+  // Sent by the feeder
+  { type: 'identification', direction: FROM_FEEDER, layout: [bytes('9da114'), IDENTIFIER, bytes('01d0010000')] },
+  // Must come before empty_feeder, that has the same shape
+  { type: 'manual_meal', direction: FROM_FEEDER, layout: [bytes('9da114'), IDENTIFIER, bytes('210384'), QUANTITY] },
+  { type: 'empty_feeder', direction: FROM_FEEDER, layout: [bytes('9da114'), IDENTIFIER, bytes('21'), TIME, QUANTITY] },
+  { type: 'expectation', direction: FROM_FEEDER, layout: [bytes('9da114'), IDENTIFIER, bytes('c3d0a10000', { action: 'change_default_quantity' })] },
+  { type: 'expectation', direction: FROM_FEEDER, layout: [bytes('9da114'), IDENTIFIER, bytes('c4d0a10000', { action: 'change_planning' })] },
+  { type: 'expectation', direction: FROM_FEEDER, layout: [bytes('9da114'), IDENTIFIER, bytes('a2d0a10000', { action: 'feed_now' })] },
+];
+
+class MessageCodec {
+
+  /**
+   * @param {string} type
+   * @param {{identifier: string|undefined, hours: number|undefined, minutes: number|undefined, amount: number|undefined, planning: Planning|undefined, action: string|undefined}} values
+   * @throws
+   * @returns {Buffer}
+   */
+  static encode (type, values = {}) {
+    let definition = MESSAGES.find((definition) => {
+      return definition.type === type && definition.layout.every((part) => part.matches(values));
+    });
+    if (definition === undefined) {
+      throw new Error('Unknown message type ' + type);
+    }
+    return Buffer.concat(definition.layout.map((part) => part.encode(values)));
+  }
+
+  /**
+   * @param {Buffer} data
+   * @param {string|undefined} direction
+   * @returns {{type: string}|undefined}
+   */
+  static decode (data, direction = undefined) {
+    for (let definition of MESSAGES) {
+      if (direction !== undefined && definition.direction !== direction) {
+        continue;
+      }
+      let values = MessageCodec.decodeLayout(definition.layout, data);
+      if (values !== undefined) {
+        return Object.assign({ type: definition.type }, values);
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * @param {Array} layout
+   * @param {Buffer} data
+   * @returns {Object|undefined}
+   */
+  static decodeLayout (layout, data) {
+    let values = {};
+    let offset = 0;
+    for (let index = 0; index < layout.length; index++) {
+      let part = layout[index];
+      let size = part.size(data.slice(offset));
+      if (size === undefined) {
+        // Variable size: take whatever the following parts leave
+        size = data.length - offset - fixedSize(layout.slice(index + 1));
+      }
+      if (size <= 0 || offset + size > data.length) {
+        return undefined;
+      }
+
+      let decoded;
+      try {
+        decoded = part.decode(data.slice(offset, offset + size));
+      } catch (e) {
+        decoded = undefined;
+      }
+      if (decoded === undefined) {
+        return undefined;
+      }
+
+      Object.assign(values, decoded);
+      offset += size;
+    }
+    return offset === data.length ? values : undefined;
+  }
+}
+
+MessageCodec.TO_FEEDER = TO_FEEDER;
+MessageCodec.FROM_FEEDER = FROM_FEEDER;
+
+module.exports = MessageCodec;
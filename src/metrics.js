@@ -0,0 +1,143 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const client = require('prom-client');
+
+const register = new client.Registry();
+
+/**
+ * Prometheus metrics of the feeder gateway and of the API.
+ * The metrics are always recorded ; they are only exposed when the /metrics endpoint is enabled.
+ */
+class Metrics {
+
+  /**
+   * Also expose the process metrics (memory, cpu, event loop lag...)
+   */
+  static collectDefaultMetrics() {
+    client.collectDefaultMetrics({ register: register, prefix: 'aln_' });
+  }
+
+  /**
+   * @param {string} action
+   * @param {Promise} promise the command, resolved once acknowledged by the feeder
+   * @return Promise the same promise
+   */
+  static observeCommand(action, promise) {
+    let end = Metrics.commandDuration.startTimer({ action: action });
+    promise.then(() => {
+      end({ result: 'acknowledged' });
+    }, (err) => {
+      let reason = err.reason || 'error';
+      end({ result: reason });
+      if (reason === 'timeout') {
+        Metrics.commandTimeouts.inc({ action: action });
+      }
+    });
+    return promise;
+  }
+
+  /**
+   * Express middleware timing every request, labelled by route pattern rather than by url
+   * @return {function}
+   */
+  static observeRequests() {
+    return (req, res, next) => {
+      let end = Metrics.httpRequestDuration.startTimer();
+      res.on('finish', () => {
+        // req.route is only known once the request has been routed
+        let route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+        end({ method: req.method, route: route, status: res.statusCode });
+      });
+      next();
+    };
+  }
+
+  /**
+   * Express handler for the scrape endpoint
+   * @param {{metrics_token: string|undefined}} config
+   * @return {function}
+   */
+  static endpoint(config) {
+    return (req, res, next) => {
+      if (config.metrics_token && req.get('Authorization') !== 'Bearer ' + config.metrics_token) {
+        res.status(401).end();
+        return;
+      }
+
+      register.metrics().then((metrics) => {
+        res.set('Content-Type', register.contentType);
+        res.end(metrics);
+      }).catch(next);
+    };
+  }
+
+}
+
+Metrics.register = register;
+
+Metrics.connectedFeeders = new client.Gauge({
+  name: 'aln_connected_feeders',
+  help: 'Number of feeders currently connected',
+  registers: [register],
+});
+
+Metrics.messagesReceived = new client.Counter({
+  name: 'aln_feeder_messages_received_total',
+  help: 'Messages received from the feeders, by recognized type',
+  labelNames: ['type'],
+  registers: [register],
+});
+
+Metrics.unknownFrames = new client.Counter({
+  name: 'aln_feeder_unknown_frames_total',
+  help: 'Frames received from the feeders that could not be recognized',
+  registers: [register],
+});
+
+Metrics.commandDuration = new client.Histogram({
+  name: 'aln_feeder_command_duration_seconds',
+  help: 'Time for a command to be acknowledged by the feeder, retries included',
+  labelNames: ['action', 'result'],
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 40],
+  registers: [register],
+});
+
+Metrics.commandTimeouts = new client.Counter({
+  name: 'aln_feeder_command_timeouts_total',
+  help: 'Commands never acknowledged by the feeder',
+  labelNames: ['action'],
+  registers: [register],
+});
+
+Metrics.httpRequestDuration = new client.Histogram({
+  name: 'aln_http_request_duration_seconds',
+  help: 'Duration of the HTTP requests, by route',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register],
+});
+
+Metrics.databaseErrors = new client.Counter({
+  name: 'aln_database_query_errors_total',
+  help: 'Database queries that failed, by error code',
+  labelNames: ['code'],
+  registers: [register],
+});
+
+module.exports = Metrics;
@@ -0,0 +1,166 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+
+const Logger = require('./logger');
+
+const logger = Logger.child({ module: 'database' });
+
+// Like 002_pending_commands.up.sql
+const FILENAME = /^(\d+)_(\w+)\.(up|down)\.sql$/;
+
+/**
+ * Applies the numbered SQL scripts of the migrations directory, and keeps track of them in the schema_migrations table.
+ * Each migration has an up script, and a down script reverting it, written for each storage dialect.
+ */
+class Migrator {
+
+  /**
+   * @param {Storage} storage
+   * @param {string} directory defaults to the migrations of the storage dialect
+   */
+  constructor(storage, directory = path.join(Migrator.DIRECTORY, storage.dialect)) {
+    this.storage = storage;
+    this.directory = directory;
+  }
+
+  /**
+   * @throws when a migration misses a script, or when two migrations have the same version
+   * @return {Array<{version: number, name: string, up: string, down: string}>} sorted by version
+   */
+  migrations() {
+    let migrations = {};
+    fs.readdirSync(this.directory).forEach((filename) => {
+      let match = filename.match(FILENAME);
+      if (!match) {
+        return;
+      }
+
+      let version = parseInt(match[1], 10);
+      let migration = migrations[version] || { version: version, name: match[2] };
+      if (migration.name !== match[2] || migration[match[3]] !== undefined) {
+        throw 'Duplicated migration version ' + version;
+      }
+      migration[match[3]] = path.join(this.directory, filename);
+      migrations[version] = migration;
+    });
+
+    return Object.keys(migrations).map((version) => {
+      let migration = migrations[version];
+      if (migration.up === undefined || migration.down === undefined) {
+        throw 'Migration ' + version + ' needs both up and down scripts';
+      }
+      return migration;
+    }).sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Creates the schema_migrations table when needed.
+   * A database created with init.sql, before migrations existed, already has the first migration applied.
+   * @return Promise
+   */
+  prepare() {
+    return this.storage.tableExists('schema_migrations').then((exists) => {
+      if (exists) {
+        return;
+      }
+
+      return this.storage.query('CREATE TABLE `schema_migrations` (`version` integer NOT NULL PRIMARY KEY, `name` varchar(128) NOT NULL, `applied` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP)').then(() => {
+        return this.storage.tableExists('feeders');
+      }).then((exists) => {
+        if (!exists) {
+          return;
+        }
+        let baseline = this.migrations()[0];
+        logger.info('Existing database found, migration ' + baseline.version + ' is considered applied');
+        return this.storage.query('INSERT INTO schema_migrations(version, name) VALUES (?, ?)', [baseline.version, baseline.name]);
+      });
+    });
+  }
+
+  /**
+   * @return {Promise<Array<{version: number, name: string, applied: Date|null}>>}
+   */
+  status() {
+    return this.prepare().then(() => {
+      return this.storage.query('SELECT version, applied FROM schema_migrations');
+    }).then((rows) => {
+      let applied = {};
+      rows.forEach((row) => { applied[row.version] = row.applied; });
+      return this.migrations().map((migration) => {
+        return { version: migration.version, name: migration.name, applied: applied[migration.version] || null };
+      });
+    });
+  }
+
+  /**
+   * @return {Promise<Array<{version: number, name: string}>>} the migrations not applied yet
+   */
+  pending() {
+    return this.status().then((migrations) => {
+      return migrations.filter((migration) => migration.applied === null);
+    });
+  }
+
+  /**
+   * Applies every pending migration, in order
+   * @return {Promise<Array<{version: number, name: string}>>} the applied migrations
+   */
+  migrate() {
+    return this.pending().then((pending) => {
+      let migrations = this.migrations();
+      return pending.reduce((chain, status) => {
+        let migration = migrations.find((migration) => migration.version === status.version);
+        return chain.then(() => {
+          logger.info('Applying migration ' + migration.version + ' ' + migration.name);
+          return this.storage.execute(fs.readFileSync(migration.up, 'utf8'));
+        }).then(() => {
+          return this.storage.query('INSERT INTO schema_migrations(version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        });
+      }, Promise.resolve()).then(() => pending);
+    });
+  }
+
+  /**
+   * Reverts the last applied migrations
+   * @param {number} steps
+   * @return {Promise<Array<{version: number, name: string}>>} the reverted migrations
+   */
+  rollback(steps = 1) {
+    return this.status().then((migrations) => {
+      let reverted = migrations.filter((migration) => migration.applied !== null).reverse().slice(0, steps);
+      let scripts = this.migrations();
+      return reverted.reduce((chain, status) => {
+        let migration = scripts.find((migration) => migration.version === status.version);
+        return chain.then(() => {
+          logger.info('Reverting migration ' + migration.version + ' ' + migration.name);
+          return this.storage.execute(fs.readFileSync(migration.down, 'utf8'));
+        }).then(() => {
+          return this.storage.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        });
+      }, Promise.resolve()).then(() => reverted);
+    });
+  }
+
+}
+
+Migrator.DIRECTORY = path.join(__dirname, '..', 'migrations');
+
+module.exports = Migrator;
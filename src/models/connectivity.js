@@ -0,0 +1,76 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class Connectivity {
+
+  /**
+   * @param {{ip: string, connected: Date, disconnected: Date|null}[]} connections
+   * @param {Date|null} now the upper limit of connections that are still opened
+   */
+  constructor (connections, now = null) {
+    this.connections = connections;
+    this.now = now === null ? new Date() : now;
+  }
+
+  /**
+   * @param {Date} begin
+   * @param {Date} end
+   * @returns {number} the time connected in the range, in milliseconds
+   */
+  connectedDuration (begin, end) {
+    return this.connections.reduce((duration, connection) => {
+      let from = Math.max(connection.connected.getTime(), begin.getTime());
+      let to = Math.min(connection.disconnected ? connection.disconnected.getTime() : this.now.getTime(), end.getTime());
+      return duration + Math.max(to - from, 0);
+    }, 0);
+  }
+
+  /**
+   * @param {string[]} dates like '2018-03-21', in UTC
+   * @returns {{date: string, uptime: number|null}[]} uptime as a percentage ; null for days to come
+   */
+  daily (dates) {
+    return dates.map((date) => {
+      let begin = new Date(date + 'T00:00:00Z');
+      let end = new Date(Math.min(begin.getTime() + DAY, this.now.getTime()));
+      if (end <= begin) {
+        return { date: date, uptime: null };
+      }
+      let ratio = this.connectedDuration(begin, end) / (end - begin);
+      return { date: date, uptime: Math.round(ratio * 10000) / 100 };
+    });
+  }
+
+  /**
+   * @returns {{ip: string, connected: string, disconnected: string|null}[]}
+   */
+  jsoned () {
+    return this.connections.map((connection) => {
+      return {
+        ip: connection.ip,
+        connected: connection.connected.toJSON(),
+        disconnected: connection.disconnected ? connection.disconnected.toJSON() : null,
+      };
+    });
+  }
+
+}
+
+module.exports = Connectivity;
@@ -18,57 +18,76 @@ CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
 
 const net = require('net');
 
-const ResponseBuilder = require('../response-builder');
-const Quantity = require("./quantity");
+const FrameDecoder = require('../frame-decoder');
+const Logger = require('../logger');
+const MessageCodec = require('../message-codec');
 
 class Emulator {
 
   constructor (identifier, host, port, isEmpty = false) {
 
     this.isEmpty = isEmpty;
+    const logger = Logger.child({ module: 'emulator', feeder: identifier });
     const client = new net.Socket();
 
     client.connect(port, host, () => {
       // Client is supposed to identify itself, in order to get the timestamp from official server
       setInterval(() => {
-        client.write(ResponseBuilder.feederIdentification(identifier));
+        client.write(MessageCodec.encode('identification', { identifier: identifier }));
       }, 10000);
     });
 
+    const decoder = new FrameDecoder();
     client.on('data', (data) => {
-      // Client need to respond to different sets of order
-      // to make the API knows that the request has been processed
-      let hexData = data.toString('hex');
+      // The server may coalesce several orders in a single chunk
+      decoder.push(data).forEach((frame) => this.frameReceived(frame));
+    });
+
+    this.client = client;
+    this.identifier = identifier;
+    this.logger = logger;
+  }
+
+  /**
+   * Client need to respond to different sets of order
+   * to make the API knows that the request has been processed
+   * @param {Buffer} frame
+   */
+  frameReceived (frame) {
+    const client = this.client;
+    const identifier = this.identifier;
+    const logger = this.logger;
 
+    let message = MessageCodec.decode(frame, MessageCodec.TO_FEEDER);
+    if (message === undefined) {
+      // Unknown response. Log it
+      logger.warn('Unknown data received', { data: frame.toString('hex') });
+      return;
+    }
+
+    switch (message.type) {
       // Current time from alnpet
-      if (hexData.match(/^9da10601([0-9a-f]+)$/)) {
-        console.log('Time received from server', hexData.replace('9da10601', ''));
-      }
+      case 'time':
+        logger.debug('Time received from server', { hours: message.hours, minutes: message.minutes });
+        break;
       // Setting default amount
-      else if (hexData.match(/^9da106c3([0-9a-f]+)$/)) {
-        client.write(ResponseBuilder.changeDefaultQuantityExpectation(identifier));
-      }
+      case 'change_default_quantity':
+        client.write(MessageCodec.encode('expectation', { identifier: identifier, action: message.type }));
+        break;
       // Feeding now
-      else if (hexData.match(/^9da106a2([0-9a-f]+)$/)) {
-        client.write(ResponseBuilder.feedNowExpectation(identifier));
+      case 'feed_now':
+        client.write(MessageCodec.encode('expectation', { identifier: identifier, action: message.type }));
         if (this.isEmpty) {
-          let amount = parseInt(hexData.replace(/^9da106a2/, ''), 16);
-          let quantity = new Quantity(amount);
           setTimeout(() => {
-            client.write(ResponseBuilder.emptyFeederSignal(identifier, quantity));
+            client.write(MessageCodec.encode('empty_feeder', { identifier: identifier, amount: message.amount }));
           }, 3000);
         }
-      }
+        break;
       // Changing plan
-      else if (hexData.match(/^9da12dc4([0-9a-f]+)$/)) {
-        client.write(ResponseBuilder.changePlanningExpectation(identifier));
-      }
-      else {
-        // Unknown response. Log it
-        console.log('Unknown data received by emulator: ' + hexData);
-      }
-    });
-
+      case 'change_planning':
+        client.write(MessageCodec.encode('expectation', { identifier: identifier, action: message.type }));
+        break;
+    }
   }
 
 }
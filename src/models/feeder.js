@@ -16,6 +16,10 @@ CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
 
 "use strict";
 
+const Logger = require('../logger');
+
+const logger = Logger.child({ module: 'coordinator' });
+
 class Feeder {
 
   /**
@@ -36,10 +40,29 @@ class Feeder {
    * @param {net.Socket} socket
    */
   hasResponded (socket) {
+    if (this.socket !== undefined && this.socket !== socket) {
+      // The feeder reconnected: the previous connection is not used anymore
+      this.socket.destroy();
+    }
+    if (this.socket !== socket) {
+      this.connected = new Date();
+    }
     this.socket = socket;
     this.lastResponded = new Date();
   }
 
+  /**
+   * @param {net.Socket} socket
+   * @returns {boolean} true if it was the feeder's current socket
+   */
+  hasDisconnected (socket) {
+    if (this.socket !== socket) {
+      return false;
+    }
+    this.socket = undefined;
+    return true;
+  }
+
   /**
    * @returns {{identifier: string, isAvailable: boolean, lastResponded: string}}
    */
@@ -61,7 +84,7 @@ class Feeder {
         return;
       }
       this.socket.write(data, () => {
-        console.log("Data sent: " + data.toString('hex'));
+        logger.debug('Data sent', { feeder: this.identifier, data: data.toString('hex') });
         resolve();
       });
     });
@@ -0,0 +1,135 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const Time = require("./time");
+
+/**
+ * Rounds to two decimals
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+class FeedingStats {
+
+  /**
+   * @param {Timezone} timezone the zone the days are counted in
+   * @param {{date: Date, quantity: number, meals: number}[]} plannings totals of the plannings sent, oldest first
+   * @param {{day: string, quantity: number, meals: number}[]} manual totals of the manual meals of each local day, maybe split in several parts
+   * @param {Planning} current the planning currently set
+   */
+  constructor (timezone, plannings, manual, current) {
+    this.timezone = timezone;
+    this.plannings = plannings;
+    this.manual = manual;
+    this.current = current;
+  }
+
+  /**
+   * @param {string} day like '2018-03-21'
+   * @returns {number} the amount planned by the planning in effect when the day begins
+   */
+  plannedQuantity (day) {
+    let begin = this.timezone.instant(day, new Time(0, 0));
+    let planning = this.plannings.filter((planning) => planning.date <= begin).pop();
+    return planning ? planning.quantity : 0;
+  }
+
+  /**
+   * @param {string} day like '2018-03-21'
+   * @returns {number} the amount given using the feeder button during the day
+   */
+  manualQuantity (day) {
+    return this.manual.filter((total) => total.day === day).reduce((amount, total) => amount + total.quantity, 0);
+  }
+
+  /**
+   * @param {string[]} days like '2018-03-21', in the feeder timezone
+   * @returns {{date: string, planned: number, manual: number, total: number, difference: number}[]}
+   */
+  daily (days) {
+    let expected = this.current.totalQuantity();
+    return days.map((day) => {
+      let planned = this.plannedQuantity(day);
+      let manual = this.manualQuantity(day);
+      return { date: day, planned: planned, manual: manual, total: planned + manual, difference: planned + manual - expected };
+    });
+  }
+
+  /**
+   * @param {{date: string, planned: number, manual: number, total: number}[]} daily
+   * @param {function(string): string} key gives the group of a day
+   * @param {string} name the name of the key in the results
+   * @returns {Object[]}
+   */
+  static grouped (daily, key, name) {
+    let groups = [];
+    daily.forEach((day) => {
+      let value = key(day.date);
+      let group = groups.length && groups[groups.length - 1][name] === value ? groups[groups.length - 1] : undefined;
+      if (group === undefined) {
+        group = { days: 0, planned: 0, manual: 0, total: 0 };
+        group[name] = value;
+        groups.push(group);
+      }
+      group.days += 1;
+      group.planned += day.planned;
+      group.manual += day.manual;
+      group.total += day.total;
+    });
+    return groups.map((group) => {
+      group.average = round(group.total / group.days);
+      return group;
+    });
+  }
+
+  /**
+   * @param {string} day like '2018-03-21'
+   * @returns {string} the monday of its week
+   */
+  static monday (day) {
+    let date = new Date(day + 'T00:00:00Z');
+    date.setUTCDate(date.getUTCDate() - (date.getUTCDay() + 6) % 7);
+    return date.toJSON().slice(0, 10);
+  }
+
+  /**
+   * @param {string[]} days like '2018-03-21', in the feeder timezone, oldest first
+   * @returns {{planning: {quantity: number, meals: number}, average: Object, days: Object[], weeks: Object[], months: Object[]}}
+   */
+  jsoned (days) {
+    let daily = this.daily(days);
+    let expected = this.current.totalQuantity();
+    let average = (key) => daily.length ? round(daily.reduce((sum, day) => sum + day[key], 0) / daily.length) : 0;
+    let total = average('total');
+
+    return {
+      timezone: this.timezone.name,
+      planning: { quantity: expected, meals: this.current.mealsCount() },
+      average: { planned: average('planned'), manual: average('manual'), total: total, difference: round(total - expected) },
+      days: daily,
+      weeks: FeedingStats.grouped(daily, FeedingStats.monday, 'week'),
+      months: FeedingStats.grouped(daily, (day) => day.slice(0, 7), 'month'),
+    };
+  }
+
+}
+
+module.exports = FeedingStats;
@@ -62,6 +62,15 @@ class Meal {
     ]);
   }
 
+  /**
+   * @param {Timezone} timezone the zone the meal time is expressed in
+   * @param {Date} date the instant giving the local day
+   * @returns {Meal} the same meal, at the matching UTC time
+   */
+  utc (timezone, date = new Date()) {
+    return new Meal(timezone.toUtc(this.time, date), this.quantity, this.enabled);
+  }
+
   /**
    * @param {number} plan_id
    * @return {array}
@@ -54,6 +54,15 @@ class Planning {
     return this.mealsEnabled().reduce((buf, meal) => Buffer.concat([buf, meal.buffered()]), buffer);
   }
 
+  /**
+   * @param {Timezone} timezone the zone the meal times are expressed in
+   * @param {Date} date the instant giving the local day
+   * @returns {Planning} the same planning, with UTC meal times as the feeder expects them
+   */
+  utc (timezone, date = new Date()) {
+    return new Planning(this.meals.map((meal) => meal.utc(timezone, date)));
+  }
+
   /**
    * @param plan_id
    * @returns {Array[]}
@@ -0,0 +1,183 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const Time = require("./time");
+
+/**
+ * An IANA time zone (like Europe/Paris), used to translate the local times of the plannings
+ * into the UTC times the feeders are working with.
+ */
+class Timezone {
+
+  /**
+   * @param {string} name
+   * @throws
+   */
+  constructor (name = 'UTC') {
+    if (!Timezone.isValid(name)) {
+      throw "Unknown timezone " + name;
+    }
+
+    this.name = name;
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: name,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean}
+   */
+  static isValid (name) {
+    if (typeof name !== 'string' || !name.length) {
+      return false;
+    }
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: name });
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * @param {Date} date
+   * @returns {{year: number, month: number, day: number, hours: number, minutes: number}} the wall clock at that instant
+   */
+  wallClock (date) {
+    let parts = {};
+    this.formatter.formatToParts(date).forEach((part) => {
+      parts[part.type] = +part.value;
+    });
+    return { year: parts.year, month: parts.month, day: parts.day, hours: parts.hour, minutes: parts.minute };
+  }
+
+  /**
+   * @param {Date} date
+   * @returns {number} the offset from UTC at that instant, in minutes (120 for Europe/Paris in summer)
+   */
+  offset (date = new Date()) {
+    let clock = this.wallClock(date);
+    let local = Date.UTC(clock.year, clock.month - 1, clock.day, clock.hours, clock.minutes);
+    return Math.round((local - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+  }
+
+  /**
+   * @param {Date} date
+   * @returns {string} the local day of that instant, like 2018-03-25
+   */
+  day (date = new Date()) {
+    let clock = this.wallClock(date);
+    return clock.year + '-' + ('0' + clock.month).slice(-2) + '-' + ('0' + clock.day).slice(-2);
+  }
+
+  /**
+   * @param {Date} date
+   * @returns {string} the local date and time of that instant, like 2018-03-25 08:30
+   */
+  format (date) {
+    let clock = this.wallClock(date);
+    return this.day(date) + ' ' + new Time(clock.hours, clock.minutes).sqled().slice(0, 5);
+  }
+
+  /**
+   * The instant a local time is reached on a local day.
+   * Times skipped by a DST transition are moved forward by the length of the gap.
+   * @param {string} day like 2018-03-25
+   * @param {Time} time
+   * @returns {Date}
+   */
+  instant (day, time) {
+    let parts = day.split('-');
+    let local = Date.UTC(+parts[0], +parts[1] - 1, +parts[2], time.hours, time.minutes);
+
+    // The offset depends on the instant we're looking for: settle it in two steps
+    let guess = local - this.offset(new Date(local)) * 60000;
+    return new Date(local - this.offset(new Date(guess)) * 60000);
+  }
+
+  /**
+   * Splits a period where the offset of the zone is constant. Transitions are looked for to the minute,
+   * assuming there is at most one of them between two days.
+   * @param {Date[]} bounds the instants the days begin, and the end of the last one
+   * @returns {{begin: Date, end: Date, offset: number}[]}
+   */
+  offsetRanges (bounds) {
+    let ranges = [];
+    let add = (begin, end, offset) => {
+      let last = ranges[ranges.length - 1];
+      if (last !== undefined && last.offset === offset) {
+        last.end = end;
+      } else {
+        ranges.push({ begin: begin, end: end, offset: offset });
+      }
+    };
+
+    for (let index = 1; index < bounds.length; index++) {
+      let begin = bounds[index - 1];
+      let end = bounds[index];
+      let offset = this.offset(begin);
+      if (this.offset(new Date(end.getTime() - 60000)) === offset) {
+        add(begin, end, offset);
+        continue;
+      }
+
+      // The first minute with the new offset
+      let low = begin.getTime() / 60000;
+      let high = end.getTime() / 60000 - 1;
+      while (high - low > 1) {
+        let middle = Math.floor((low + high) / 2);
+        if (this.offset(new Date(middle * 60000)) === offset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      let transition = new Date(high * 60000);
+      add(begin, transition, offset);
+      add(transition, end, this.offset(transition));
+    }
+    return ranges;
+  }
+
+  /**
+   * @param {Time} time a local time
+   * @param {Date} date the instant giving the local day
+   * @returns {Time} the matching UTC time
+   */
+  toUtc (time, date = new Date()) {
+    let instant = this.instant(this.day(date), time);
+    return new Time(instant.getUTCHours(), instant.getUTCMinutes());
+  }
+
+  /**
+   * @returns {string}
+   */
+  jsoned () {
+    return this.name;
+  }
+
+}
+
+module.exports = Timezone;
@@ -19,24 +19,29 @@ CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
 class User {
 
   /**
-   * @param {{id: number, apple_id: string, email: string, email_shown: string: string|null, register: string, login: string, feeders: string|null}} row
+   * @param {{id: number, email: string, email_shown: string: string|null, password: string|null, email_verified: Date|null, email_alerts: number, register: string, login: string, feeders: string|null}} row
    */
   constructor (row) {
     this.id = row.id;
-    this.apple_id = row.apple_id;
     this.email = row.email;
     this.shown_email = row.email_shown;
+    this.password = row.password || null;
+    this.email_verified = row.email_verified || null;
+    this.email_alerts = row.email_alerts !== 0;
     this.register = row.register;
     this.login = row.login;
 
     if (row.feeders) {
       this.feeders = row.feeders.split(',').reduce(function (carry, data) {
+        // id:role:default amount:name
         let components = data.split(':');
         let feeder = {
           id: +components[0],
+          role: components[1],
         };
-        if (components[1]) {
-          feeder.name = components[1];
+        let name = components.slice(3).join(':');
+        if (name) {
+          feeder.name = name;
         }
         if (components[2]) {
           feeder.defaultAmount = +components[2];
@@ -51,12 +56,13 @@ class User {
   }
 
   /**
-   * @returns {{id: number, email: string, register: string, login: string, feeders: Array}}
+   * @returns {{id: number, email: string, email_alerts: boolean, register: string, login: string, feeders: Array}}
    */
   jsoned () {
     return {
       id: this.id,
       email: this.shown_email,
+      email_alerts: this.email_alerts,
       register: this.register ? this.register.toJSON() : null,
       login: this.login ? this.login.toJSON() : null,
       feeders: this.feeders,
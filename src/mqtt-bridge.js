@@ -0,0 +1,252 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const mqtt = require('mqtt');
+
+const Logger = require('./logger');
+const Quantity = require('./models/quantity');
+
+const logger = Logger.child({ module: 'mqtt' });
+
+/**
+ * Publishes the feeders state on MQTT, with Home Assistant discovery, and listens for commands
+ *
+ * Topics, for each feeder:
+ * - <prefix>/<identifier>/availability: online or offline
+ * - <prefix>/<identifier>/last_meal: the last meal given by the button or the API
+ * - <prefix>/<identifier>/alert: the last alert, like an empty feeder
+ * - <prefix>/<identifier>/default_quantity: the amount given when pressing the feeder button
+ * - <prefix>/<identifier>/feed/set: give a meal of the given amount, or of the default quantity
+ * - <prefix>/<identifier>/default_quantity/set: change the default quantity
+ */
+class MqttBridge {
+
+  /**
+   * @param {{mqtt_prefix: string|undefined, mqtt_discovery_prefix: string|undefined}} config
+   * @param {FeederCoordinator} feederCoordinator
+   * @param {DataBaseCoordinator} database
+   * @param {MqttClient} client
+   */
+  constructor(config, feederCoordinator, database, client) {
+    this.prefix = config.mqtt_prefix || 'alnpet';
+    this.discoveryPrefix = config.mqtt_discovery_prefix || 'homeassistant';
+    this.feederCoordinator = feederCoordinator;
+    this.database = database;
+    this.client = client;
+
+    client.on('connect', () => {
+      logger.info('MQTT bridge connected');
+      client.publish(this.prefix + '/bridge/availability', 'online', { retain: true });
+      client.subscribe([this.prefix + '/+/feed/set', this.prefix + '/+/default_quantity/set']);
+
+      // Feeders connected before the bridge
+      Object.keys(feederCoordinator.feeders).forEach((identifier) => {
+        if (feederCoordinator.feeders[identifier].socket !== undefined) {
+          this.feederOnline(identifier);
+        }
+      });
+    });
+
+    client.on('error', (err) => {
+      logger.warn('MQTT error', { err: err });
+    });
+
+    client.on('message', (topic, message) => {
+      this.messageReceived(topic, message.toString()).catch((err) => {
+        logger.warn('MQTT command failed', { topic: topic, err: err.message || err });
+      });
+    });
+
+    feederCoordinator.on('activity', (activity) => {
+      this.activityReceived(activity);
+    });
+  }
+
+  /**
+   * @param {{mqtt_url: string, mqtt_username: string|undefined, mqtt_password: string|undefined, mqtt_prefix: string|undefined}} config
+   * @return {MqttClient}
+   */
+  static connect(config) {
+    let prefix = config.mqtt_prefix || 'alnpet';
+    return mqtt.connect(config.mqtt_url, {
+      username: config.mqtt_username || undefined,
+      password: config.mqtt_password || undefined,
+      will: { topic: prefix + '/bridge/availability', payload: 'offline', retain: true, qos: 1 },
+    });
+  }
+
+  /**
+   * @param {string} identifier
+   * @param {string} name
+   * @return {string}
+   */
+  topic(identifier, name) {
+    return this.prefix + '/' + identifier + '/' + name;
+  }
+
+  /**
+   * @param {string} identifier
+   * @param {string} name
+   * @param {string|Object} payload
+   */
+  publish(identifier, name, payload) {
+    let message = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    this.client.publish(this.topic(identifier, name), message, { retain: true });
+  }
+
+  /**
+   * @param {{identifier: string, type: string, date: Date, data: Object}} activity
+   */
+  activityReceived(activity) {
+    switch (activity.type) {
+      case 'online':
+        this.feederOnline(activity.identifier);
+        break;
+      case 'offline':
+        this.publish(activity.identifier, 'availability', 'offline');
+        break;
+      case 'manual_meal':
+      case 'feed_now':
+        this.publish(activity.identifier, 'last_meal', {
+          type: activity.type === 'manual_meal' ? 'manual' : 'api',
+          date: activity.date.toJSON(),
+          amount: activity.data.amount,
+        });
+        break;
+      case 'empty_feeder':
+        this.publish(activity.identifier, 'alert', Object.assign({ type: 'empty', date: activity.date.toJSON() }, activity.data));
+        break;
+    }
+  }
+
+  /**
+   * @param {string} identifier
+   * @return Promise
+   */
+  feederOnline(identifier) {
+    return this.database.getFeederByIdentifier(identifier).then((feeder) => {
+      if (feeder === undefined) {
+        return;
+      }
+      this.publishDiscovery(identifier, feeder.name);
+      if (feeder.default_value) {
+        this.publish(identifier, 'default_quantity', String(feeder.default_value));
+      }
+      this.publish(identifier, 'availability', 'online');
+    }).catch((err) => {
+      logger.error('Could not publish feeder', { feeder: identifier, err: err });
+    });
+  }
+
+  /**
+   * @param {string} identifier
+   * @param {string} name
+   */
+  publishDiscovery(identifier, name) {
+    let id = this.prefix + '_' + identifier;
+    let device = {
+      identifiers: [id],
+      name: name || 'Feeder ' + identifier,
+      manufacturer: 'HoneyGuaridan',
+      model: 'S25',
+    };
+    let availability = [
+      { topic: this.prefix + '/bridge/availability' },
+      { topic: this.topic(identifier, 'availability') },
+    ];
+
+    let entities = {
+      'button/feed': {
+        name: 'Feed',
+        command_topic: this.topic(identifier, 'feed/set'),
+        payload_press: 'PRESS',
+        icon: 'mdi:food-drumstick',
+      },
+      'number/default_quantity': {
+        name: 'Default quantity',
+        command_topic: this.topic(identifier, 'default_quantity/set'),
+        state_topic: this.topic(identifier, 'default_quantity'),
+        min: 5,
+        max: 150,
+        step: 1,
+        unit_of_measurement: 'g',
+      },
+      'sensor/last_meal': {
+        name: 'Last meal',
+        state_topic: this.topic(identifier, 'last_meal'),
+        value_template: '{{ value_json.amount }}',
+        json_attributes_topic: this.topic(identifier, 'last_meal'),
+        unit_of_measurement: 'g',
+      },
+      'sensor/last_alert': {
+        name: 'Last alert',
+        state_topic: this.topic(identifier, 'alert'),
+        value_template: '{{ value_json.date }}',
+        json_attributes_topic: this.topic(identifier, 'alert'),
+        device_class: 'timestamp',
+      },
+    };
+
+    Object.keys(entities).forEach((key) => {
+      let parts = key.split('/');
+      let entity = Object.assign({
+        unique_id: id + '_' + parts[1],
+        availability: availability,
+        availability_mode: 'all',
+        device: device,
+      }, entities[key]);
+      let topic = this.discoveryPrefix + '/' + parts[0] + '/' + id + '/' + parts[1] + '/config';
+      this.client.publish(topic, JSON.stringify(entity), { retain: true });
+    });
+  }
+
+  /**
+   * @param {string} topic
+   * @param {string} message
+   * @return Promise
+   */
+  messageReceived(topic, message) {
+    let parts = topic.split('/');
+    let identifier = parts[parts.length - 3];
+    let command = parts[parts.length - 2];
+
+    let amount = message.trim();
+    if (command === 'feed') {
+      // The button gives the default quantity
+      let promise = isNaN(+amount) || amount === '' ? this.database.getFeederByIdentifier(identifier).then((feeder) => {
+        return feeder ? feeder.default_value : undefined;
+      }) : Promise.resolve(amount);
+
+      return promise.then((amount) => {
+        return this.feederCoordinator.feedNow(identifier, new Quantity(amount));
+      });
+    }
+
+    if (command === 'default_quantity') {
+      return new Promise((resolve) => { resolve(new Quantity(amount)); }).then((quantity) => {
+        return this.feederCoordinator.setDefaultQuantity(identifier, quantity).then(() => {
+          this.publish(identifier, 'default_quantity', String(quantity.amount));
+        });
+      });
+    }
+
+    return Promise.resolve();
+  }
+}
+
+module.exports = MqttBridge;
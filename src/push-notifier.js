@@ -0,0 +1,98 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const Logger = require('./logger');
+
+const logger = Logger.child({ module: 'push' });
+
+// Reasons given by APNs for tokens that will never be valid again
+const INVALID_TOKEN_REASONS = ['BadDeviceToken', 'Unregistered', 'DeviceTokenNotForTopic'];
+
+/**
+ * Sends push notifications to the devices of the feeder members
+ */
+class PushNotifier {
+
+  /**
+   * @param {FeederCoordinator} feederCoordinator
+   * @param {DataBaseCoordinator} database
+   * @param {{send: function(string, Object): Promise<{status: number, reason: string|undefined}>}} transport
+   */
+  constructor(feederCoordinator, database, transport) {
+    this.database = database;
+    this.transport = transport;
+
+    feederCoordinator.on('activity', (activity) => {
+      let notification = PushNotifier.notificationFor(activity);
+      if (notification === undefined) {
+        return;
+      }
+      this.notify(activity.identifier, notification).catch((err) => {
+        logger.error('Could not send ' + activity.type + ' notifications', { feeder: activity.identifier, err: err });
+      });
+    });
+  }
+
+  /**
+   * @param {{identifier: string, type: string, data: Object}} activity
+   * @return {{title: string, body: string}|undefined}
+   */
+  static notificationFor(activity) {
+    switch (activity.type) {
+      case 'manual_meal':
+        return { title: 'Meal given', body: activity.data.amount + 'g were given using the feeder button.' };
+      case 'empty_feeder':
+        return { title: 'Feeder is empty', body: 'A meal of ' + activity.data.amount + 'g could not be given. Please refill the feeder.' };
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * @param {string} identifier
+   * @param {{title: string, body: string}} notification
+   * @return Promise
+   */
+  notify(identifier, notification) {
+    return this.database.getDeviceTokensByIdentifier(identifier).then((devices) => {
+      return Promise.all(devices.map((device) => {
+        let payload = {
+          aps: {
+            alert: {
+              title: device.feeder_name ? device.feeder_name + ': ' + notification.title : notification.title,
+              body: notification.body,
+            },
+            sound: 'default',
+          },
+          feeder: device.feeder,
+        };
+        return this.transport.send(device.token, payload).then((result) => {
+          if (result.status === 410 || INVALID_TOKEN_REASONS.indexOf(result.reason) !== -1) {
+            logger.info('Removing invalid device token', { feeder: identifier, reason: result.reason });
+            return this.database.removeDeviceToken(device.token);
+          }
+          if (result.status !== 200) {
+            logger.warn('Push notification refused', { feeder: identifier, status: result.status, reason: result.reason });
+          }
+        });
+      }));
+    });
+  }
+}
+
+module.exports = PushNotifier;
@@ -16,21 +16,20 @@ CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
 
 "use strict";
 
-const Time = require("./models/time");
+const MessageCodec = require("./message-codec");
 const Quantity = require("./models/quantity");
 const Planning = require("./models/planning");
 
+/**
+ * Named shortcuts over MessageCodec, where all the messages are described
+ */
 class ResponseBuilder {
 
   /**
    * @returns {Buffer}
    */
   static time () {
-    // 9d a1 06 01
-    let prefix = Buffer.from([157, 161, 6, 1]);
-
-    let time = new Time();
-    return Buffer.concat([prefix, time.buffered()]);
+    return MessageCodec.encode('time');
   }
 
   /**
@@ -43,9 +42,7 @@ class ResponseBuilder {
       throw "Wrong argument passed to changeDefaultQuantity()";
     }
 
-    // 9d a1 06 c3
-    let prefix = Buffer.from([157, 161, 6, 195]);
-    return Buffer.concat([prefix, quantity.buffered()]);
+    return MessageCodec.encode('change_default_quantity', { amount: quantity.amount });
   }
 
   /**
@@ -58,9 +55,7 @@ class ResponseBuilder {
       throw "Wrong argument passed to changePlanning()";
     }
 
-    // 9d a1 2d c4
-    let prefix = Buffer.from([157, 161, 45, 196]);
-    return Buffer.concat([prefix, planning.buffered()]);
+    return MessageCodec.encode('change_planning', { planning: planning });
   }
 
   /**
@@ -73,84 +68,16 @@ class ResponseBuilder {
       throw "Wrong argument passed to feedNow()";
     }
 
-    // 9d a1 06 a2
-    let prefix = Buffer.from([157, 161, 6, 162]);
-    return Buffer.concat([prefix, quantity.buffered()]);
+    return MessageCodec.encode('feed_now', { amount: quantity.amount });
   }
 
   /**
    * @param {Buffer} data
-   * @returns {{type: string, identifier: string}}|undefined
+   * @returns {{type: string, identifier: string}}
    */
   static recognize (data) {
-    let hexString = data.toString('hex');
-    if (hexString.match(/^9da114([0-9a-f]+)01d0010000$/)) {
-      let hexIdentifier;
-      if (hexString.match(/^(?:9da114([0-9a-f]+)01d0010000){2,}$/)) {
-        // Sometime, identification is given twice in a row. We take care of any of those cases
-        hexIdentifier = hexString.replace(/^(?:9da114([0-9a-f]+)01d0010000){2,}$/, "$1");
-      }
-      else {
-        hexIdentifier = hexString.replace(/^9da114([0-9a-f]+)01d0010000$/, "$1");
-      }
-      let identifier = ResponseBuilder.decodeFeederIdentifier(hexIdentifier);
-      return { type: 'identification', identifier: identifier };
-    }
-    else if (hexString.match(/^9da114([0-9a-f]+)21038400([0-9a-f]{2})$/)) {
-      let hexIdentifier = hexString.replace(/^9da114([0-9a-f]+)21038400([0-9a-f]{2})$/, "$1");
-      let identifier = ResponseBuilder.decodeFeederIdentifier(hexIdentifier);
-      let amount = parseInt(hexString.slice(-2), 16);
-      return { type: 'manual_meal', identifier: identifier, amount: amount };
-    }
-    else if (hexString.match(/^9da114([0-9a-f]+)c3d0a10000$/)) {
-      let hexIdentifier = hexString.replace(/^9da114([0-9a-f]+)c3d0a10000$/, "$1");
-      let identifier = ResponseBuilder.decodeFeederIdentifier(hexIdentifier);
-      return { type: 'expectation', identifier: identifier, action: 'change_default_quantity' };
-    }
-    else if (hexString.match(/^9da114([0-9a-f]+)c4d0a10000$/)) {
-      let hexIdentifier = hexString.replace(/^9da114([0-9a-f]+)c4d0a10000$/, "$1");
-      let identifier = ResponseBuilder.decodeFeederIdentifier(hexIdentifier);
-      return { type: 'expectation', identifier: identifier, action: 'change_planning' };
-    }
-    else if (hexString.match(/^9da114([0-9a-f]+)a2d0a10000$/)) {
-      let hexIdentifier = hexString.replace(/^9da114([0-9a-f]+)a2d0a10000$/, "$1");
-      let identifier = ResponseBuilder.decodeFeederIdentifier(hexIdentifier);
-      return { type: 'expectation', identifier: identifier, action: 'feed_now' };
-    }
-    else if (hexString.match(/^9da114([0-9a-f]+)21038400([0-9a-f]{2})$/)) {
-      let regex = /^9da114([0-9a-f]+)21038400([0-9a-f]{2})$/;
-      let matches = regex.exec(hexString);
-      let identifier = ResponseBuilder.decodeFeederIdentifier(matches[1]);
-      let amount = parseInt(matches[2], 16);
-      return {type: 'manual_meal', identifier: identifier, amount: amount};
-    }
-    else if (hexString.match(/^9da114([0-9a-f]+)21(0[0-5][0-9a-f]{2})(00[0-9][0-9a-f])$/)) {
-      let regex = /^9da114([0-9a-f]+)21(0[0-5][0-9a-f]{2})(00[0-9][0-9a-f])$/;
-      let matches = regex.exec(hexString);
-      let identifier = ResponseBuilder.decodeFeederIdentifier(matches[1]);
-      let amount = parseInt(matches[3], 16);
-      let alnMinutes = parseInt(matches[2], 16);
-      // Aln time is weird
-      let hours = (((alnMinutes - (alnMinutes % 60)) / 60) + 16) % 24;
-      let minutes = (alnMinutes % 60);
-      return { type: 'empty_feeder', identifier: identifier, hours: hours, minutes: minutes, amount: amount };
-    }
-    else {
-      return { type: 'unknown' };
-    }
-  }
-
-  /**
-   * @param {string} hexIdentifier
-   * @throws
-   * @returns {string}
-   */
-  static decodeFeederIdentifier (hexIdentifier) {
-    let identifier = Buffer.from(hexIdentifier, 'hex').toString();
-    if (!identifier.match(/^[a-z0-9]+$/i)) {
-      throw 'Unvalid character in feeder identifier';
-    }
-    return identifier;
+    let message = MessageCodec.decode(data, MessageCodec.FROM_FEEDER);
+    return message !== undefined ? message : { type: 'unknown' };
   }
 
   /**
@@ -158,11 +85,7 @@ class ResponseBuilder {
    * @returns {Buffer}
    */
   static feederIdentification (identifier) {
-    // 9d a1 14
-    let prefix = Buffer.from([157, 161, 20]);
-    // 01 d0 01 00 00
-    let suffix = Buffer.from([1, 208, 1, 0, 0]);
-    return Buffer.concat([prefix, Buffer.from(identifier, 'utf8'), suffix]);
+    return MessageCodec.encode('identification', { identifier: identifier });
   }
 
   /**
@@ -171,11 +94,7 @@ class ResponseBuilder {
    * @returns {Buffer}
    */
   static mealButtonPressed (identifier, quantity) {
-    // 9d a1 14
-    let prefix = Buffer.from([157, 161, 20]);
-    // 21 03 84
-    let suffix = Buffer.from([33, 3, 132]);
-    return Buffer.concat([prefix, Buffer.from(identifier, 'utf8'), suffix, quantity.buffered()]);
+    return MessageCodec.encode('manual_meal', { identifier: identifier, amount: quantity.amount });
   }
 
   /**
@@ -184,25 +103,15 @@ class ResponseBuilder {
    * @returns {Buffer}
    */
   static emptyFeederSignal (identifier, quantity) {
-    let time = new Time();
-    // 9d a1 14
-    let prefix = Buffer.from([157, 161, 20]);
-    // 21
-    let suffix = Buffer.from([33]);
-    return Buffer.concat([prefix, Buffer.from(identifier, 'utf8'), suffix, time.buffered(), quantity.buffered()]);
+    return MessageCodec.encode('empty_feeder', { identifier: identifier, amount: quantity.amount });
   }
 
-
   /**
    * @param {string} identifier
    * @returns {Buffer}
    */
   static changeDefaultQuantityExpectation (identifier) {
-    // 9d a1 14
-    let prefix = Buffer.from([157, 161, 20]);
-    // c3 d0 a1 00 00
-    let suffix = Buffer.from([195, 208, 161, 0, 0]);
-    return Buffer.concat([prefix, Buffer.from(identifier, 'utf8'), suffix]);
+    return MessageCodec.encode('expectation', { identifier: identifier, action: 'change_default_quantity' });
   }
 
   /**
@@ -210,11 +119,7 @@ class ResponseBuilder {
    * @returns {Buffer}
    */
   static changePlanningExpectation (identifier) {
-    // 9d a1 14
-    let prefix = Buffer.from([157, 161, 20]);
-    // c4 d0 a1 00 00
-    let suffix = Buffer.from([196, 208, 161, 0, 0]);
-    return Buffer.concat([prefix, Buffer.from(identifier, 'utf8'), suffix]);
+    return MessageCodec.encode('expectation', { identifier: identifier, action: 'change_planning' });
   }
 
   /**
@@ -222,11 +127,7 @@ class ResponseBuilder {
    * @returns {Buffer}
    */
   static feedNowExpectation (identifier) {
-    // 9d a1 14
-    let prefix = Buffer.from([157, 161, 20]);
-    // a2 d0 a1 00 00
-    let suffix = Buffer.from([162, 208, 161, 0, 0]);
-    return Buffer.concat([prefix, Buffer.from(identifier, 'utf8'), suffix]);
+    return MessageCodec.encode('expectation', { identifier: identifier, action: 'feed_now' });
   }
 
 }
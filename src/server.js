@@ -16,21 +16,59 @@ CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
 
 "use strict";
 
-const axios = require('axios');
 const http = require('http');
 const express = require('express');
 const session = require('express-session');
-const MySQLStore = require('express-mysql-session')(session);
 const helmet = require('helmet');
 const bodyParser = require('body-parser');
 const cacheControl = require('express-cache-controller');
 
 const validator = require('validator');
 
+const CommandError = require('./command-error');
 const CryptoHelper = require('./crypto-helper');
+const HistoryExport = require('./history-export');
+const IdentityProviders = require('./identity-providers');
+const Logger = require('./logger');
+const MailTemplates = require('./mail-templates');
+const Metrics = require('./metrics');
 const Quantity = require("./models/quantity");
 const Meal = require("./models/meal");
 const Planning = require("./models/planning");
+const Timezone = require("./models/timezone");
+const WebPages = require('./web-pages');
+const WebhookDispatcher = require('./webhook-dispatcher');
+
+const logger = Logger.child({ module: 'server' });
+
+// Each role can do what the previous ones can
+const ROLES = ['viewer', 'caregiver', 'owner'];
+
+// The alerts logged by the feeder coordinator
+const ALERT_TYPES = ['empty'];
+
+// Invitations have to be accepted within a week
+const INVITATION_LIFETIME = 7 * 24 * 60 * 60 * 1000;
+
+// So do ownership transfers
+const TRANSFER_LIFETIME = 7 * 24 * 60 * 60 * 1000;
+
+// The feeder button has to be pressed within two minutes of the claim
+const PAIRING_WINDOW = 2 * 60 * 1000;
+
+// Emails are confirmed within two days, and passwords reset within the hour
+const VERIFICATION_LIFETIME = 2 * 24 * 60 * 60 * 1000;
+const RESET_LIFETIME = 60 * 60 * 1000;
+
+// Long enough, while scrypt handles any size
+const PASSWORD_LENGTH = { min: 8, max: 1024 };
+
+// The routes access tokens may use, by scope
+const SCOPES = {
+  read: ['GET /feeder/:id', 'GET /feeder/:id/meals', 'GET /feeder/:id/export', 'GET /feeder/:id/stats', 'GET /feeder/:id/connectivity', 'GET /feeder/:id/events', 'GET /feeder/:id/alerts', 'GET /feeder/:id/planning'],
+  feed: ['POST /feeder/:id/feed'],
+  planning: ['GET /feeder/:id/planning', 'PUT /feeder/:id/planning'],
+};
 
 class HttpError extends Error {
   constructor(message, code = 500) {
@@ -39,14 +77,27 @@ class HttpError extends Error {
   }
 }
 
+/**
+ * @param {*} value
+ * @throws {HttpError} when the password is too short or too long
+ * @return {string}
+ */
+function parsePassword(value) {
+  if (typeof value !== 'string' || !validator.isLength(value, PASSWORD_LENGTH)) {
+    throw new HttpError('The password must have ' + PASSWORD_LENGTH.min + ' characters or more', 400);
+  }
+  return value;
+}
+
 class Server {
 
   /**
-   * @param {{base_url: string, local_port: number, session_name: string, session_secret: string, hmac_secret: string, mysql_host: string, mysql_user: string, mysql_password: string, mysql_database: string, ios_bundle_identifier: string, ios_app_identifier: string}} config
+   * @param {{base_url: string, local_port: number, session_name: string, session_secret: string, hmac_secret: string, ios_bundle_identifier: string, ios_app_identifier: string, enable_metrics: boolean, metrics_token: string}} config
    * @param {FeederCoordinator} feederCoordinator
    * @param {DataBaseCoordinator} database
+   * @param {Mailer} mailer
    */
-  constructor(config, feederCoordinator, database) {
+  constructor(config, feederCoordinator, database, mailer) {
 
     // Create a service (the app object is just a callback).
     let app = express();
@@ -54,28 +105,39 @@ class Server {
     // Use helmet for better security & obfuscation settings
     app.use(helmet());
 
+    // Prometheus scraping endpoint
+    if (config.enable_metrics) {
+      Metrics.collectDefaultMetrics();
+      app.get('/metrics', Metrics.endpoint(config));
+    }
+
+    // Time every other request
+    app.use(Metrics.observeRequests());
+
     // And the session mechanism
     app.use(session({
       key: config.session_name,
       secret: config.session_secret,
-      store: new MySQLStore({
-        host: config.mysql_host,
-        user: config.mysql_user,
-        password: config.mysql_password,
-        database: config.mysql_database
-      }),
+      store: database.storage.sessionStore(session),
       resave: false,
       saveUninitialized: false,
       cookie: { secure: 'auto' }
     }));
 
+    // Correlate the logs of each request
+    app.use((req, res, next) => {
+      req.log = logger.child({
+        request: CryptoHelper.randomToken(8),
+        user: req.session && req.session.user ? req.session.user.id : undefined,
+      });
+      next();
+    });
+
     // Create the routes for the API
-    let api = Server.createApiRouter(feederCoordinator, database, config);
+    let api = Server.createApiRouter(feederCoordinator, database, config, mailer);
     app.use('/api', api);
 
-    app.set('view engine', 'pug');
-
-    let web = Server.createWebRouter(config);
+    let web = Server.createWebRouter(config, database);
     app.use('/', web);
 
     http.createServer(app).listen(config.local_port, 'localhost');
@@ -83,11 +145,13 @@ class Server {
 
   /**
    *
-   * @param {{ios_app_identifier: string}} config
+   * @param {{ios_app_identifier: string, hmac_secret: string}} config
+   * @param {DataBaseCoordinator} database
    * @return {Router}
    */
-  static createWebRouter(config) {
+  static createWebRouter(config, database) {
     let web = express.Router();
+    let form = bodyParser.urlencoded({ extended: false });
 
     if (config.ios_app_identifier) {
       // We also have an apple-app-site-association application
@@ -108,15 +172,74 @@ class Server {
       });
     }
 
+    // The tokens of the links sent by email
+    web.param('token', (req, res, next, token) => {
+      if (!validator.isHexadecimal(token)) {
+        throw new HttpError('This link is not valid', 404);
+      }
+      next();
+    });
+
+    // The links sent by email are opened by the app when it's installed ; otherwise they land here
+    web.get('/invitations/:token', (req, res, next) => {
+      res.send(WebPages.render('invitation'));
+    });
+
+    // Tokens are only used once a form is sent: mail scanners may open the links by themselves
+    web.get('/verify/:token', (req, res, next) => {
+      res.send(WebPages.render('verify_email'));
+    });
+
+    web.post('/verify/:token', form, (req, res, next) => {
+      database.verifyEmail(CryptoHelper.hashHex(req.params.token, config.hmac_secret)).then((user) => {
+        if (user === undefined) {
+          throw new HttpError('This link has already been used, or has expired', 404);
+        }
+        res.send(WebPages.render('email_verified'));
+      }).catch(next);
+    });
+
+    let resetPage = (error) => {
+      return WebPages.render('password_reset', { min_length: PASSWORD_LENGTH.min, max_length: PASSWORD_LENGTH.max, error: error });
+    };
+
+    web.get('/password/reset/:token', (req, res, next) => {
+      res.send(resetPage());
+    });
+
+    web.post('/password/reset/:token', form, (req, res, next) => {
+      Promise.resolve().then(() => {
+        return CryptoHelper.hashPassword(parsePassword(req.body.password));
+      }).then((hash) => {
+        return database.resetPassword(CryptoHelper.hashHex(req.params.token, config.hmac_secret), hash);
+      }).then((user) => {
+        if (user === undefined) {
+          throw new HttpError('This link has already been used, or has expired', 404);
+        }
+        res.send(WebPages.render('password_changed'));
+      }).catch((err) => {
+        // Let the user try again
+        if (err instanceof HttpError && err.code === 400) {
+          res.status(400).send(resetPage(err.message));
+          return;
+        }
+        next(err);
+      });
+    });
+
     // Error handling at the end
     web.use((err, req, res, next) => {
+      let log = req.log || logger;
       if (err instanceof HttpError) {
+        log.log(err.code >= 500 ? 'error' : 'info', 'Request refused: ' + err.message, { status: err.code });
         res.status(err.code);
+        res.send(WebPages.render('error', { message: err.message }));
+        return;
       }
-      else {
-        res.status(500);
-      }
-      res.render('errors', { error: err });
+
+      log.error('Request failed', { err: err });
+      res.status(500);
+      res.send(WebPages.render('error', { message: 'The request could not be handled, please try again later.' }));
     });
 
     return web;
@@ -125,16 +248,49 @@ class Server {
   /**
    * @param {FeederCoordinator} feederCoordinator
    * @param {DataBaseCoordinator} database
-   * @param {{base_url: string, hmac_secret: string, ios_bundle_identifier: string, key_id: string, key_path: string }} config
+   * @param {{base_url: string, hmac_secret: string, ios_bundle_identifier: string, oidc_providers: Object|undefined, key_id: string, key_path: string }} config
+   * @param {Mailer} mailer
    * @return {Router}
    */
-  static createApiRouter(feederCoordinator, database, config) {
+  static createApiRouter(feederCoordinator, database, config, mailer) {
     let api = express.Router();
+    let providers = new IdentityProviders(config);
 
     api.use(bodyParser.urlencoded({ extended: true }));
     api.use(bodyParser.json());
     api.use(cacheControl({ noCache: true }));
 
+    // Access tokens, for scripts and integrations
+    api.use((req, res, next) => {
+      let authorization = req.headers.authorization;
+      if (typeof authorization !== 'string' || !authorization.startsWith('Bearer ')) {
+        next();
+        return;
+      }
+
+      let token = authorization.slice('Bearer '.length).trim();
+      if (!validator.isHexadecimal(token)) {
+        throw new HttpError('Invalid access token', 401);
+      }
+      database.getAccessToken(CryptoHelper.hashHex(token, config.hmac_secret)).then((access) => {
+        if (!access) {
+          throw new HttpError('Invalid access token', 401);
+        }
+        return database.getUserById(access.user).then((user) => {
+          if (!user) {
+            throw new HttpError('Invalid access token', 401);
+          }
+          req.token = access;
+          req.user = user.jsoned();
+          req.log = req.log.child({ user: user.id, token: access.id });
+          database.accessTokenUsed(access.id).catch((err) => {
+            req.log.warn('Could not record the access token use', { err: err });
+          });
+          next();
+        });
+      }).catch(next);
+    });
+
     // CSRF Protection
     api.use((req, res, next) => {
       if (req.path === '/user/check' || req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS' || req.method === 'TRACE') {
@@ -142,6 +298,12 @@ class Server {
         return;
       }
 
+      // Browsers do not send access tokens by themselves
+      if (req.token) {
+        next();
+        return;
+      }
+
       if (!req.session || !req.session.user) {
         next();
         return;
@@ -161,83 +323,273 @@ class Server {
     });
 
     let requiresNotLoggedIn = (req, res, next) => {
-      if (req.session && req.session.user) {
+      if (req.token || (req.session && req.session.user)) {
         throw new HttpError( 'Already logged-in', 403);
       }
       next();
     };
 
+    // req.user is the user of the session, or of the access token
     let requiresLoggedIn = (req, res, next) => {
+      if (req.token) {
+        let route = req.method + ' ' + req.route.path;
+        if (!req.token.scopes.some((scope) => SCOPES[scope].indexOf(route) !== -1)) {
+          throw new HttpError('Not allowed with this access token', 403);
+        }
+        next();
+        return;
+      }
+
       if (!req.session || !req.session.user) {
         throw new HttpError('Not logged-in', 403);
       }
+      req.user = req.session.user;
       next();
     };
 
+    // After a change of its feeders ; access tokens must not log a session in
+    let refreshUser = (req, user) => {
+      req.user = user.jsoned();
+      if (!req.token) {
+        req.session.user = req.user;
+      }
+      return req.user;
+    };
+
     /** AUTHENTICATION MECHANISMS **/
 
+    let sendVerification = (user_id, email) => {
+      let token = CryptoHelper.randomToken();
+      let valid_until = new Date(Date.now() + VERIFICATION_LIFETIME);
+      return database.createUserToken(user_id, 'verify', CryptoHelper.hashHex(token, config.hmac_secret), valid_until).then(() => {
+        let mail = MailTemplates.render('verification', { url: config.base_url + '/verify/' + token, valid_until: valid_until });
+        return mailer.send(email, mail);
+      });
+    };
+
+    api.post('/user/register', requiresNotLoggedIn, (req, res, next) => {
+      if (typeof req.body.email !== 'string' || !validator.isEmail(req.body.email)) {
+        throw new HttpError('Invalid email', 400);
+      }
+      let password = parsePassword(req.body.password);
+      let email = validator.normalizeEmail(req.body.email);
+
+      database.getUserByEmail(email).then((user) => {
+        // Users of Sign in with Apple may set a password by resetting it
+        if (user !== undefined) {
+          throw new HttpError('Email already registered', 409);
+        }
+        return CryptoHelper.hashPassword(password);
+      }).then((hash) => {
+        return database.createUser({ email: email, shown_email: req.body.email, password: hash });
+      }).then((user_id) => {
+        return sendVerification(user_id, req.body.email).then(() => {
+          res.json({ success: true });
+        }, (err) => {
+          req.log.error('Could not email the verification link', { err: err });
+          throw new HttpError('Could not email the verification link', 502);
+        });
+      }).catch(next);
+    });
+
+    api.post('/user/verification', requiresNotLoggedIn, (req, res, next) => {
+      if (typeof req.body.email !== 'string' || !validator.isEmail(req.body.email)) {
+        throw new HttpError('Invalid email', 400);
+      }
+
+      // The answer is the same for everyone, not to tell which accounts exist
+      database.getUserByEmail(validator.normalizeEmail(req.body.email)).then((user) => {
+        if (user && !user.email_verified) {
+          sendVerification(user.id, user.shown_email).catch((err) => {
+            req.log.error('Could not email the verification link', { err: err });
+          });
+        }
+        res.json({ success: true });
+      }).catch(next);
+    });
+
+    api.post('/user/verify', (req, res, next) => {
+      if (typeof req.body.token !== 'string' || !validator.isHexadecimal(req.body.token)) {
+        throw new HttpError('Invalid token', 400);
+      }
+
+      database.verifyEmail(CryptoHelper.hashHex(req.body.token, config.hmac_secret)).then((user) => {
+        if (user === undefined) {
+          throw new HttpError('Token not found or expired', 404);
+        }
+        res.json({ success: true });
+      }).catch(next);
+    });
+
+    api.post('/user/password/forgot', requiresNotLoggedIn, (req, res, next) => {
+      if (typeof req.body.email !== 'string' || !validator.isEmail(req.body.email)) {
+        throw new HttpError('Invalid email', 400);
+      }
+
+      // The answer is the same for everyone, not to tell which accounts exist
+      database.getUserByEmail(validator.normalizeEmail(req.body.email)).then((user) => {
+        res.json({ success: true });
+        if (user === undefined) {
+          return;
+        }
+
+        let token = CryptoHelper.randomToken();
+        return database.createUserToken(user.id, 'reset', CryptoHelper.hashHex(token, config.hmac_secret), new Date(Date.now() + RESET_LIFETIME)).then(() => {
+          let mail = MailTemplates.render('password_reset', { url: config.base_url + '/password/reset/' + token });
+          return mailer.send(user.shown_email, mail);
+        }).catch((err) => {
+          req.log.error('Could not email the password reset link', { err: err });
+        });
+      }).catch(next);
+    });
+
+    api.post('/user/password/reset', requiresNotLoggedIn, (req, res, next) => {
+      if (typeof req.body.token !== 'string' || !validator.isHexadecimal(req.body.token)) {
+        throw new HttpError('Invalid token', 400);
+      }
+      let password = parsePassword(req.body.password);
+
+      CryptoHelper.hashPassword(password).then((hash) => {
+        return database.resetPassword(CryptoHelper.hashHex(req.body.token, config.hmac_secret), hash);
+      }).then((user) => {
+        if (user === undefined) {
+          throw new HttpError('Token not found or expired', 404);
+        }
+        res.json({ success: true });
+      }).catch(next);
+    });
+
+    let logUser = (req, res, next, user) => {
+      database.loggedUser(user.id).then(() => {
+        req.session.user = user.jsoned();
+        let token = CryptoHelper.hashBase64('csrf', req.session.id + config.hmac_secret);
+        res.json({ success: true, user: req.session.user, token: token });
+      }).catch(next);
+    };
+
+    let verifyIdentity = (req, provider, idToken) => {
+      return providers.verify(provider, idToken).catch((err) => {
+        if (err.isAxiosError) {
+          req.log.error('Could not fetch the keys of the identity provider', { provider: provider, err: err });
+          throw new HttpError('Identity provider unreachable', 502);
+        }
+        req.log.info('Identity token refused', { provider: provider, err: err });
+        throw new HttpError('Invalid identity token', 403);
+      });
+    };
+
+    // The user of the identity, registered the first time
+    let identifiedUser = (req, provider, token) => {
+      return database.getUserByIdentity(provider, token.sub).then((user) => {
+        if (user !== undefined) {
+          return user;
+        }
+
+        // Apple only gives the email to the app, on the first login
+        let email = token.email || req.body.email;
+        if (typeof email !== 'string' || !validator.isEmail(email)) {
+          throw new HttpError('Missing email for registration', 400);
+        }
+        let normalized = validator.normalizeEmail(email);
+        return database.getUserByEmail(normalized).then((existing) => {
+          // Anyone could claim this email with their own provider
+          if (existing !== undefined) {
+            throw new HttpError('Email already registered: log in, then link this identity', 409);
+          }
+
+          // The email sent by the app is not vouched for by the provider: its owner has to confirm it
+          let verified = token.email === email && String(token.email_verified) === 'true';
+          return database.createUser({
+            email: normalized,
+            shown_email: email,
+            email_verified: verified ? new Date() : undefined,
+            identity: { provider: provider, subject: token.sub },
+          }).then((user_id) => {
+            if (verified) {
+              return user_id;
+            }
+            return sendVerification(user_id, email).catch((err) => {
+              req.log.error('Could not email the verification link', { err: err });
+            }).then(() => user_id);
+          });
+        }).then((user_id) => {
+          return database.getUserById(user_id);
+        });
+      });
+    };
+
     api.post('/user/login', requiresNotLoggedIn, (req, res, next) => {
+      if (req.body.password !== undefined) {
+        if (typeof req.body.email !== 'string' || typeof req.body.password !== 'string') {
+          throw new HttpError('Missing email or password', 400);
+        }
+
+        let email = validator.normalizeEmail(req.body.email) || '';
+        database.getUserByEmail(email).then((user) => {
+          return CryptoHelper.checkPassword(req.body.password, user && user.password).then((valid) => {
+            if (!valid) {
+              throw new HttpError('Invalid email or password', 403);
+            }
+            if (!user.email_verified) {
+              throw new HttpError('Email not verified', 403);
+            }
+            logUser(req, res, next, user);
+          });
+        }).catch(next);
+        return;
+      }
+
+      if (!providers.has('apple')) {
+        throw new HttpError('Unknown identity provider', 404);
+      }
       if (!req.body.appleId || !req.body.authorizationCode || !req.body.identityToken) {
         throw new HttpError('Missing appleId or authorizationCode or identityToken', 400);
       }
 
-      let logUser = (user) => {
-        database.loggedUser(user.id).then(() => {
-          req.session.user = user.jsoned();
-          let token = CryptoHelper.hashBase64('csrf', req.session.id + config.hmac_secret);
-          res.json({ success: true, user: req.session.user, token: token });
-        }).catch(next);
-      };
+      let idToken = Buffer.from(req.body.identityToken, 'base64').toString('utf8');
+      verifyIdentity(req, 'apple', idToken).then((token) => {
+        // We check apple_id congruency with identityToken
+        if (token.sub !== req.body.appleId) {
+          throw new HttpError('Unrecognized appleId for login', 400);
+        }
+        // TODO! Validate req.body.authorizationCode
+        return identifiedUser(req, 'apple', token);
+      }).then((user) => {
+        logUser(req, res, next, user);
+      }).catch(next);
+    });
 
-      let logAppleIdUser = (apple_id) => {
-        database.getUserByAppleId(apple_id).then((user) => {
-          if (user === undefined) {
-            if (!req.body.email) {
-              throw new HttpError('Missing email for registration', 400);
-            }
-            // We create a user here
-            let data = {
-              apple_id: apple_id,
-              email: validator.normalizeEmail(req.body.email),
-              shown_email: req.body.email,
-            };
-            Promise.all([database.createUser(data), database.getUserByAppleId(apple_id)]).then((results) => {
-              let user = results[1];
-              if (!user) {
-                throw new HttpError('Registration failed', 500);
-              }
-              logUser(user);
-            }).catch(next);
-            return;
-          }
-          logUser(user);
-        }).catch(next);
-      };
+    api.get('/user/providers', (req, res, next) => {
+      res.json(providers.jsoned());
+    });
 
-      // Fetch Apple's public key
-      this.fetchApplePublicKeys().then((keys) => {
-        let idToken = Buffer.from(req.body.identityToken, 'base64').toString('utf8');
-        CryptoHelper.checkAppleToken(keys, idToken, config.ios_bundle_identifier).then((token) => {
-            // We check apple_id congruency with identityToken
-            if (token.sub !== req.body.appleId) {
-              throw new HttpError('Unrecognized appleId for login', 400);
-            }
-            // TODO! Validate req.body.authorizationCode
-            logAppleIdUser(token.sub);
-          }).catch(next);
+    api.post('/user/login/:provider', requiresNotLoggedIn, (req, res, next) => {
+      if (!providers.has(req.params.provider)) {
+        throw new HttpError('Unknown identity provider', 404);
+      }
+      if (typeof req.body.identityToken !== 'string') {
+        throw new HttpError('Missing identityToken', 400);
+      }
+
+      verifyIdentity(req, req.params.provider, req.body.identityToken).then((token) => {
+        return identifiedUser(req, req.params.provider, token);
+      }).then((user) => {
+        logUser(req, res, next, user);
       }).catch(next);
     });
 
     api.post('/user/check', (req, res, next) => {
-      if (!req.body.appleId || !req.session || !req.session.user) {
-        console.log('/user/check miss session, user or appleId');
+      if ((!req.body.appleId && typeof req.body.email !== 'string') || !req.session || !req.session.user) {
+        req.log.debug('/user/check miss session, user or appleId');
         res.json({ loggedIn: false, user: null, token: null });
         return;
       }
 
-      database.getUserById(req.session.user.id).then( (user) => {
-        if (user === undefined || user.apple_id !== req.body.appleId) {
-          console.log('/user/check mismatching appleId or user is not found');
+      // Users with a password are known by their email
+      let lookup = req.body.appleId ? database.getUserByIdentity('apple', req.body.appleId) : database.getUserByEmail(validator.normalizeEmail(req.body.email) || '');
+      lookup.then( (user) => {
+        if (user === undefined || user.id !== req.session.user.id) {
+          req.log.debug('/user/check mismatching appleId or user is not found');
           req.session.destroy(function(err) {
             res.json({ loggedIn: false, user: null, token: null });
           });
@@ -263,27 +615,218 @@ class Server {
     });
 
 
-    /** FEEDER HANDLING **/
+    /** NOTIFICATIONS **/
 
-    api.post('/feeder/claim', requiresLoggedIn, (req, res, next) => {
-        if (typeof req.body.identifier === 'undefined') {
-          throw new HttpError('No feeder identifier given', 400);
+    api.put('/user/notifications', requiresLoggedIn, (req, res, next) => {
+      if (typeof req.body.email_alerts !== 'boolean') {
+        throw new HttpError('Missing email_alerts', 400);
+      }
+
+      database.setEmailAlerts(req.user.id, req.body.email_alerts).then(() => {
+        req.user.email_alerts = req.body.email_alerts;
+        res.json({ success: true, user: req.user });
+      }).catch(next);
+    });
+
+    api.post('/user/devices', requiresLoggedIn, (req, res, next) => {
+      let token = req.body.token;
+      if (typeof token !== 'string' || !validator.isHexadecimal(token) || token.length > 200) {
+        throw new HttpError('Invalid device token', 400);
+      }
+
+      database.registerDeviceToken(req.user.id, token.toLowerCase()).then(() => {
+        res.json({ success: true });
+      }).catch(next);
+    });
+
+    api.delete('/user/devices/:token', requiresLoggedIn, (req, res, next) => {
+      database.removeDeviceToken(req.params.token.toLowerCase(), req.user.id).then((success) => {
+        if (!success) {
+          throw new HttpError('Device not found', 404);
         }
+        res.json({ success: true });
+      }).catch(next);
+    });
+
+
+    /** IDENTITIES **/
+
+    api.get('/user/identities', requiresLoggedIn, (req, res, next) => {
+      database.getIdentities(req.user.id).then((identities) => {
+        res.json(identities);
+      }).catch(next);
+    });
+
+    api.post('/user/identities/:provider', requiresLoggedIn, (req, res, next) => {
+      if (!providers.has(req.params.provider)) {
+        throw new HttpError('Unknown identity provider', 404);
+      }
+      if (typeof req.body.identityToken !== 'string') {
+        throw new HttpError('Missing identityToken', 400);
+      }
+
+      verifyIdentity(req, req.params.provider, req.body.identityToken).then((token) => {
+        let identity = { provider: req.params.provider, subject: token.sub, email: token.email };
+        return database.linkIdentity(req.user.id, identity);
+      }).then((success) => {
+        if (!success) {
+          throw new HttpError('Identity linked to another account', 409);
+        }
+        res.json({ success: true });
+      }).catch(next);
+    });
+
+    api.delete('/user/identities/:provider', requiresLoggedIn, (req, res, next) => {
+      Promise.all([database.getUserById(req.user.id), database.getIdentities(req.user.id)]).then((results) => {
+        // The user has to be able to log in afterwards
+        let others = results[1].filter((identity) => identity.provider !== req.params.provider);
+        if (!results[0].password && !others.length) {
+          throw new HttpError('Cannot remove the last way to log in', 400);
+        }
+        return database.unlinkIdentity(req.user.id, req.params.provider);
+      }).then((success) => {
+        if (!success) {
+          throw new HttpError('Identity not found', 404);
+        }
+        res.json({ success: true });
+      }).catch(next);
+    });
+
+    /** ACCESS TOKENS **/
+
+    api.get('/user/tokens', requiresLoggedIn, (req, res, next) => {
+      database.getAccessTokens(req.user.id).then((tokens) => {
+        res.json(tokens.map((access) => {
+          return { id: access.id, name: access.name, scopes: access.scopes, feeders: access.feeders, created: access.created, last_used: access.last_used };
+        }));
+      }).catch(next);
+    });
+
+    api.post('/user/tokens', requiresLoggedIn, (req, res, next) => {
+      let name = req.body.name;
+      if (typeof name !== 'string' || !validator.isLength(name.trim(), { min: 1, max: 64 })) {
+        throw new HttpError('Invalid name', 400);
+      }
+      let scopes = req.body.scopes;
+      if (!Array.isArray(scopes) || !scopes.length || scopes.some((scope) => !SCOPES.hasOwnProperty(scope))) {
+        throw new HttpError('Invalid scopes, expecting some of ' + Object.keys(SCOPES).join(', '), 400);
+      }
+      let feeders = req.body.feeders;
+      if (feeders !== undefined && feeders !== null && (!Array.isArray(feeders) || !feeders.length || feeders.some((feeder) => !Number.isInteger(feeder)))) {
+        throw new HttpError('Invalid feeders', 400);
+      }
 
-        // THIS DOES NOT WORK since we have the nginx proxy making it always 127.0.0.1
-        let ip = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
-        if (!validator.isIP(ip)) {
+      database.getUserById(req.user.id).then((user) => {
+        // Only the feeders the user has access to
+        let allowed = (user.feeders || []).map((feeder) => feeder.id);
+        if (feeders && feeders.some((feeder) => allowed.indexOf(feeder) === -1)) {
           throw new HttpError('Feeder not found', 404);
         }
 
-        database.claimFeeder(req.body.identifier, req.session.user.id, ip).then((success) => {
-          if (!success) {
+        // The token is only given once
+        let token = CryptoHelper.randomToken();
+        let access = {
+          user: req.user.id,
+          name: name.trim(),
+          token: CryptoHelper.hashHex(token, config.hmac_secret),
+          scopes: scopes.filter((scope, index) => scopes.indexOf(scope) === index),
+          feeders: feeders ? feeders.filter((feeder, index) => feeders.indexOf(feeder) === index) : null,
+        };
+        return database.createAccessToken(access).then((id) => {
+          res.json({ success: true, token: token, access_token: { id: id, name: access.name, scopes: access.scopes, feeders: access.feeders } });
+        });
+      }).catch(next);
+    });
+
+    api.delete('/user/tokens/:token', requiresLoggedIn, (req, res, next) => {
+      database.revokeAccessToken(req.user.id, req.params.token).then((success) => {
+        if (!success) {
+          throw new HttpError('Access token not found', 404);
+        }
+        res.json({ success: true });
+      }).catch(next);
+    });
+
+    /** FEEDER HANDLING **/
+
+    api.post('/feeder/claim', requiresLoggedIn, (req, res, next) => {
+        if (typeof req.body.identifier !== 'string') {
+          throw new HttpError('No feeder identifier given', 400);
+        }
+
+        // The claim completes when the feeder button is pressed, proving the user has it at hand
+        let valid_until = new Date(Date.now() + PAIRING_WINDOW);
+        database.startPairing(req.body.identifier, req.user.id, valid_until).then((pairing) => {
+          if (!pairing) {
             throw new HttpError('Feeder not found', 404);
           }
-          res.json({ success: true });
+          if (pairing.user !== req.user.id) {
+            throw new HttpError('Feeder already being paired', 409);
+          }
+          res.json({ success: true, pending: true, valid_until: pairing.valid_until });
+        }).catch(next);
+      });
+
+    api.get('/feeder/claim/:identifier', requiresLoggedIn, (req, res, next) => {
+        database.getPairing(req.params.identifier, req.user.id).then((feeder) => {
+          if (feeder && feeder.owner === req.user.id) {
+            return database.getUserById(req.user.id).then((user) => {
+              res.json({ success: true, status: 'claimed', feeder: feeder.id, user: refreshUser(req, user) });
+            });
+          }
+          if (!feeder || !feeder.valid_until) {
+            throw new HttpError('No pairing in progress', 404);
+          }
+          if (feeder.owner !== null || feeder.valid_until < new Date()) {
+            res.json({ success: true, status: 'expired' });
+            return;
+          }
+          res.json({ success: true, status: 'pending', valid_until: feeder.valid_until });
         }).catch(next);
       });
 
+    api.post('/invitations/accept', requiresLoggedIn, (req, res, next) => {
+      if (typeof req.body.token !== 'string' || !validator.isHexadecimal(req.body.token)) {
+        throw new HttpError('Invalid invitation', 400);
+      }
+
+      let token = CryptoHelper.hashHex(req.body.token, config.hmac_secret);
+      database.acceptInvitation(token, req.user.id).then((membership) => {
+        if (!membership) {
+          throw new HttpError('Invitation not found or expired', 404);
+        }
+        return database.getUserById(req.user.id).then((user) => {
+          res.json({ success: true, feeder: membership.feeder, role: membership.role, user: refreshUser(req, user) });
+        });
+      }).catch(next);
+    });
+
+    api.get('/user/transfers', requiresLoggedIn, (req, res, next) => {
+      database.getTransfersTo(req.user.id).then((transfers) => {
+        res.json(transfers);
+      }).catch(next);
+    });
+
+    api.post('/transfers/:transfer/accept', requiresLoggedIn, (req, res, next) => {
+      database.acceptTransfer(req.params.transfer, req.user.id).then((feeder) => {
+        if (!feeder) {
+          throw new HttpError('Transfer not found or expired', 404);
+        }
+        return database.getUserById(req.user.id).then((user) => {
+          res.json({ success: true, feeder: feeder, user: refreshUser(req, user) });
+        });
+      }).catch(next);
+    });
+
+    api.post('/transfers/:transfer/decline', requiresLoggedIn, (req, res, next) => {
+      database.declineTransfer(req.params.transfer, req.user.id).then((success) => {
+        if (!success) {
+          throw new HttpError('Transfer not found', 404);
+        }
+        res.json({ success: true });
+      }).catch(next);
+    });
+
     // We now need to check feeder association
     let requiresFeederAssociation = (req, res, next) => {
       let id = req.path.split('/')[2];
@@ -291,49 +834,397 @@ class Server {
         throw new HttpError('No feeder id given', 400);
       }
 
-      database.checkFeederAssociation(id, req.session.user.id).then((feeder) => {
+      // Access tokens may be restricted to some feeders
+      if (req.token && req.token.feeders && req.token.feeders.indexOf(+id) === -1) {
+        throw new HttpError('Feeder not found', 404);
+      }
+
+      database.checkFeederAssociation(id, req.user.id).then((feeder) => {
         if (!feeder) {
           throw new HttpError('Feeder not found', 404);
         }
 
         req.feeder = feeder;
+        req.log = req.log.child({ feeder: feeder.identifier });
         next();
       }).catch(next);
     };
 
+    let requiresRole = (role) => {
+      return (req, res, next) => {
+        if (ROLES.indexOf(req.feeder.role) < ROLES.indexOf(role)) {
+          throw new HttpError('Not allowed for a ' + req.feeder.role, 403);
+        }
+        next();
+      };
+    };
+
+    // Optional end of the access, in the future
+    let parseExpiry = (value) => {
+      if (value === undefined || value === null) {
+        return null;
+      }
+      let date = typeof value === 'string' && validator.isISO8601(value) ? new Date(value) : undefined;
+      if (!date || isNaN(date.getTime()) || date <= new Date()) {
+        throw new HttpError('Invalid expiry date', 400);
+      }
+      return date;
+    };
+
+    let parseRole = (value) => {
+      // There is only one owner
+      if (ROLES.indexOf(value) === -1 || value === 'owner') {
+        throw new HttpError('Invalid role', 400);
+      }
+      return value;
+    };
+
     api.get('/feeder/:id', requiresLoggedIn, requiresFeederAssociation, (req, res, next) => {
-      feederCoordinator.getFeeder(req.feeder.identifier).then((feeder) => {
+      Promise.all([
+        feederCoordinator.getFeeder(req.feeder.identifier),
+        database.getPendingCommands(req.feeder.identifier),
+        database.countUnreadAlerts(req.feeder.id),
+      ]).then((results) => {
+        let feeder = results[0];
         if (!feeder) {
           throw new HttpError('Feeder not found', 404);
         }
-        res.json(feeder.jsoned());
+        let json = feeder.jsoned();
+        json.timezone = req.feeder.timezone;
+        json.pending = results[1].map((command) => {
+          return { type: command.type, date: command.date.toJSON() };
+        });
+        json.unread_count = results[2];
+        json.role = req.feeder.role;
+        res.json(json);
       }).catch(next);
     });
 
-    api.put('/feeder/:id', requiresLoggedIn, requiresFeederAssociation, (req, res, next) => {
+    api.put('/feeder/:id', requiresLoggedIn, requiresFeederAssociation, requiresRole('owner'), (req, res, next) => {
       let name = req.body.name;
       database.setFeederName(req.feeder.id, name).then((success) => {
         res.json({ success: success });
       }).catch(next);
     });
 
+    api.delete('/feeder/:id', requiresLoggedIn, requiresFeederAssociation, requiresRole('owner'), (req, res, next) => {
+      let wipe = [req.query.wipe, req.body.wipe].some((value) => value === true || value === 'true' || value === '1');
+      database.releaseFeeder(req.feeder.id, req.user.id, wipe).then((success) => {
+        if (!success) {
+          throw new HttpError('Feeder not found', 404);
+        }
+        return database.getUserById(req.user.id).then((user) => {
+          res.json({ success: true, wiped: wipe, user: refreshUser(req, user) });
+        });
+      }).catch(next);
+    });
+
+    api.post('/feeder/:id/transfer', requiresLoggedIn, requiresFeederAssociation, requiresRole('owner'), (req, res, next) => {
+      if (typeof req.body.email !== 'string' || !validator.isEmail(req.body.email)) {
+        throw new HttpError('Invalid email', 400);
+      }
+
+      database.getUserByEmail(validator.normalizeEmail(req.body.email)).then((recipient) => {
+        // The recipient needs an account to accept the transfer
+        if (!recipient) {
+          throw new HttpError('User not found', 404);
+        }
+        if (recipient.id === req.user.id) {
+          throw new HttpError('Already the owner', 400);
+        }
+
+        let transfer = {
+          feeder: req.feeder.id,
+          from_user: req.user.id,
+          to_user: recipient.id,
+          valid_until: new Date(Date.now() + TRANSFER_LIFETIME),
+        };
+        return database.createTransfer(transfer).then((id) => {
+          let mail = MailTemplates.render('transfer', {
+            feeder_name: req.feeder.name,
+            from: req.user.email,
+            valid_until: transfer.valid_until,
+          });
+          // The transfer is listed in the app anyway
+          mailer.send(req.body.email, mail).catch((err) => {
+            req.log.warn('Could not email the transfer', { err: err });
+          });
+          res.json({ success: true, transfer: { id: id, email: req.body.email, valid_until: transfer.valid_until } });
+        });
+      }).catch(next);
+    });
+
+    api.delete('/feeder/:id/transfer', requiresLoggedIn, requiresFeederAssociation, requiresRole('owner'), (req, res, next) => {
+      database.cancelTransfer(req.feeder.id, req.user.id).then((success) => {
+        if (!success) {
+          throw new HttpError('Transfer not found', 404);
+        }
+        res.json({ success: true });
+      }).catch(next);
+    });
+
+    api.get('/feeder/:id/ownership', requiresLoggedIn, requiresFeederAssociation, requiresRole('owner'), (req, res, next) => {
+      database.getOwnershipLog(req.feeder.id).then((log) => {
+        res.json(log);
+      }).catch(next);
+    });
+
+    api.put('/feeder/:id/timezone', requiresLoggedIn, requiresFeederAssociation, requiresRole('owner'), (req, res, next) => {
+      let timezone = req.body.timezone;
+      if (!Timezone.isValid(timezone)) {
+        throw new HttpError('Unknown timezone', 400);
+      }
+
+      database.setFeederTimezone(req.feeder.id, timezone).then(() => {
+        // Meals keep their local time: the feeder needs the new UTC times
+        return feederCoordinator.syncPlanningOffset(req.feeder.identifier).catch((err) => {
+          if (!(err instanceof CommandError)) {
+            throw err;
+          }
+          // It will be sent once the feeder is connected again
+          req.log.info('Planning not sent after the timezone change', { reason: err.reason });
+        });
+      }).then(() => {
+        res.json({ success: true });
+      }).catch(next);
+    });
+
     api.get('/feeder/:id/meals', requiresLoggedIn, requiresFeederAssociation, (req, res, next) => {
-      database.getMealHistory(req.feeder.id, req.query.period, req.query.offset).then((meals) => {
+      database.getMealHistory(req.feeder.id, req.query.period, req.query.offset, req.feeder.timezone).then((meals) => {
         res.json(meals);
       }).catch(next);
     });
 
-    api.post('/feeder/:id/feed', requiresLoggedIn, requiresFeederAssociation, (req, res, next) => {
+    api.get('/feeder/:id/export', requiresLoggedIn, requiresFeederAssociation, (req, res, next) => {
+      let format = req.query.format || 'csv';
+      if (HistoryExport.FORMATS.indexOf(format) === -1) {
+        throw new HttpError('Unknown format', 400);
+      }
+
+      // The last 30 days by default
+      let zone = new Timezone(req.feeder.timezone);
+      let to = req.query.to || zone.day();
+      let from = req.query.from || zone.day(new Date(Date.now() - 29 * 24 * 60 * 60 * 1000));
+      if (!HistoryExport.isDay(from) || !HistoryExport.isDay(to) || from > to) {
+        throw new HttpError('Invalid date range', 400);
+      }
+
+      let history = new HistoryExport(database, req.feeder, format, from, to);
+      res.set(history.headers());
+      history.pipe(res).catch((err) => {
+        // Too late to send an error response
+        req.log.error('Export failed', { err: err });
+        res.destroy(err);
+      });
+    });
+
+    api.get('/feeder/:id/stats', requiresLoggedIn, requiresFeederAssociation, (req, res, next) => {
+      database.getFeedingStats(req.feeder.id, req.query.period, req.query.offset, req.feeder.timezone).then((stats) => {
+        res.json(stats);
+      }).catch(next);
+    });
+
+    api.get('/feeder/:id/connectivity', requiresLoggedIn, requiresFeederAssociation, (req, res, next) => {
+      database.getConnectivity(req.feeder.id, req.query.period, req.query.offset).then((connectivity) => {
+        res.json(connectivity);
+      }).catch(next);
+    });
+
+    api.get('/feeder/:id/events', requiresLoggedIn, requiresFeederAssociation, (req, res, next) => {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Connection': 'keep-alive',
+        // Prevent nginx from buffering the stream
+        'X-Accel-Buffering': 'no',
+      });
+      res.flushHeaders();
+
+      let listener = (activity) => {
+        if (activity.identifier !== req.feeder.identifier) {
+          return;
+        }
+        let data = Object.assign({ date: activity.date.toJSON() }, activity.data);
+        res.write('event: ' + activity.type + '\ndata: ' + JSON.stringify(data) + '\n\n');
+      };
+      feederCoordinator.on('activity', listener);
+
+      // Keep the connection alive through proxies
+      let heartbeat = setInterval(() => { res.write(':\n\n'); }, 30000);
+
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        feederCoordinator.removeListener('activity', listener);
+      });
+    });
+
+    /** MEMBERS **/
+
+    api.get('/feeder/:id/members', requiresLoggedIn, requiresFeederAssociation, (req, res, next) => {
+      database.getFeederMembers(req.feeder.id).then((members) => {
+        res.json(members);
+      }).catch(next);
+    });
+
+    api.put('/feeder/:id/members/:user', requiresLoggedIn, requiresFeederAssociation, requiresRole('owner'), (req, res, next) => {
+      let role = parseRole(req.body.role);
+      let expires = parseExpiry(req.body.expires);
+      database.updateFeederMember(req.feeder.id, req.params.user, role, expires).then((success) => {
+        if (!success) {
+          throw new HttpError('Member not found', 404);
+        }
+        res.json({ success: true });
+      }).catch(next);
+    });
+
+    api.delete('/feeder/:id/members/:user', requiresLoggedIn, requiresFeederAssociation, (req, res, next) => {
+      // Members may leave by themselves
+      if (req.feeder.role !== 'owner' && +req.params.user !== req.user.id) {
+        throw new HttpError('Not allowed for a ' + req.feeder.role, 403);
+      }
+      database.removeFeederMember(req.feeder.id, req.params.user).then((success) => {
+        if (!success) {
+          throw new HttpError('Member not found', 404);
+        }
+        res.json({ success: true });
+      }).catch(next);
+    });
+
+    api.get('/feeder/:id/invitations', requiresLoggedIn, requiresFeederAssociation, requiresRole('owner'), (req, res, next) => {
+      database.getInvitations(req.feeder.id).then((invitations) => {
+        res.json(invitations);
+      }).catch(next);
+    });
+
+    api.post('/feeder/:id/invitations', requiresLoggedIn, requiresFeederAssociation, requiresRole('owner'), (req, res, next) => {
+      if (typeof req.body.email !== 'string' || !validator.isEmail(req.body.email)) {
+        throw new HttpError('Invalid email', 400);
+      }
+
+      let token = CryptoHelper.randomToken();
+      let invitation = {
+        feeder: req.feeder.id,
+        invited_by: req.user.id,
+        email: req.body.email,
+        role: parseRole(req.body.role),
+        expires: parseExpiry(req.body.expires),
+        token: CryptoHelper.hashHex(token, config.hmac_secret),
+        valid_until: new Date(Date.now() + INVITATION_LIFETIME),
+      };
+
+      database.createInvitation(invitation).then((id) => {
+        let mail = MailTemplates.render('invitation', {
+          feeder_name: req.feeder.name,
+          inviter: req.user.email,
+          role: invitation.role,
+          url: config.base_url + '/invitations/' + token,
+          valid_until: invitation.valid_until,
+        });
+        return mailer.send(invitation.email, mail).then(() => {
+          res.json({ success: true, invitation: { id: id, email: invitation.email, role: invitation.role, expires: invitation.expires, valid_until: invitation.valid_until } });
+        }, (err) => {
+          req.log.error('Could not email the invitation', { err: err });
+          return database.removeInvitation(req.feeder.id, id).then(() => {
+            throw new HttpError('Could not email the invitation', 502);
+          });
+        });
+      }).catch(next);
+    });
+
+    api.delete('/feeder/:id/invitations/:invitation', requiresLoggedIn, requiresFeederAssociation, requiresRole('owner'), (req, res, next) => {
+      database.removeInvitation(req.feeder.id, req.params.invitation).then((success) => {
+        if (!success) {
+          throw new HttpError('Invitation not found', 404);
+        }
+        res.json({ success: true });
+      }).catch(next);
+    });
+
+    api.get('/feeder/:id/alerts', requiresLoggedIn, requiresFeederAssociation, (req, res, next) => {
+      if (req.query.type !== undefined && ALERT_TYPES.indexOf(req.query.type) === -1) {
+        throw new HttpError('Invalid alert type', 400);
+      }
+      let dismissed = req.query.dismissed === 'true' || req.query.dismissed === '1';
+      database.getAlerts(req.feeder.id, req.query.type, dismissed, req.query.limit, req.query.offset).then((alerts) => {
+        res.json(alerts);
+      }).catch(next);
+    });
+
+    api.post('/feeder/:id/alerts/acknowledge', requiresLoggedIn, requiresFeederAssociation, requiresRole('caregiver'), (req, res, next) => {
+      database.acknowledgeAlerts(req.feeder.id).then((count) => {
+        res.json({ success: true, acknowledged: count });
+      }).catch(next);
+    });
+
+    api.post('/feeder/:id/alerts/:alert/acknowledge', requiresLoggedIn, requiresFeederAssociation, requiresRole('caregiver'), (req, res, next) => {
+      database.acknowledgeAlerts(req.feeder.id, req.params.alert).then((count) => {
+        if (!count) {
+          throw new HttpError('Alert not found', 404);
+        }
+        res.json({ success: true, acknowledged: count });
+      }).catch(next);
+    });
+
+    api.delete('/feeder/:id/alerts/:alert', requiresLoggedIn, requiresFeederAssociation, requiresRole('caregiver'), (req, res, next) => {
+      database.dismissAlert(req.feeder.id, req.params.alert).then((success) => {
+        if (!success) {
+          throw new HttpError('Alert not found', 404);
+        }
+        res.json({ success: true });
+      }).catch(next);
+    });
+
+    api.get('/feeder/:id/webhooks', requiresLoggedIn, requiresFeederAssociation, requiresRole('owner'), (req, res, next) => {
+      database.getWebhooks(req.feeder.id).then((webhooks) => {
+        res.json(webhooks.map((webhook) => {
+          return { id: webhook.id, url: webhook.url, created: webhook.created };
+        }));
+      }).catch(next);
+    });
+
+    api.post('/feeder/:id/webhooks', requiresLoggedIn, requiresFeederAssociation, requiresRole('owner'), (req, res, next) => {
+      let url = req.body.url;
+      if (typeof url !== 'string' || !validator.isURL(url, { protocols: ['http', 'https'], require_protocol: true })) {
+        throw new HttpError('Invalid webhook url', 400);
+      }
+
+      // The secret is only given once, to check the payloads signatures
+      let secret = CryptoHelper.randomToken();
+      WebhookDispatcher.checkUrl(url, config.webhook_private_hosts === true).catch((err) => {
+        req.log.info('Webhook refused', { url: url, err: err });
+        throw new HttpError('Webhook url must resolve to a public address', 400);
+      }).then(() => {
+        return database.createWebhook(req.feeder.id, url, secret);
+      }).then((id) => {
+        res.json({ success: true, webhook: { id: id, url: url, secret: secret } });
+      }).catch(next);
+    });
+
+    api.delete('/feeder/:id/webhooks/:webhook', requiresLoggedIn, requiresFeederAssociation, requiresRole('owner'), (req, res, next) => {
+      database.deleteWebhook(req.feeder.id, req.params.webhook).then((success) => {
+        if (!success) {
+          throw new HttpError('Webhook not found', 404);
+        }
+        res.json({ success: true });
+      }).catch(next);
+    });
+
+    api.get('/feeder/:id/webhooks/:webhook/deliveries', requiresLoggedIn, requiresFeederAssociation, requiresRole('owner'), (req, res, next) => {
+      database.getWebhookDeliveries(req.feeder.id, req.params.webhook, req.query.limit, req.query.offset).then((deliveries) => {
+        res.json(deliveries);
+      }).catch(next);
+    });
+
+    api.post('/feeder/:id/feed', requiresLoggedIn, requiresFeederAssociation, requiresRole('caregiver'), (req, res, next) => {
       let quantity = new Quantity(req.body.quantity);
       feederCoordinator.feedNow(req.feeder.identifier, quantity).then(() => {
         res.json({ success: true });
       }).catch(next);
     });
 
-    api.put('/feeder/:id/quantity', requiresLoggedIn, requiresFeederAssociation, (req, res, next) => {
+    api.put('/feeder/:id/quantity', requiresLoggedIn, requiresFeederAssociation, requiresRole('caregiver'), (req, res, next) => {
       let quantity = new Quantity(req.body.quantity);
-      feederCoordinator.setDefaultQuantity(req.feeder.identifier, quantity).then(() => {
-        res.json({ success: true });
+      feederCoordinator.setDefaultQuantity(req.feeder.identifier, quantity).then((result) => {
+        res.json({ success: true, pending: result.pending });
       }).catch(next);
     });
 
@@ -343,56 +1234,48 @@ class Server {
           if (planning === undefined) {
             throw new HttpError('No planning found', 404);
           }
-          res.json({ success: true, meals: planning.jsoned() });
+          res.json({ success: true, timezone: req.feeder.timezone, meals: planning.jsoned() });
         }).catch(next);
       });
-    api.put('/feeder/:id/planning', requiresLoggedIn, requiresFeederAssociation, (req, res, next) => {
+    api.put('/feeder/:id/planning', requiresLoggedIn, requiresFeederAssociation, requiresRole('caregiver'), (req, res, next) => {
         let meals = req.body.meals.map((obj) => { return new Meal(obj.time, obj.quantity, obj.enabled); });
         let planning = new Planning(meals);
-        feederCoordinator.setPlanning(req.feeder.identifier, planning).then(() => {
-          res.json({ success: true });
+        feederCoordinator.setPlanning(req.feeder.identifier, planning).then((result) => {
+          res.json({ success: true, pending: result.pending });
         }).catch(next);
       });
 
     // Error handling at the end
     api.use((err, req, res, next) => {
+      let log = req.log || logger;
+      if (err instanceof CommandError) {
+        log.warn('Command failed', { err: err });
+        res.status(err.reason === 'offline' ? 503 : 504);
+        res.json({ success: false, message: err.message, reason: err.reason });
+        return;
+      }
+
       if (err instanceof HttpError) {
-        console.log('Error: ' + err.message);
+        log.log(err.code >= 500 ? 'error' : 'info', 'Request refused: ' + err.message, { status: err.code });
         res.status(err.code);
         res.json({ success: false, message: err.message });
         return;
       }
 
       if (err instanceof Error) {
-        console.log('Error: ' + err.message);
-        console.log(err.stack);
+        log.error('Request failed', { err: err });
         res.status(500);
         res.json({ success: false, message: err.message });
         return;
       }
 
-      console.log('Error: ' + err);
+      log.error('Request failed', { err: err });
       res.status(500);
       res.json({ success: false, error: err });
     });
 
     return api;
   }
-
-  /**
-   * @return {Promise<Array<{kty: string, kid: string, use: string, alg: string, n: string, e: string}>>}
-   */
-  static fetchApplePublicKeys() {
-    return new Promise((resolve, reject) => {
-      axios.get('https://appleid.apple.com/auth/keys')
-        .then( (res) => {
-          resolve(res.data.keys);
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
-  }
 }
 
 module.exports = Server;
@@ -0,0 +1,233 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const mysql = require('mysql');
+
+const Storage = require('./storage');
+
+// The connection went away ; the pool replaces it with a new one
+const CONNECTION_LOST = ['PROTOCOL_CONNECTION_LOST', 'PROTOCOL_ENQUEUE_AFTER_FATAL_ERROR', 'ECONNRESET'];
+
+// Statements that can safely be sent again
+const READ_ONLY = /^\s*(SELECT|SHOW)\b/i;
+
+/**
+ * Runs the queries on a pool of connections.
+ * Dropped connections are replaced by the pool, and each transaction gets a connection of its own.
+ */
+class MysqlStorage extends Storage {
+
+  /**
+   * @param {{mysql_host: string, mysql_port: number, mysql_user: string, mysql_password: string, mysql_database: string, mysql_connection_limit: number|undefined, mysql_query_timeout: number|undefined}} config
+   */
+  constructor(config) {
+    super();
+    this.options = {
+      host: config.mysql_host,
+      port: config.mysql_port,
+      user: config.mysql_user,
+      password: config.mysql_password,
+      database: config.mysql_database,
+      timezone: 'UTC'
+    };
+    this.timeout = config.mysql_query_timeout !== undefined ? config.mysql_query_timeout : 10000;
+    this.pool = mysql.createPool(Object.assign({
+      connectionLimit: config.mysql_connection_limit || 10,
+    }, this.options));
+  }
+
+  get dialect() {
+    return 'mysql';
+  }
+
+  /**
+   * Makes sure the database is reachable
+   * @return Promise
+   */
+  connect() {
+    return this.connection().then((connection) => {
+      connection.release();
+    });
+  }
+
+  /**
+   * @param {string} sql
+   * @param {Array} values
+   * @return {Promise<Array|{insertId: number, affectedRows: number}>}
+   */
+  query(sql, values = []) {
+    return this.run(this.pool, sql, values).catch((err) => {
+      // The pool checks out another connection ; writes are not sent again, since they may have been applied
+      if (CONNECTION_LOST.indexOf(err.code) === -1 || !READ_ONLY.test(sql)) {
+        throw err;
+      }
+      return this.run(this.pool, sql, values);
+    });
+  }
+
+  /**
+   * @return {Promise<mysql.PoolConnection>}
+   */
+  connection() {
+    return new Promise((resolve, reject) => {
+      this.pool.getConnection((err, connection) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(connection);
+      });
+    });
+  }
+
+  /**
+   * Uses a connection of its own, since the usual one does not allow multiple statements
+   * @param {string} script
+   * @return Promise
+   */
+  execute(script) {
+    // Without timeout, since migrations may take a while on large tables
+    let connection = mysql.createConnection(Object.assign({ multipleStatements: true }, this.options));
+    return new Promise((resolve, reject) => {
+      connection.query(script, (err) => {
+        connection.end();
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * @param {function(function(string, Array): Promise): Promise} work
+   * @return Promise
+   */
+  transaction(work) {
+    return this.connection().then((connection) => {
+      let result;
+      return new Promise((resolve, reject) => {
+        connection.beginTransaction((err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          resolve();
+        });
+      }).then(() => {
+        return work((sql, values) => this.run(connection, sql, values));
+      }).then((value) => {
+        result = value;
+        return new Promise((resolve, reject) => {
+          connection.commit((err) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve();
+          });
+        });
+      }).then(() => {
+        connection.release();
+        return result;
+      }, (err) => {
+        return new Promise((resolve, reject) => {
+          connection.rollback(() => {
+            // A connection in error is not given back to the pool
+            if (err.fatal) {
+              connection.destroy();
+            } else {
+              connection.release();
+            }
+            reject(err);
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * @param {string} table
+   * @return {Promise<boolean>}
+   */
+  tableExists(table) {
+    return this.query('SHOW TABLES LIKE ?', [table]).then((result) => result.length > 0);
+  }
+
+  /**
+   * @param {Object} session the express-session module
+   * @return {Object}
+   */
+  sessionStore(session) {
+    const MySQLStore = require('express-mysql-session')(session);
+    return new MySQLStore({}, this.pool);
+  }
+
+  /**
+   * @return Promise
+   */
+  end() {
+    return new Promise((resolve, reject) => {
+      this.pool.end((err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
+  concat(...expressions) {
+    return 'CONCAT(' + expressions.join(', ') + ')';
+  }
+
+  greatest(...expressions) {
+    return 'GREATEST(' + expressions.join(', ') + ')';
+  }
+
+  shiftedDay(date, time) {
+    return 'DATE_FORMAT(TIMESTAMP(' + date + ', ' + time + ') + INTERVAL ? MINUTE, \'%Y-%m-%d\')';
+  }
+
+  upsert(keys, columns) {
+    return 'ON DUPLICATE KEY UPDATE ' + columns.map((column) => column + ' = VALUES(' + column + ')').join(', ');
+  }
+
+  /**
+   * @param {mysql.Pool|mysql.Connection} connection
+   * @param {string} sql
+   * @param {Array} values
+   * @return Promise
+   */
+  run(connection, sql, values) {
+    return new Promise((resolve, reject) => {
+      connection.query({ sql: sql, values: values, timeout: this.timeout }, (err, result, fields) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(result);
+      });
+    });
+  }
+
+}
+
+module.exports = MysqlStorage;
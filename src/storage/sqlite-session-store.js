@@ -0,0 +1,116 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+// Like express-mysql-session: sessions without an expiration date last one day, and are cleared every 15 minutes
+const DEFAULT_EXPIRATION = 24 * 60 * 60 * 1000;
+const CLEAR_INTERVAL = 15 * 60 * 1000;
+
+/**
+ * @param {Object} session the express-session module
+ * @return {function} the store class
+ */
+module.exports = (session) => {
+
+  class SqliteSessionStore extends session.Store {
+
+    /**
+     * @param {SqliteStorage} storage
+     */
+    constructor(storage) {
+      super();
+      this.storage = storage;
+      this.ready = storage.query('CREATE TABLE IF NOT EXISTS `sessions` (`session_id` varchar(128) NOT NULL PRIMARY KEY, `expires` integer NOT NULL, `data` text)');
+
+      this.timer = setInterval(() => { this.clearExpired(); }, CLEAR_INTERVAL);
+      this.timer.unref();
+    }
+
+    /**
+     * @param {string} sid
+     * @param {function(Error|null, Object|null)} callback
+     */
+    get(sid, callback) {
+      this.run('SELECT data FROM sessions WHERE session_id = ? AND expires > ?', [sid, Date.now()]).then((rows) => {
+        callback(null, rows.length ? JSON.parse(rows[0].data) : null);
+      }, callback);
+    }
+
+    /**
+     * @param {string} sid
+     * @param {Object} data
+     * @param {function(Error|null)} callback
+     */
+    set(sid, data, callback = () => {}) {
+      let sql = 'INSERT INTO sessions(session_id, expires, data) VALUES (?, ?, ?) ' + this.storage.upsert(['session_id'], ['expires', 'data']);
+      this.run(sql, [sid, SqliteSessionStore.expiration(data), JSON.stringify(data)]).then(() => {
+        callback(null);
+      }, callback);
+    }
+
+    /**
+     * @param {string} sid
+     * @param {Object} data
+     * @param {function(Error|null)} callback
+     */
+    touch(sid, data, callback = () => {}) {
+      this.run('UPDATE sessions SET expires = ? WHERE session_id = ?', [SqliteSessionStore.expiration(data), sid]).then(() => {
+        callback(null);
+      }, callback);
+    }
+
+    /**
+     * @param {string} sid
+     * @param {function(Error|null)} callback
+     */
+    destroy(sid, callback = () => {}) {
+      this.run('DELETE FROM sessions WHERE session_id = ?', [sid]).then(() => {
+        callback(null);
+      }, callback);
+    }
+
+    /**
+     * @return Promise
+     */
+    clearExpired() {
+      return this.run('DELETE FROM sessions WHERE expires <= ?', [Date.now()]).catch(() => {});
+    }
+
+    /**
+     * @param {string} sql
+     * @param {Array} values
+     * @return Promise
+     */
+    run(sql, values) {
+      return this.ready.then(() => this.storage.query(sql, values));
+    }
+
+    /**
+     * @param {{cookie: {expires: Date|string|undefined}}} data
+     * @return {number} timestamp in milliseconds
+     */
+    static expiration(data) {
+      if (data.cookie && data.cookie.expires) {
+        return new Date(data.cookie.expires).getTime();
+      }
+      return Date.now() + DEFAULT_EXPIRATION;
+    }
+
+  }
+
+  return SqliteSessionStore;
+};
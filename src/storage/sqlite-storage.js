@@ -0,0 +1,213 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const Storage = require('./storage');
+
+// Declared types of the columns given back as Date objects, like the mysql driver does
+const DATE_TYPES = ['date', 'datetime', 'timestamp'];
+
+/**
+ * Stores everything in a single file, for those who do not want to run a MySQL server
+ */
+class SqliteStorage extends Storage {
+
+  /**
+   * @param {{sqlite_path: string}} config
+   */
+  constructor(config) {
+    super();
+    this.path = config.sqlite_path || 'alnpet.sqlite';
+    this.db = undefined;
+
+    // Queries wait for the transaction in progress, if any
+    this.lock = Promise.resolve();
+  }
+
+  get dialect() {
+    return 'sqlite';
+  }
+
+  /**
+   * @return Promise
+   */
+  connect() {
+    return this.lock.then(() => {
+      this.database();
+    });
+  }
+
+  /**
+   * Opens the database file on first use
+   * @return {Database}
+   */
+  database() {
+    if (this.db === undefined) {
+      // Only required when used, since it is a native module
+      const Database = require('better-sqlite3');
+      this.db = new Database(this.path);
+      this.db.pragma('journal_mode = WAL');
+      this.db.pragma('foreign_keys = ON');
+    }
+    return this.db;
+  }
+
+  /**
+   * @param {string} sql
+   * @param {Array} values
+   * @return {Promise<Array|{insertId: number, affectedRows: number}>}
+   */
+  query(sql, values = []) {
+    return this.lock.then(() => this.run(sql, values));
+  }
+
+  /**
+   * @param {string} script
+   * @return Promise
+   */
+  execute(script) {
+    return this.lock.then(() => {
+      this.database().exec(script);
+    });
+  }
+
+  /**
+   * @param {function(function(string, Array): Promise): Promise} work
+   * @return Promise
+   */
+  transaction(work) {
+    let transaction = this.lock.then(() => {
+      this.database().exec('BEGIN');
+      return Promise.resolve().then(() => {
+        return work((sql, values) => Promise.resolve().then(() => this.run(sql, values)));
+      }).then((result) => {
+        this.db.exec('COMMIT');
+        return result;
+      }, (err) => {
+        this.db.exec('ROLLBACK');
+        throw err;
+      });
+    });
+
+    // The next queries wait for the transaction to end, whatever its outcome
+    this.lock = transaction.catch(() => {});
+    return transaction;
+  }
+
+  /**
+   * @param {string} table
+   * @return {Promise<boolean>}
+   */
+  tableExists(table) {
+    return this.query('SELECT name FROM sqlite_master WHERE type = ? AND name = ?', ['table', table]).then((result) => result.length > 0);
+  }
+
+  /**
+   * @param {Object} session the express-session module
+   * @return {Object}
+   */
+  sessionStore(session) {
+    const SqliteSessionStore = require('./sqlite-session-store')(session);
+    return new SqliteSessionStore(this);
+  }
+
+  /**
+   * @return Promise
+   */
+  end() {
+    return this.lock.then(() => {
+      if (this.db !== undefined) {
+        this.db.close();
+        this.db = undefined;
+      }
+    });
+  }
+
+  concat(...expressions) {
+    return '(' + expressions.join(' || ') + ')';
+  }
+
+  greatest(...expressions) {
+    return 'MAX(' + expressions.join(', ') + ')';
+  }
+
+  shiftedDay(date, time) {
+    return 'date(date(' + date + ') || \' \' || ' + time + ', ? || \' minutes\')';
+  }
+
+  upsert(keys, columns) {
+    return 'ON CONFLICT(' + keys.join(', ') + ') DO UPDATE SET ' + columns.map((column) => column + ' = excluded.' + column).join(', ');
+  }
+
+  /**
+   * @param {string} sql
+   * @param {Array} values
+   * @return {Array|{insertId: number, affectedRows: number}}
+   */
+  run(sql, values) {
+    let statement = this.database().prepare(sql);
+    let parameters = (values || []).map(SqliteStorage.bindable);
+
+    if (!statement.reader) {
+      let info = statement.run(parameters);
+      return { insertId: Number(info.lastInsertRowid), affectedRows: info.changes };
+    }
+
+    let dates = statement.columns().filter((column) => {
+      return column.type && DATE_TYPES.indexOf(column.type.toLowerCase()) !== -1;
+    }).map((column) => column.name);
+
+    return statement.all(parameters).map((row) => {
+      dates.forEach((name) => {
+        row[name] = SqliteStorage.parseDate(row[name]);
+      });
+      return row;
+    });
+  }
+
+  /**
+   * @param {*} value
+   * @return {*} the value as SQLite accepts it
+   */
+  static bindable(value) {
+    if (value === undefined) {
+      return null;
+    }
+    if (typeof value === 'boolean') {
+      return value ? 1 : 0;
+    }
+    if (value instanceof Date) {
+      return value.toJSON().slice(0, 10) + ' ' + value.toJSON().slice(11, 19);
+    }
+    return value;
+  }
+
+  /**
+   * Dates are stored as text, in UTC
+   * @param {string|null} value like 2018-03-21 or 2018-03-21 08:00:00
+   * @return {Date|null}
+   */
+  static parseDate(value) {
+    if (typeof value !== 'string') {
+      return value;
+    }
+    return new Date(value.length === 10 ? value + 'T00:00:00Z' : value.replace(' ', 'T') + 'Z');
+  }
+
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,145 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+/**
+ * What the coordinator and the server expect from a database.
+ *
+ * Query results look like the mysql driver ones:
+ * - an array of rows for a SELECT, with date and datetime columns as Date objects, and blobs as Buffers
+ * - {insertId: number, affectedRows: number} otherwise
+ */
+class Storage {
+
+  /**
+   * @param {{storage: string|undefined}} config
+   * @return {Storage}
+   */
+  static create(config) {
+    switch (config.storage || 'mysql') {
+      case 'mysql':
+        const MysqlStorage = require('./mysql-storage');
+        return new MysqlStorage(config);
+      case 'sqlite':
+        const SqliteStorage = require('./sqlite-storage');
+        return new SqliteStorage(config);
+      default:
+        throw 'Unknown storage ' + config.storage + ', expected mysql or sqlite';
+    }
+  }
+
+  /**
+   * @return {string} mysql or sqlite ; the migrations are specific to each dialect
+   */
+  get dialect() {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * @return Promise
+   */
+  connect() {
+    return Promise.reject(new Error('Not implemented'));
+  }
+
+  /**
+   * @param {string} sql
+   * @param {Array} values
+   * @return {Promise<Array|{insertId: number, affectedRows: number}>}
+   */
+  query(sql, values = []) {
+    return Promise.reject(new Error('Not implemented'));
+  }
+
+  /**
+   * Runs a script made of many statements, like a migration
+   * @param {string} script
+   * @return Promise
+   */
+  execute(script) {
+    return Promise.reject(new Error('Not implemented'));
+  }
+
+  /**
+   * Queries made with the given function are committed together, or rolled back when the returned promise is rejected
+   * @param {function(function(string, Array): Promise): Promise} work
+   * @return Promise resolved with the result of work
+   */
+  transaction(work) {
+    return Promise.reject(new Error('Not implemented'));
+  }
+
+  /**
+   * @param {string} table
+   * @return {Promise<boolean>}
+   */
+  tableExists(table) {
+    return Promise.reject(new Error('Not implemented'));
+  }
+
+  /**
+   * @param {Object} session the express-session module
+   * @return {Object} a session store
+   */
+  sessionStore(session) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * @return Promise
+   */
+  end() {
+    return Promise.reject(new Error('Not implemented'));
+  }
+
+  /**
+   * @param {...string} expressions
+   * @return {string} the SQL concatenating the expressions
+   */
+  concat(...expressions) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * @param {...string} expressions
+   * @return {string} the SQL giving the greatest of the expressions
+   */
+  greatest(...expressions) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * @param {string} date a date column
+   * @param {string} time a time column
+   * @return {string} the SQL giving the day, like 2018-03-21, of the date and time moved by the minutes bound to its placeholder
+   */
+  shiftedDay(date, time) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * @param {string[]} keys the columns of the unique key
+   * @param {string[]} columns the columns to update when a row with the same key exists
+   * @return {string} the SQL to append to an INSERT
+   */
+  upsert(keys, columns) {
+    throw new Error('Not implemented');
+  }
+
+}
+
+module.exports = Storage;
@@ -0,0 +1,118 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const MailTemplates = require('./mail-templates');
+
+const escape = MailTemplates.escape;
+
+/**
+ * @param {string} title
+ * @param {string[]} paragraphs already escaped
+ * @param {string} form already escaped
+ * @return {string}
+ */
+function layout(title, paragraphs, form = '') {
+  return '<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">' +
+    '<title>' + escape(title) + '</title></head>' +
+    '<body style="font-family: sans-serif; color: #333; max-width: 480px; margin: 40px auto; padding: 0 16px;">' +
+    '<h1 style="font-size: 20px;">' + escape(title) + '</h1>' +
+    paragraphs.map((paragraph) => '<p>' + paragraph + '</p>').join('') +
+    form +
+    '</body></html>';
+}
+
+/**
+ * Posted to the url of the page
+ * @param {string[]} fields already escaped
+ * @param {string} button
+ * @return {string}
+ */
+function form(fields, button) {
+  return '<form method="post">' + fields.map((field) => '<p>' + field + '</p>').join('') +
+    '<p><button type="submit">' + escape(button) + '</button></p></form>';
+}
+
+/**
+ * The pages of the links sent by email, when they are not opened by the app
+ */
+const PAGES = {
+
+  invitation: () => {
+    return layout('You are invited to use a feeder', [
+      escape('Open this link on a device where the app is installed to accept the invitation.'),
+      escape('You will be asked to log in first if needed.'),
+    ]);
+  },
+
+  verify_email: () => {
+    return layout('Confirm your email address', [
+      escape('Confirm this is your email address to start using your account.'),
+    ], form([], 'Confirm'));
+  },
+
+  email_verified: () => {
+    return layout('Your email address is confirmed', [
+      escape('You can now log in with the app.'),
+    ]);
+  },
+
+  /**
+   * @param {{min_length: number, max_length: number, error: string|undefined}} context
+   */
+  password_reset: (context) => {
+    let paragraphs = [escape('Choose a new password, of ' + context.min_length + ' characters or more.')];
+    if (context.error) {
+      paragraphs.push('<strong>' + escape(context.error) + '</strong>');
+    }
+    let field = '<input type="password" name="password" autocomplete="new-password" required ' +
+      'minlength="' + escape(context.min_length) + '" maxlength="' + escape(context.max_length) + '">';
+    return layout('Reset your password', paragraphs, form([field], 'Change my password'));
+  },
+
+  password_changed: () => {
+    return layout('Your password has been changed', [
+      escape('You can now log in with the app, using your new password.'),
+    ]);
+  },
+
+  /**
+   * @param {{message: string}} context
+   */
+  error: (context) => {
+    return layout('Something went wrong', [escape(context.message)]);
+  },
+
+};
+
+class WebPages {
+
+  /**
+   * @param {string} name
+   * @param {Object} context
+   * @throws
+   * @return {string} the HTML of the page
+   */
+  static render(name, context = {}) {
+    if (!PAGES.hasOwnProperty(name)) {
+      throw new Error('Unknown web page ' + name);
+    }
+    return PAGES[name](context);
+  }
+}
+
+module.exports = WebPages;
@@ -0,0 +1,219 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const CryptoHelper = require('./crypto-helper');
+const Logger = require('./logger');
+
+const logger = Logger.child({ module: 'webhooks' });
+
+// Feeder activities sent to webhooks
+const EVENTS = ['manual_meal', 'empty_feeder', 'feed_now'];
+
+// Webhooks may not reach the server itself or its network
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+].forEach((subnet) => PRIVATE_ADDRESSES.addSubnet(subnet[0], subnet[1], subnet[2]));
+
+class WebhookDispatcher {
+
+  /**
+   * @param {{webhook_timeout: number|undefined, webhook_retries: number|undefined, webhook_retry_delay: number|undefined, webhook_private_hosts: boolean|undefined}} config
+   * @param {FeederCoordinator} feederCoordinator
+   * @param {DataBaseCoordinator} database
+   */
+  constructor(config, feederCoordinator, database) {
+    this.database = database;
+    this.timeout = config.webhook_timeout !== undefined ? config.webhook_timeout : 5000;
+    this.retries = config.webhook_retries !== undefined ? config.webhook_retries : 3;
+    this.retryDelay = config.webhook_retry_delay !== undefined ? config.webhook_retry_delay : 10000;
+    this.privateHosts = config.webhook_private_hosts === true;
+
+    // Connect to the address that has been checked, not to the one a second resolution would give
+    let lookup = WebhookDispatcher.guardedLookup(this.privateHosts);
+    this.agents = { http: new http.Agent({ lookup: lookup }), https: new https.Agent({ lookup: lookup }) };
+
+    feederCoordinator.on('activity', (activity) => {
+      if (EVENTS.indexOf(activity.type) === -1) {
+        return;
+      }
+      this.dispatch(activity).catch((err) => {
+        logger.error('Could not dispatch ' + activity.type + ' to webhooks', { feeder: activity.identifier, err: err });
+      });
+    });
+  }
+
+  /**
+   * @param {{identifier: string, type: string, date: Date, data: Object}} activity
+   * @return Promise
+   */
+  dispatch(activity) {
+    return this.database.getWebhooksByIdentifier(activity.identifier).then((webhooks) => {
+      webhooks.forEach((webhook) => {
+        let payload = JSON.stringify({
+          event: activity.type,
+          feeder: { id: webhook.feeder, identifier: activity.identifier },
+          date: activity.date.toJSON(),
+          data: activity.data,
+        });
+        this.deliver(webhook, activity.type, payload, 1);
+      });
+    });
+  }
+
+  /**
+   * @param {{id: number, url: string, secret: string}} webhook
+   * @param {string} event
+   * @param {string} payload
+   * @param {number} attempt
+   * @return Promise resolved once the delivery succeeded or will not be retried
+   */
+  deliver(webhook, event, payload, attempt) {
+    // Signed along with the payload, so that a delivery cannot be replayed later on
+    let timestamp = Math.floor(Date.now() / 1000);
+    let headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Aln-NodeJs',
+      'X-Aln-Event': event,
+      'X-Aln-Timestamp': String(timestamp),
+      'X-Aln-Signature': 'sha256=' + WebhookDispatcher.sign(timestamp, payload, webhook.secret),
+    };
+
+    let options = {
+      headers: headers,
+      timeout: this.timeout,
+      maxRedirects: 0,
+      proxy: false,
+      httpAgent: this.agents.http,
+      httpsAgent: this.agents.https,
+      validateStatus: () => true,
+    };
+
+    // Addresses in the url are not looked up by the agents
+    return WebhookDispatcher.checkUrl(webhook.url, this.privateHosts).then(() => {
+      return axios.post(webhook.url, payload, options);
+    }).then((res) => {
+      return { status: res.status, error: res.status >= 200 && res.status < 300 ? null : 'Unexpected status ' + res.status };
+    }, (err) => {
+      return { status: null, error: err.message };
+    }).then((result) => {
+      let recorded = this.database.recordWebhookDelivery(webhook.id, event, attempt, result.status, result.error, payload).catch((err) => {
+        logger.error('Could not record webhook delivery', { webhook: webhook.id, err: err });
+      });
+
+      if (result.error === null || attempt > this.retries) {
+        return recorded;
+      }
+
+      // Wait a little longer before each new attempt
+      let delay = this.retryDelay * Math.pow(2, attempt - 1);
+      return recorded.then(() => new Promise((resolve) => {
+        setTimeout(() => {
+          this.deliver(webhook, event, payload, attempt + 1).then(resolve);
+        }, delay);
+      }));
+    });
+  }
+
+  /**
+   * @param {number} timestamp the delivery time, in seconds since the epoch
+   * @param {string} payload
+   * @param {string} secret
+   * @return {string}
+   */
+  static sign(timestamp, payload, secret) {
+    return CryptoHelper.hashHex(timestamp + '.' + payload, secret);
+  }
+
+  /**
+   * @param {string} address
+   * @return {boolean} true when the address belongs to the server or to a private network
+   */
+  static isPrivateAddress(address) {
+    let family = net.isIP(address);
+    return family === 0 || PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  /**
+   * @param {boolean} privateHosts true to allow private addresses
+   * @return {function} a dns.lookup() refusing private addresses
+   */
+  static guardedLookup(privateHosts) {
+    return (hostname, options, callback) => {
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+
+      dns.lookup(hostname, options, (err, address, family) => {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        let addresses = Array.isArray(address) ? address.map((entry) => entry.address) : [address];
+        let refused = addresses.find((entry) => WebhookDispatcher.isPrivateAddress(entry));
+        if (!privateHosts && refused !== undefined) {
+          callback(new Error('Refused private address ' + refused + ' for ' + hostname));
+          return;
+        }
+        callback(null, address, family);
+      });
+    };
+  }
+
+  /**
+   * Resolves the host of the url, which must not be private
+   * @param {string} url
+   * @param {boolean} privateHosts true to allow private addresses
+   * @return Promise rejected when the host cannot be resolved, or is private
+   */
+  static checkUrl(url, privateHosts = false) {
+    return new Promise((resolve, reject) => {
+      // IPv6 addresses are enclosed in brackets
+      let hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+      WebhookDispatcher.guardedLookup(privateHosts)(hostname, { all: true }, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+}
+
+module.exports = WebhookDispatcher;
@@ -0,0 +1,115 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const CommandQueue = require("../src/command-queue");
+const CommandError = require("../src/command-error");
+
+jest.useFakeTimers();
+
+let config = { command_timeout: 100, command_retries: 2, command_retry_delay: 10 };
+
+test('push() resolves when the action is acknowledged', () => {
+  let written = [];
+  let queue = new CommandQueue((data) => { written.push(data.toString('hex')); return Promise.resolve(); }, config);
+
+  let promise = queue.push('feed_now', Buffer.from('01', 'hex'));
+  expect(written).toEqual(['01']);
+  expect(queue.acknowledge('change_planning')).toBe(false);
+  expect(queue.acknowledge('feed_now')).toBe(true);
+  expect(queue.size()).toBe(0);
+  return expect(promise).resolves.toBeUndefined();
+});
+
+test('push() sends the commands one after the other', () => {
+  let written = [];
+  let queue = new CommandQueue((data) => { written.push(data.toString('hex')); return Promise.resolve(); }, config);
+
+  let first = queue.push('change_planning', Buffer.from('01', 'hex'));
+  let second = queue.push('feed_now', Buffer.from('02', 'hex'));
+  expect(written).toEqual(['01']);
+
+  // The acknowledgement of the second command cannot be taken by the first one
+  expect(queue.acknowledge('feed_now')).toBe(false);
+  expect(queue.acknowledge('change_planning')).toBe(true);
+  expect(written).toEqual(['01', '02']);
+  expect(queue.acknowledge('feed_now')).toBe(true);
+
+  return Promise.all([first, second]);
+});
+
+test('push() retries with an increasing delay, then fails', () => {
+  let written = 0;
+  let queue = new CommandQueue(() => { written++; return Promise.resolve(); }, config);
+
+  let promise = queue.push('change_default_quantity', Buffer.from('01', 'hex'));
+  let assertion = expect(promise).rejects.toEqual(new CommandError('Feeder did not acknowledge change_default_quantity', 'timeout'));
+
+  jest.advanceTimersByTime(100);
+  expect(written).toBe(1);
+  jest.advanceTimersByTime(10);
+  expect(written).toBe(2);
+  jest.advanceTimersByTime(100 + 19);
+  expect(written).toBe(2);
+  jest.advanceTimersByTime(1);
+  expect(written).toBe(3);
+  jest.advanceTimersByTime(100);
+
+  return assertion.then(() => {
+    expect(queue.size()).toBe(0);
+  });
+});
+
+test('push() accepts a late acknowledgement while waiting for a retry', () => {
+  let written = 0;
+  let queue = new CommandQueue(() => { written++; return Promise.resolve(); }, config);
+
+  let promise = queue.push('change_planning', Buffer.from('01', 'hex'));
+  jest.advanceTimersByTime(105);
+  expect(queue.acknowledge('change_planning')).toBe(true);
+  jest.advanceTimersByTime(1000);
+  expect(written).toBe(1);
+  return promise;
+});
+
+test('push() does not retry when asked so', () => {
+  let queue = new CommandQueue(() => Promise.resolve(), config);
+  let promise = queue.push('feed_now', Buffer.from('01', 'hex'), 0);
+  let next = queue.push('change_planning', Buffer.from('02', 'hex'));
+  jest.advanceTimersByTime(100);
+  expect(queue.size()).toBe(1);
+  queue.acknowledge('change_planning');
+  return Promise.all([expect(promise).rejects.toHaveProperty('reason', 'timeout'), next]);
+});
+
+test('push() reports write failures', () => {
+  let queue = new CommandQueue(() => Promise.reject(new Error('Socket is not opened')), { command_retries: 0 });
+  return expect(queue.push('feed_now', Buffer.from('01', 'hex'))).rejects.toEqual(new CommandError('Socket is not opened', 'write_failed'));
+});
+
+test('cancel() rejects every pending command', () => {
+  let queue = new CommandQueue(() => Promise.resolve(), config);
+  let first = queue.push('feed_now', Buffer.from('01', 'hex'));
+  let second = queue.push('change_planning', Buffer.from('02', 'hex'));
+  let assertions = Promise.all([
+    expect(first).rejects.toHaveProperty('reason', 'offline'),
+    expect(second).rejects.toHaveProperty('reason', 'offline'),
+  ]);
+  queue.cancel(new CommandError('Feeder disconnected', 'offline'));
+  expect(queue.size()).toBe(0);
+  return assertions;
+});
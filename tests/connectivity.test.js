@@ -0,0 +1,56 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const Connectivity = require("../src/models/connectivity");
+
+let connection = (connected, disconnected) => {
+  return { ip: '::ffff:1.2.3.4:1234', connected: new Date(connected), disconnected: disconnected ? new Date(disconnected) : null };
+};
+
+test("connectedDuration() tests", () => {
+  let connectivity = new Connectivity([
+    connection('2018-03-20T22:00:00Z', '2018-03-21T06:00:00Z'),
+    connection('2018-03-21T12:00:00Z', '2018-03-21T13:30:00Z'),
+  ], new Date('2018-03-22T00:00:00Z'));
+
+  let hour = 60 * 60 * 1000;
+  expect(connectivity.connectedDuration(new Date('2018-03-21T00:00:00Z'), new Date('2018-03-22T00:00:00Z'))).toBe(7.5 * hour);
+  expect(connectivity.connectedDuration(new Date('2018-03-20T00:00:00Z'), new Date('2018-03-21T00:00:00Z'))).toBe(2 * hour);
+  expect(connectivity.connectedDuration(new Date('2018-03-21T06:00:00Z'), new Date('2018-03-21T12:00:00Z'))).toBe(0);
+});
+
+test("daily() tests", () => {
+  let connectivity = new Connectivity([
+    connection('2018-03-20T12:00:00Z', '2018-03-21T00:00:00Z'),
+    connection('2018-03-21T06:00:00Z', null),
+  ], new Date('2018-03-22T12:00:00Z'));
+
+  expect(connectivity.daily(['2018-03-19', '2018-03-20', '2018-03-21', '2018-03-22', '2018-03-23'])).toEqual([
+    { date: '2018-03-19', uptime: 0 },
+    { date: '2018-03-20', uptime: 50 },
+    { date: '2018-03-21', uptime: 75 },
+    // Still connected, until now
+    { date: '2018-03-22', uptime: 100 },
+    { date: '2018-03-23', uptime: null },
+  ]);
+});
+
+test("jsoned() tests", () => {
+  let connectivity = new Connectivity([connection('2018-03-21T06:00:00Z', null)]);
+  expect(connectivity.jsoned()).toEqual([{ ip: '::ffff:1.2.3.4:1234', connected: '2018-03-21T06:00:00.000Z', disconnected: null }]);
+});
@@ -0,0 +1,47 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED 'AS IS' AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+
+"use strict";
+
+const CryptoHelper = require("../src/crypto-helper");
+
+test('hashes passwords with a salt', () => {
+  return Promise.all([CryptoHelper.hashPassword('correct horse'), CryptoHelper.hashPassword('correct horse')]).then((hashes) => {
+    expect(hashes[0]).toMatch(/^scrypt\$16384\$8\$1\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    expect(hashes[0]).not.toBe(hashes[1]);
+    return Promise.all([
+      CryptoHelper.checkPassword('correct horse', hashes[0]),
+      CryptoHelper.checkPassword('correct horse', hashes[1]),
+      CryptoHelper.checkPassword('wrong horse', hashes[0]),
+    ]);
+  }).then((results) => {
+    expect(results).toEqual([true, true, false]);
+  });
+});
+
+test('rejects passwords of users without one', () => {
+  return Promise.all([CryptoHelper.checkPassword('', null), CryptoHelper.checkPassword('password', undefined)]).then((results) => {
+    expect(results).toEqual([false, false]);
+  });
+});
+
+test('hashes data with a key', () => {
+  let hash = CryptoHelper.hashHex('token', 'secret');
+  expect(hash).toMatch(/^[0-9a-f]{64}$/);
+  expect(CryptoHelper.hashHex('token', 'other')).not.toBe(hash);
+  expect(CryptoHelper.randomToken(16)).toMatch(/^[0-9a-f]{32}$/);
+});
@@ -0,0 +1,592 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const DataBaseCoordinator = require("../src/database-coordinator");
+const Meal = require("../src/models/meal");
+const Planning = require("../src/models/planning");
+const Quantity = require("../src/models/quantity");
+
+// Runs against an in-memory SQLite database
+let database;
+
+beforeEach(() => {
+  database = new DataBaseCoordinator({ storage: 'sqlite', sqlite_path: ':memory:' });
+  return database.ready.then(() => {
+    return database.registerFeeder('ABC123456789', '::ffff:127.0.0.1:1234');
+  });
+});
+
+afterEach(() => {
+  return database.storage.end();
+});
+
+test('registers feeders', () => {
+  return database.registerFeeder('ABC123456789', '::ffff:127.0.0.1:5678').then(() => {
+    return database.getFeederByIdentifier('ABC123456789');
+  }).then((feeder) => {
+    expect(feeder).toEqual({ id: 1, identifier: 'ABC123456789', name: '', owner: null, default_value: 5, timezone: 'UTC' });
+    return database.fetchFeederLastResponded('ABC123456789');
+  }).then((feeder) => {
+    expect(feeder.lastResponded).toBeInstanceOf(Date);
+  });
+});
+
+test('creates users, with their feeders', () => {
+  let data = { identity: { provider: 'apple', subject: 'apple' }, email: 'user@example.com', shown_email: 'User@example.com' };
+  return database.createUser(data).then(() => {
+    return database.getUserByAppleId('apple');
+  }).then((user) => {
+    expect(user.feeders).toBe(undefined);
+    expect(user.register).toBeInstanceOf(Date);
+    return database.claimFeeder('ABC123456789', user.id);
+  }).then((claimed) => {
+    expect(claimed).toBe(true);
+    return database.rememberDefaultAmount('ABC123456789', new Quantity(10));
+  }).then(() => {
+    return database.getUserByAppleId('apple');
+  }).then((user) => {
+    expect(user.feeders).toEqual([{ id: 1, role: 'owner', defaultAmount: 10 }]);
+    return database.getUserByAppleId('unknown');
+  }).then((user) => {
+    expect(user).toBe(undefined);
+  });
+});
+
+test('records plannings in a transaction', () => {
+  let planning = new Planning([new Meal({ hours: 8, minutes: 30 }, 10), new Meal({ hours: 18, minutes: 0 }, 15, false)]);
+  return database.recordPlanning('ABC123456789', planning).then(() => {
+    return database.getCurrentPlanning(1);
+  }).then((current) => {
+    expect(current.jsoned()).toEqual(planning.jsoned());
+    return database.recordPlanning('ABC123456789', new Planning([]));
+  }).then(() => {
+    return database.getCurrentPlanning(1);
+  }).then((current) => {
+    expect(current.mealsCount()).toBe(0);
+    // The native driver may throw errors of another realm than the test one: toThrow() would not see them
+    return expect(database.recordPlanning('UNKNOWN', planning)).rejects.toHaveProperty('code', 'SQLITE_CONSTRAINT_NOTNULL');
+  });
+});
+
+test('keeps the UTC offset plannings were sent with', () => {
+  let planning = new Planning([new Meal({ hours: 8, minutes: 30 }, 10)]);
+  return database.getCurrentPlanningByIdentifier('ABC123456789').then((current) => {
+    expect(current).toBe(undefined);
+    return database.setFeederTimezone(1, 'Europe/Paris');
+  }).then((success) => {
+    expect(success).toBe(true);
+    return database.recordPlanning('ABC123456789', planning, 120);
+  }).then(() => {
+    return database.getCurrentPlanningByIdentifier('ABC123456789');
+  }).then((current) => {
+    expect(current.timezone).toBe('Europe/Paris');
+    expect(current.offset).toBe(120);
+    expect(current.planning.jsoned()).toEqual(planning.jsoned());
+  });
+});
+
+test('rebuilds the planned meals in the feeder timezone', () => {
+  const Timezone = require("../src/models/timezone");
+  let paris = new Timezone('Europe/Paris');
+  let planning = new Planning([new Meal({ hours: 8, minutes: 0 }, 10), new Meal({ hours: 20, minutes: 0 }, 15, false)]);
+  return database.recordPlanning('ABC123456789', planning).then(() => {
+    // Sent three days ago
+    let date = new Date(Date.now() - 3 * 24 * 3600 * 1000);
+    return database.storage.query('UPDATE plannings SET date = ?', [date]);
+  }).then(() => {
+    return database.getMealHistory(1, 7, 0, 'Europe/Paris');
+  }).then((meals) => {
+    expect(meals.length).toBeGreaterThanOrEqual(2);
+    expect(meals.length).toBeLessThanOrEqual(4);
+    meals.forEach((meal) => {
+      expect(meal.type).toBe('planned');
+      expect(paris.wallClock(meal.date).hours).toBe(8);
+      expect(paris.wallClock(meal.date).minutes).toBe(0);
+    });
+  });
+});
+
+test('computes the feeding stats in the feeder timezone', () => {
+  let planning = new Planning([new Meal({ hours: 8, minutes: 0 }, 10), new Meal({ hours: 20, minutes: 0 }, 15), new Meal({ hours: 12, minutes: 0 }, 50, false)]);
+  return database.recordPlanning('ABC123456789', planning).then(() => {
+    // Sent ten days ago
+    let date = new Date(Date.now() - 10 * 24 * 3600 * 1000);
+    return database.storage.query('UPDATE plannings SET date = ?', [date]);
+  }).then(() => {
+    return Promise.all([
+      database.recordMeal('ABC123456789', new Quantity(5)),
+      database.recordMeal('ABC123456789', new Quantity(7)),
+    ]);
+  }).then(() => {
+    return database.getFeedingStats(1, 7, 0, 'Europe/Paris');
+  }).then((stats) => {
+    expect(stats.planning).toEqual({ quantity: 25, meals: 2 });
+    expect(stats.days.length).toBe(7);
+    expect(stats.days[6]).toEqual({ date: stats.days[6].date, planned: 25, manual: 12, total: 37, difference: 12 });
+    expect(stats.days.slice(0, 6).every((day) => day.total === 25)).toBe(true);
+    expect(stats.weeks.reduce((sum, week) => sum + week.total, 0)).toBe(7 * 25 + 12);
+    return database.getFeedingStats(1, 7, 2, 'Europe/Paris');
+  }).then((stats) => {
+    expect(stats.days.every((day) => day.total === 0)).toBe(true);
+  });
+});
+
+test('counts manual meals in the feeder day, whatever its UTC offset', () => {
+  // 18:40 UTC is 00:10 the next day in India (UTC+05:30)
+  let yesterday = new Date(Date.now() - 24 * 3600 * 1000).toJSON().slice(0, 10);
+  let sql = 'INSERT INTO meals(feeder, date, time, quantity) VALUES (1, ?, ?, ?)';
+  return database.setFeederTimezone(1, 'Asia/Kolkata').then(() => {
+    return Promise.all([
+      database.storage.query(sql, [yesterday, '18:40:00', 5]),
+      database.storage.query(sql, [yesterday, '18:20:00', 7]),
+    ]);
+  }).then(() => {
+    return database.getFeedingStats(1, 7, 0, 'Asia/Kolkata');
+  }).then((stats) => {
+    let day = (date) => stats.days.find((entry) => entry.date === date) || { manual: 0 };
+    let next = new Date(new Date(yesterday + 'T00:00:00Z').getTime() + 24 * 3600 * 1000).toJSON().slice(0, 10);
+    expect(day(yesterday).manual).toBe(7);
+    expect(day(next).manual).toBe(5);
+  });
+});
+
+test('reads the alerts back, with their data', () => {
+  let begin = new Date(Date.now() - 60 * 1000);
+  return database.logAlert('ABC123456789', 'empty', { amount: 10 }).then(() => {
+    return database.getAlertsBetween(1, begin, new Date(Date.now() + 60 * 1000));
+  }).then((alerts) => {
+    expect(alerts).toEqual([{ id: 1, type: 'empty', date: alerts[0].date, data: { amount: 10 } }]);
+    expect(alerts[0].date).toBeInstanceOf(Date);
+    return database.getAlertsBetween(1, new Date(0), begin);
+  }).then((alerts) => {
+    expect(alerts).toEqual([]);
+  });
+});
+
+test('lists, acknowledges and dismisses alerts', () => {
+  return database.logAlert('ABC123456789', 'empty', { amount: 10 }).then(() => {
+    return database.logAlert('ABC123456789', 'offline', {});
+  }).then(() => {
+    return database.countUnreadAlerts(1);
+  }).then((count) => {
+    expect(count).toBe(2);
+    return database.getAlerts(1, undefined, false);
+  }).then((alerts) => {
+    expect(alerts.map((alert) => alert.id)).toEqual([2, 1]);
+    expect(alerts[1]).toEqual({ id: 1, type: 'empty', date: alerts[1].date, data: { amount: 10 }, acknowledged: null, dismissed: null });
+    return database.getAlerts(1, 'empty', false, 1, 0);
+  }).then((alerts) => {
+    expect(alerts.map((alert) => alert.id)).toEqual([1]);
+    return database.acknowledgeAlerts(1, 1);
+  }).then((count) => {
+    expect(count).toBe(1);
+    return database.dismissAlert(1, 2);
+  }).then((success) => {
+    expect(success).toBe(true);
+    return Promise.all([database.countUnreadAlerts(1), database.getAlerts(1), database.getAlerts(1, undefined, true), database.dismissAlert(1, 2)]);
+  }).then((results) => {
+    expect(results[0]).toBe(0);
+    expect(results[1].map((alert) => alert.id)).toEqual([1]);
+    expect(results[1][0].acknowledged).toBeInstanceOf(Date);
+    expect(results[2].map((alert) => alert.id)).toEqual([2, 1]);
+    expect(results[3]).toBe(false);
+    return database.acknowledgeAlerts(1);
+  }).then((count) => {
+    expect(count).toBe(1);
+  });
+});
+
+test('shares feeders through invitations', () => {
+  let users = [
+    { identity: { provider: 'apple', subject: 'owner' }, email: 'owner@example.com', shown_email: 'owner@example.com' },
+    { identity: { provider: 'apple', subject: 'sitter' }, email: 'sitter@example.com', shown_email: 'sitter@example.com' },
+  ];
+  let invitation = { feeder: 1, invited_by: 1, email: 'sitter@example.com', role: 'caregiver', expires: null, token: 'hashed', valid_until: new Date(Date.now() + 60 * 1000) };
+
+  return Promise.all(users.map((user) => database.createUser(user))).then(() => {
+    return database.claimFeeder('ABC123456789', 1);
+  }).then(() => {
+    return database.createInvitation(invitation);
+  }).then((id) => {
+    expect(id).toBe(1);
+    return Promise.all([database.getInvitations(1), database.checkFeederAssociation(1, 2)]);
+  }).then((results) => {
+    expect(results[0].map((invitation) => invitation.email)).toEqual(['sitter@example.com']);
+    expect(results[1]).toBe(undefined);
+    return database.acceptInvitation('hashed', 2);
+  }).then((membership) => {
+    expect(membership).toEqual({ feeder: 1, role: 'caregiver' });
+    // Only once
+    return database.acceptInvitation('hashed', 2);
+  }).then((membership) => {
+    expect(membership).toBe(undefined);
+    return Promise.all([database.checkFeederAssociation(1, 2), database.getUserById(2), database.getFeederMembers(1), database.getAlertRecipients('ABC123456789')]);
+  }).then((results) => {
+    expect(results[0].role).toBe('caregiver');
+    expect(results[0].identifier).toBe('ABC123456789');
+    expect(results[1].feeders).toEqual([{ id: 1, role: 'caregiver', defaultAmount: 5 }]);
+    expect(results[2].map((member) => [member.user, member.role])).toEqual([[1, 'owner'], [2, 'caregiver']]);
+    expect(results[3].map((recipient) => recipient.email)).toEqual(['owner@example.com', 'sitter@example.com']);
+
+    // The access ends
+    return database.updateFeederMember(1, 2, 'viewer', new Date(Date.now() - 1000));
+  }).then((success) => {
+    expect(success).toBe(true);
+    return Promise.all([database.checkFeederAssociation(1, 2), database.getUserById(2), database.updateFeederMember(1, 1, 'viewer', null)]);
+  }).then((results) => {
+    expect(results[0]).toBe(undefined);
+    expect(results[1].feeders).toBe(undefined);
+    expect(results[2]).toBe(false);
+    return Promise.all([database.removeFeederMember(1, 2), database.removeFeederMember(1, 1)]);
+  }).then((results) => {
+    expect(results).toEqual([true, false]);
+  });
+});
+
+test('keeps the owner when accepting an invitation', () => {
+  let invitation = { feeder: 1, invited_by: 1, email: 'owner@example.com', role: 'viewer', expires: null, token: 'hashed', valid_until: new Date(Date.now() + 60 * 1000) };
+  return database.createUser({ identity: { provider: 'apple', subject: 'owner' }, email: 'owner@example.com', shown_email: 'owner@example.com' }).then(() => {
+    return database.claimFeeder('ABC123456789', 1);
+  }).then(() => {
+    return database.createInvitation(invitation);
+  }).then(() => {
+    return database.acceptInvitation('hashed', 1);
+  }).then((membership) => {
+    expect(membership).toEqual({ feeder: 1, role: 'owner' });
+    return database.createInvitation(Object.assign({}, invitation, { token: 'expired', valid_until: new Date(Date.now() - 1000) }));
+  }).then(() => {
+    return Promise.all([database.acceptInvitation('expired', 1), database.getInvitations(1)]);
+  }).then((results) => {
+    expect(results[0]).toBe(undefined);
+    expect(results[1]).toEqual([]);
+  });
+});
+
+test('transfers the feeder ownership', () => {
+  let users = [
+    { identity: { provider: 'apple', subject: 'owner' }, email: 'owner@example.com', shown_email: 'owner@example.com' },
+    { identity: { provider: 'apple', subject: 'buyer' }, email: 'buyer@example.com', shown_email: 'Buyer@example.com' },
+  ];
+  let transfer = { feeder: 1, from_user: 1, to_user: 2, valid_until: new Date(Date.now() + 60 * 1000) };
+
+  return Promise.all(users.map((user) => database.createUser(user))).then(() => {
+    return database.claimFeeder('ABC123456789', 1);
+  }).then(() => {
+    return Promise.all([database.getUserByEmail('buyer@example.com'), database.createTransfer(transfer)]);
+  }).then((results) => {
+    expect(results[0].id).toBe(2);
+    return Promise.all([database.getTransfersTo(2), database.getTransfersTo(1), database.acceptTransfer(results[1], 1)]);
+  }).then((results) => {
+    expect(results[0].map((transfer) => [transfer.feeder, transfer.from])).toEqual([[1, 'owner@example.com']]);
+    expect(results[1]).toEqual([]);
+    expect(results[2]).toBe(undefined);
+    return database.acceptTransfer(results[0][0].id, 2);
+  }).then((feeder) => {
+    expect(feeder).toBe(1);
+    return Promise.all([database.checkFeederAssociation(1, 1), database.checkFeederAssociation(1, 2), database.getTransfersTo(2), database.getOwnershipLog(1)]);
+  }).then((results) => {
+    expect(results[0]).toBe(undefined);
+    expect(results[1].role).toBe('owner');
+    expect(results[1].owner).toBe(2);
+    expect(results[2]).toEqual([]);
+    expect(results[3].map((entry) => [entry.event, entry.from, entry.to])).toEqual([
+      ['claimed', null, 'owner@example.com'],
+      ['transfer_requested', 'owner@example.com', 'Buyer@example.com'],
+      ['transferred', 'owner@example.com', 'Buyer@example.com'],
+    ]);
+    // The former owner cannot ask for it back
+    return Promise.all([database.cancelTransfer(1, 1), database.declineTransfer(1, 1)]);
+  }).then((results) => {
+    expect(results).toEqual([false, false]);
+  });
+});
+
+test('removes the members of the former owner on transfer', () => {
+  let users = [
+    { identity: { provider: 'apple', subject: 'owner' }, email: 'owner@example.com', shown_email: 'owner@example.com' },
+    { identity: { provider: 'apple', subject: 'buyer' }, email: 'buyer@example.com', shown_email: 'buyer@example.com' },
+    { identity: { provider: 'apple', subject: 'sitter' }, email: 'sitter@example.com', shown_email: 'sitter@example.com' },
+  ];
+  let invitation = (email, token) => {
+    return { feeder: 1, invited_by: 1, email: email, role: 'caregiver', expires: null, token: token, valid_until: new Date(Date.now() + 60 * 1000) };
+  };
+
+  return Promise.all(users.map((user) => database.createUser(user))).then(() => {
+    return database.claimFeeder('ABC123456789', 1);
+  }).then(() => {
+    return Promise.all([database.createInvitation(invitation('sitter@example.com', 'sitter')), database.createInvitation(invitation('other@example.com', 'other'))]);
+  }).then(() => {
+    return Promise.all([
+      database.acceptInvitation('sitter', 3),
+      database.queueCommand('ABC123456789', 'change_default_quantity', { quantity: 10 }),
+      database.createTransfer({ feeder: 1, from_user: 1, to_user: 2, valid_until: new Date(Date.now() + 60 * 1000) }),
+    ]);
+  }).then((results) => {
+    expect(results[0]).toEqual({ feeder: 1, role: 'caregiver' });
+    return database.acceptTransfer(results[2], 2);
+  }).then((feeder) => {
+    expect(feeder).toBe(1);
+    return Promise.all([
+      database.checkFeederAssociation(1, 3),
+      database.getFeederMembers(1),
+      database.getInvitations(1),
+      database.getPendingCommands('ABC123456789'),
+      database.getAlertRecipients('ABC123456789'),
+    ]);
+  }).then((results) => {
+    expect(results[0]).toBe(undefined);
+    expect(results[1].map((member) => [member.user, member.role])).toEqual([[2, 'owner']]);
+    expect(results[2]).toEqual([]);
+    expect(results[3]).toEqual([]);
+    expect(results[4].map((recipient) => recipient.email)).toEqual(['buyer@example.com']);
+  });
+});
+
+test('releases feeders, wiping their history when asked', () => {
+  let meal = new Meal('10:00', 10, true);
+  return database.createUser({ identity: { provider: 'apple', subject: 'owner' }, email: 'owner@example.com', shown_email: 'owner@example.com' }).then(() => {
+    return database.claimFeeder('ABC123456789', 1);
+  }).then(() => {
+    return Promise.all([database.recordPlanning('ABC123456789', new Planning([meal])), database.releaseFeeder(1, 2, true)]);
+  }).then((results) => {
+    expect(results[1]).toBe(false);
+    return database.releaseFeeder(1, 1, true);
+  }).then((success) => {
+    expect(success).toBe(true);
+    return Promise.all([database.checkFeederAssociation(1, 1), database.getCurrentPlanning(1), database.getUserById(1), database.getOwnershipLog(1)]);
+  }).then((results) => {
+    expect(results[0]).toBe(undefined);
+    expect(results[1].meals).toEqual([]);
+    expect(results[2].feeders).toBe(undefined);
+    expect(results[3].map((entry) => entry.event)).toEqual(['claimed', 'released_wiped']);
+    // It can be claimed again
+    return database.claimFeeder('ABC123456789', 1);
+  }).then((success) => {
+    expect(success).toBe(true);
+  });
+});
+
+test('releases feeders without leaving rows behind, even when foreign keys are not enforced', () => {
+  let count = (table) => database.storage.query('SELECT COUNT(*) AS count FROM ' + table).then((rows) => rows[0].count);
+  return database.storage.execute('PRAGMA foreign_keys = OFF').then(() => {
+    return database.createUser({ identity: { provider: 'apple', subject: 'owner' }, email: 'owner@example.com', shown_email: 'owner@example.com' });
+  }).then(() => {
+    return database.claimFeeder('ABC123456789', 1);
+  }).then(() => {
+    return Promise.all([
+      database.setFeederName(1, 'Kitchen'),
+      database.createWebhook(1, 'https://example.com/hook', 'secret'),
+      database.createAccessToken({ user: 1, name: 'cron', token: 'hashed', scopes: ['feed'], feeders: [1] }),
+    ]);
+  }).then((results) => {
+    return database.recordWebhookDelivery(results[1], 'manual_meal', 1, 200, null, '{}');
+  }).then(() => {
+    return database.releaseFeeder(1, 1, false);
+  }).then((success) => {
+    expect(success).toBe(true);
+    return Promise.all([database.storage.query('SELECT name FROM feeders WHERE id = 1'), count('webhook_deliveries'), count('access_token_feeders'), database.getAccessToken('hashed')]);
+  }).then((results) => {
+    expect(results[0][0].name).toBe(null);
+    expect(results.slice(1, 3)).toEqual([0, 0]);
+    // Still restricted, to no feeder anymore
+    expect(results[3].feeders).toEqual([]);
+  });
+});
+
+test('claims feeders once their button is pressed in the pairing window', () => {
+  let users = [
+    { identity: { provider: 'apple', subject: 'owner' }, email: 'owner@example.com', shown_email: 'owner@example.com' },
+    { identity: { provider: 'apple', subject: 'other' }, email: 'other@example.com', shown_email: 'other@example.com' },
+  ];
+  let valid_until = new Date(Date.now() + 60 * 1000);
+  let connected = new Date(Date.now() - 60 * 1000);
+
+  return Promise.all(users.map((user) => database.createUser(user))).then(() => {
+    return Promise.all([database.completePairing('ABC123456789', connected), database.startPairing('UNKNOWN', 1, valid_until)]);
+  }).then((results) => {
+    expect(results).toEqual([undefined, undefined]);
+    return database.startPairing('ABC123456789', 1, new Date(Date.now() - 1000));
+  }).then(() => {
+    // Too late
+    return database.completePairing('ABC123456789', connected);
+  }).then((user) => {
+    expect(user).toBe(undefined);
+    return database.startPairing('ABC123456789', 1, valid_until);
+  }).then((pairing) => {
+    expect(pairing).toEqual({ feeder: 1, user: 1, valid_until: valid_until });
+    return Promise.all([database.startPairing('ABC123456789', 2, valid_until), database.getPairing('ABC123456789', 1)]);
+  }).then((results) => {
+    expect(results[0].user).toBe(1);
+    expect(results[1].owner).toBe(null);
+    expect(results[1].valid_until.getTime()).toBe(Math.floor(valid_until.getTime() / 1000) * 1000);
+    // From a connection opened once the pairing started
+    return database.completePairing('ABC123456789', new Date(Date.now() + 1000));
+  }).then((user) => {
+    expect(user).toBe(undefined);
+    return database.completePairing('ABC123456789', connected);
+  }).then((user) => {
+    expect(user).toBe(1);
+    return Promise.all([database.checkFeederAssociation(1, 1), database.completePairing('ABC123456789', connected), database.startPairing('ABC123456789', 2, valid_until), database.getPairing('ABC123456789', 1)]);
+  }).then((results) => {
+    expect(results[0].role).toBe('owner');
+    expect(results[1]).toBe(undefined);
+    expect(results[2]).toBe(undefined);
+    expect(results[3]).toEqual({ id: 1, owner: 1, valid_until: null });
+  });
+});
+
+test('verifies emails and resets passwords with single use tokens', () => {
+  let valid_until = new Date(Date.now() + 60 * 1000);
+  return database.createUser({ email: 'user@example.com', shown_email: 'User@example.com', password: 'hashed' }).then((id) => {
+    expect(id).toBe(1);
+    return Promise.all([
+      database.createUserToken(1, 'verify', 'verify-token', valid_until),
+      database.createUserToken(1, 'reset', 'reset-token', valid_until),
+      database.createUserToken(1, 'reset', 'other-reset-token', valid_until),
+      database.createUserToken(1, 'reset', 'expired-token', new Date(Date.now() - 1000)),
+    ]);
+  }).then(() => {
+    return Promise.all([database.getUserByEmail('user@example.com'), database.verifyEmail('reset-token'), database.resetPassword('expired-token', 'new')]);
+  }).then((results) => {
+    expect(results[0].password).toBe('hashed');
+    expect(results[0].email_verified).toBe(null);
+    expect(results[1]).toBe(undefined);
+    expect(results[2]).toBe(undefined);
+    return database.verifyEmail('verify-token');
+  }).then((user) => {
+    expect(user).toBe(1);
+    return Promise.all([database.verifyEmail('verify-token'), database.resetPassword('reset-token', 'new')]);
+  }).then((results) => {
+    expect(results).toEqual([undefined, 1]);
+    // The other reset links are not valid anymore
+    return Promise.all([database.resetPassword('other-reset-token', 'newer'), database.getUserById(1)]);
+  }).then((results) => {
+    expect(results[0]).toBe(undefined);
+    expect(results[1].password).toBe('new');
+    expect(results[1].email_verified).toBeInstanceOf(Date);
+  });
+});
+
+test('stores access tokens, restricted to some feeders', () => {
+  return database.createUser({ identity: { provider: 'apple', subject: 'owner' }, email: 'owner@example.com', shown_email: 'owner@example.com' }).then(() => {
+    return Promise.all([
+      database.createAccessToken({ user: 1, name: 'cron', token: 'hashed', scopes: ['feed'], feeders: [1] }),
+      database.createAccessToken({ user: 1, name: 'dashboard', token: 'other', scopes: ['read', 'planning'], feeders: null }),
+    ]);
+  }).then((ids) => {
+    expect(ids).toEqual([1, 2]);
+    return Promise.all([database.getAccessToken('hashed'), database.getAccessToken('unknown'), database.accessTokenUsed(2)]);
+  }).then((results) => {
+    expect(results[0]).toMatchObject({ id: 1, user: 1, name: 'cron', scopes: ['feed'], feeders: [1], last_used: null });
+    expect(results[1]).toBe(undefined);
+    return Promise.all([database.getAccessTokens(1), database.revokeAccessToken(2, 1)]);
+  }).then((results) => {
+    expect(results[0].map((access) => [access.name, access.scopes, access.feeders])).toEqual([['cron', ['feed'], [1]], ['dashboard', ['read', 'planning'], null]]);
+    expect(results[0][1].last_used).toBeInstanceOf(Date);
+    expect(results[1]).toBe(false);
+    return database.revokeAccessToken(1, 1);
+  }).then((success) => {
+    expect(success).toBe(true);
+    return database.getAccessToken('hashed');
+  }).then((access) => {
+    expect(access).toBe(undefined);
+  });
+});
+
+test('links several identities to a user', () => {
+  let users = [
+    { identity: { provider: 'apple', subject: 'apple-1' }, email: 'user@example.com', shown_email: 'user@example.com' },
+    { identity: { provider: 'google', subject: 'google-2' }, email: 'other@example.com', shown_email: 'other@example.com' },
+  ];
+  return database.createUser(users[0]).then(() => {
+    return database.createUser(users[1]);
+  }).then(() => {
+    return Promise.all([
+      database.linkIdentity(1, { provider: 'keycloak', subject: 'abc', email: 'user@home.lan' }),
+      database.linkIdentity(1, { provider: 'google', subject: 'google-2' }),
+    ]);
+  }).then((results) => {
+    expect(results).toEqual([true, false]);
+    return Promise.all([database.getUserByIdentity('keycloak', 'abc'), database.getUserByIdentity('google', 'google-2'), database.getIdentities(1)]);
+  }).then((results) => {
+    expect(results[0].id).toBe(1);
+    expect(results[1].id).toBe(2);
+    expect(results[2].map((identity) => [identity.provider, identity.email])).toEqual([['apple', 'user@example.com'], ['keycloak', 'user@home.lan']]);
+    // Another account of the same provider replaces the previous one
+    return database.linkIdentity(1, { provider: 'keycloak', subject: 'def' });
+  }).then(() => {
+    return Promise.all([database.getUserByIdentity('keycloak', 'abc'), database.unlinkIdentity(1, 'keycloak'), database.unlinkIdentity(1, 'google')]);
+  }).then((results) => {
+    expect(results).toEqual([undefined, true, false]);
+    return database.getUserByIdentity('keycloak', 'def');
+  }).then((user) => {
+    expect(user).toBe(undefined);
+  });
+});
+
+test('keeps the latest deliveries of each webhook', () => {
+  let record = (attempt, count) => {
+    if (attempt > count) {
+      return Promise.resolve();
+    }
+    return database.recordWebhookDelivery(1, 'feed_now', attempt, 200, null, '{}').then(() => record(attempt + 1, count));
+  };
+
+  return database.createWebhook(1, 'https://example.com/hook', 'secret').then((id) => {
+    expect(id).toBe(1);
+    return record(1, 102);
+  }).then(() => {
+    return database.getWebhookDeliveries(1, 1, 500);
+  }).then((deliveries) => {
+    expect(deliveries.length).toBe(100);
+    expect(deliveries[0].attempt).toBe(102);
+    expect(deliveries[99].attempt).toBe(3);
+    return database.deleteWebhook(1, 1);
+  }).then(() => {
+    return database.storage.query('SELECT COUNT(*) AS count FROM webhook_deliveries', []);
+  }).then((results) => {
+    expect(results[0].count).toBe(0);
+  });
+});
+
+test('moves device tokens between users', () => {
+  return Promise.all([
+    database.createUser({ identity: { provider: 'apple', subject: 'first' }, email: 'first@example.com', shown_email: 'first@example.com' }),
+    database.createUser({ identity: { provider: 'apple', subject: 'second' }, email: 'second@example.com', shown_email: 'second@example.com' }),
+  ]).then(() => {
+    return database.registerDeviceToken(1, 'token');
+  }).then(() => {
+    return database.registerDeviceToken(2, 'token');
+  }).then(() => {
+    return database.storage.query('SELECT user, token FROM devices');
+  }).then((rows) => {
+    expect(rows).toEqual([{ user: 2, token: 'token' }]);
+  });
+});
+
+test('closes the connections left opened', () => {
+  return database.recordConnection('ABC123456789', '::ffff:127.0.0.1:1234').then((id) => {
+    expect(id).toBe(1);
+    return database.closeDanglingConnections();
+  }).then((closed) => {
+    expect(closed).toBe(1);
+    return database.storage.query('SELECT connected, disconnected FROM feeder_connections');
+  }).then((rows) => {
+    expect(rows[0].disconnected).toEqual(rows[0].connected);
+  });
+});
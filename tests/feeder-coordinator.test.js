@@ -0,0 +1,257 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const EventEmitter = require('events');
+
+const DataBaseCoordinator = require("../src/database-coordinator");
+const FeederCoordinator = require("../src/feeder-coordinator");
+const MessageCodec = require("../src/message-codec");
+const Meal = require("../src/models/meal");
+const Planning = require("../src/models/planning");
+const Quantity = require("../src/models/quantity");
+
+const IDENTIFIER = 'ABC123456789';
+const IP = '::ffff:127.0.0.1:1234';
+
+/**
+ * Stands for the connection of a feeder, acknowledging every command it receives
+ */
+class FakeSocket extends EventEmitter {
+  constructor(coordinator, identifier = IDENTIFIER) {
+    super();
+    this.coordinator = coordinator;
+    this.identifier = identifier;
+    this.received = [];
+    this.destroyed = false;
+    this.acknowledging = true;
+  }
+  setKeepAlive() {
+  }
+  destroy() {
+    this.destroyed = true;
+  }
+  write(data, callback) {
+    let message = MessageCodec.decode(data, MessageCodec.TO_FEEDER);
+    this.received.push(message.type);
+    callback();
+    if (message.type !== 'time' && this.acknowledging) {
+      setImmediate(() => this.sendFrame('expectation', { action: message.type }));
+    }
+  }
+  sendFrame(type, data = {}) {
+    let frame = MessageCodec.encode(type, Object.assign({ identifier: this.identifier }, data));
+    return this.coordinator.socketDataRetrieved(frame, IP, this);
+  }
+}
+
+let waitFor = (condition) => {
+  return condition().then((done) => {
+    return done ? undefined : new Promise((resolve) => setTimeout(resolve, 10)).then(() => waitFor(condition));
+  });
+};
+
+let database, coordinator;
+
+beforeEach(() => {
+  database = new DataBaseCoordinator({ storage: 'sqlite', sqlite_path: ':memory:' });
+  coordinator = new FeederCoordinator({ feeder_port: 0, enable_outbox: true, command_timeout: 500, command_retries: 0 }, database);
+  return database.ready.then(() => {
+    return database.registerFeeder(IDENTIFIER, IP);
+  });
+});
+
+afterEach(() => {
+  return coordinator.close().then(() => database.storage.end());
+});
+
+test('keeps commands while the feeder is offline', () => {
+  return coordinator.setDefaultQuantity(IDENTIFIER, new Quantity(10)).then((result) => {
+    expect(result).toEqual({ pending: true });
+    return coordinator.setDefaultQuantity(IDENTIFIER, new Quantity(15));
+  }).then((result) => {
+    expect(result).toEqual({ pending: true });
+    return database.getPendingCommands(IDENTIFIER);
+  }).then((commands) => {
+    // The latest one supersedes the first
+    expect(commands.map((command) => command.data)).toEqual([{ quantity: 15 }]);
+  });
+});
+
+test('sends the kept commands once the feeder connects', () => {
+  let socket = new FakeSocket(coordinator);
+  let flush = jest.spyOn(coordinator, 'flushPendingCommands');
+  let planning = new Planning([new Meal({ hours: 8, minutes: 30 }, 10)]);
+
+  return Promise.all([
+    coordinator.setDefaultQuantity(IDENTIFIER, new Quantity(10)),
+    coordinator.setPlanning(IDENTIFIER, planning),
+  ]).then(() => {
+    return socket.sendFrame('identification');
+  }).then(() => {
+    return waitFor(() => database.getPendingCommands(IDENTIFIER).then((commands) => commands.length === 0));
+  }).then(() => {
+    expect(socket.received).toEqual(['time', 'change_default_quantity', 'change_planning']);
+    return database.getCurrentPlanning(1);
+  }).then((current) => {
+    expect(current.jsoned()).toEqual(planning.jsoned());
+    // Identifications sent on the same connection don't look at the outbox again
+    return socket.sendFrame('identification');
+  }).then(() => {
+    expect(flush).toHaveBeenCalledTimes(1);
+  });
+});
+
+test('sends the commands asked during the sending of the kept ones after them', () => {
+  let socket = new FakeSocket(coordinator);
+  let kept = new Planning([new Meal({ hours: 8, minutes: 30 }, 10)]);
+  let asked = new Planning([new Meal({ hours: 9, minutes: 0 }, 20)]);
+  let result;
+  socket.acknowledging = false;
+
+  return Promise.all([
+    coordinator.setDefaultQuantity(IDENTIFIER, new Quantity(10)),
+    coordinator.setPlanning(IDENTIFIER, kept),
+  ]).then(() => {
+    return socket.sendFrame('identification');
+  }).then(() => {
+    return waitFor(() => Promise.resolve(socket.received.indexOf('change_default_quantity') !== -1));
+  }).then(() => {
+    // Asked while the feeder receives the first kept command
+    result = coordinator.setPlanning(IDENTIFIER, asked);
+    socket.acknowledging = true;
+    return new Promise((resolve) => setTimeout(resolve, 50));
+  }).then(() => {
+    socket.sendFrame('expectation', { action: 'change_default_quantity' });
+    return result;
+  }).then((result) => {
+    expect(result).toEqual({ pending: false });
+    return waitFor(() => Promise.resolve(!(IDENTIFIER in coordinator.flushing)));
+  }).then(() => {
+    expect(socket.received).toEqual(['time', 'change_default_quantity', 'change_planning', 'change_planning']);
+    return Promise.all([database.getCurrentPlanning(1), database.getPendingCommands(IDENTIFIER)]);
+  }).then((results) => {
+    expect(results[0].jsoned()).toEqual(asked.jsoned());
+    expect(results[1]).toEqual([]);
+  });
+});
+
+test('drops kept commands superseded by the one sent', () => {
+  let socket = new FakeSocket(coordinator);
+  coordinator.config.enable_outbox = false;
+
+  return socket.sendFrame('identification').then(() => {
+    coordinator.config.enable_outbox = true;
+    return Promise.all([
+      database.queueCommand(IDENTIFIER, 'change_default_quantity', { quantity: 10 }),
+      database.queueCommand(IDENTIFIER, 'change_planning', { meals: [] }),
+    ]);
+  }).then(() => {
+    return coordinator.setDefaultQuantity(IDENTIFIER, new Quantity(15));
+  }).then((result) => {
+    expect(result).toEqual({ pending: false });
+    return database.getPendingCommands(IDENTIFIER);
+  }).then((commands) => {
+    expect(commands.map((command) => command.type)).toEqual(['change_planning']);
+  });
+});
+
+test('only takes the acknowledgements of the feeder connection', () => {
+  let feeder = new FakeSocket(coordinator);
+  let intruder = new FakeSocket(coordinator);
+  feeder.acknowledging = false;
+
+  return feeder.sendFrame('identification').then(() => {
+    let meal = coordinator.feedNow(IDENTIFIER, new Quantity(10));
+    return intruder.sendFrame('expectation', { action: 'feed_now' }).then(() => {
+      return expect(meal).rejects.toHaveProperty('reason', 'timeout');
+    });
+  }).then(() => {
+    let meal = coordinator.feedNow(IDENTIFIER, new Quantity(10));
+    return feeder.sendFrame('expectation', { action: 'feed_now' }).then(() => meal);
+  });
+});
+
+/**
+ * Dates are stored to the second: lets a pairing start strictly after a connection
+ * @return Promise
+ */
+let nextSecond = () => {
+  return new Promise((resolve) => setTimeout(resolve, 1000 - Date.now() % 1000 + 10));
+};
+
+test('gives the feeder to the user pairing it once its button is pressed', () => {
+  let socket = new FakeSocket(coordinator);
+  let valid_until = new Date(Date.now() + 60 * 1000);
+
+  return socket.sendFrame('identification').then(nextSecond).then(() => {
+    return database.createUser({ identity: { provider: 'apple', subject: 'owner' }, email: 'owner@example.com', shown_email: 'owner@example.com' });
+  }).then((user_id) => {
+    return database.startPairing(IDENTIFIER, user_id, valid_until);
+  }).then(() => {
+    return socket.sendFrame('manual_meal', { amount: 5 });
+  }).then(() => {
+    return database.getFeederByIdentifier(IDENTIFIER);
+  }).then((feeder) => {
+    expect(feeder.owner).toBe(1);
+  });
+});
+
+test('only lets a feeder connection complete the pairing', () => {
+  let socket = new FakeSocket(coordinator);
+  let valid_until = new Date(Date.now() + 60 * 1000);
+
+  return database.createUser({ identity: { provider: 'apple', subject: 'owner' }, email: 'owner@example.com', shown_email: 'owner@example.com' }).then((user_id) => {
+    return database.startPairing(IDENTIFIER, user_id, valid_until);
+  }).then(() => {
+    // Pretending to be the feeder, without being connected as it
+    return socket.sendFrame('manual_meal', { amount: 5 });
+  }).then(() => {
+    let other = new FakeSocket(coordinator, 'XYZ987654321');
+    return other.sendFrame('identification').then(() => {
+      return new FakeSocket(coordinator).sendFrame('manual_meal', { amount: 5 });
+    });
+  }).then(() => {
+    return Promise.all([database.getFeederByIdentifier(IDENTIFIER), database.getPairing(IDENTIFIER, 1)]);
+  }).then((results) => {
+    expect(results[0].owner).toBe(null);
+    // Still waiting for the button
+    expect(results[1].valid_until).toBeInstanceOf(Date);
+  });
+});
+
+test('does not let a connection opened during the pairing complete it', () => {
+  let feeder = new FakeSocket(coordinator);
+  let intruder = new FakeSocket(coordinator);
+  let valid_until = new Date(Date.now() + 60 * 1000);
+
+  return feeder.sendFrame('identification').then(nextSecond).then(() => {
+    return database.createUser({ identity: { provider: 'apple', subject: 'owner' }, email: 'owner@example.com', shown_email: 'owner@example.com' });
+  }).then((user_id) => {
+    return database.startPairing(IDENTIFIER, user_id, valid_until);
+  }).then(() => {
+    // Taking over the connection of the feeder
+    return intruder.sendFrame('identification');
+  }).then(() => {
+    expect(feeder.destroyed).toBe(true);
+    return intruder.sendFrame('manual_meal', { amount: 5 });
+  }).then(() => {
+    return database.getFeederByIdentifier(IDENTIFIER);
+  }).then((result) => {
+    expect(result.owner).toBe(null);
+  });
+});
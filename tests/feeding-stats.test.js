@@ -0,0 +1,70 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const FeedingStats = require("../src/models/feeding-stats");
+const Meal = require("../src/models/meal");
+const Planning = require("../src/models/planning");
+const Timezone = require("../src/models/timezone");
+
+let current = new Planning([new Meal({ hours: 8, minutes: 0 }, 20), new Meal({ hours: 19, minutes: 0 }, 20)]);
+let plannings = [
+  { date: new Date('2018-03-19T10:00:00Z'), quantity: 30, meals: 2 },
+  { date: new Date('2018-03-21T10:00:00Z'), quantity: 40, meals: 2 },
+];
+let manual = [
+  { day: '2018-03-20', quantity: 5, meals: 1 },
+  // A day changing its offset comes in two parts
+  { day: '2018-03-22', quantity: 4, meals: 1 },
+  { day: '2018-03-22', quantity: 6, meals: 1 },
+];
+
+test("daily() tests", () => {
+  let stats = new FeedingStats(new Timezone('Europe/Paris'), plannings, manual, current);
+  expect(stats.daily(['2018-03-19', '2018-03-20', '2018-03-21', '2018-03-22'])).toEqual([
+    { date: '2018-03-19', planned: 0, manual: 0, total: 0, difference: -40 },
+    { date: '2018-03-20', planned: 30, manual: 5, total: 35, difference: -5 },
+    { date: '2018-03-21', planned: 30, manual: 0, total: 30, difference: -10 },
+    { date: '2018-03-22', planned: 40, manual: 10, total: 50, difference: 10 },
+  ]);
+});
+
+test("monday() tests", () => {
+  expect(FeedingStats.monday('2018-03-19')).toBe('2018-03-19');
+  expect(FeedingStats.monday('2018-03-21')).toBe('2018-03-19');
+  expect(FeedingStats.monday('2018-03-25')).toBe('2018-03-19');
+  expect(FeedingStats.monday('2018-04-01')).toBe('2018-03-26');
+});
+
+test("jsoned() tests", () => {
+  let stats = new FeedingStats(new Timezone('Europe/Paris'), plannings, manual, current);
+  let json = stats.jsoned(['2018-03-30', '2018-03-31', '2018-04-01', '2018-04-02']);
+  expect(json.timezone).toBe('Europe/Paris');
+  expect(json.planning).toEqual({ quantity: 40, meals: 2 });
+  expect(json.average).toEqual({ planned: 40, manual: 0, total: 40, difference: 0 });
+  expect(json.weeks).toEqual([
+    { week: '2018-03-26', days: 3, planned: 120, manual: 0, total: 120, average: 40 },
+    { week: '2018-04-02', days: 1, planned: 40, manual: 0, total: 40, average: 40 },
+  ]);
+  expect(json.months).toEqual([
+    { month: '2018-03', days: 2, planned: 80, manual: 0, total: 80, average: 40 },
+    { month: '2018-04', days: 2, planned: 80, manual: 0, total: 80, average: 40 },
+  ]);
+
+  let empty = new FeedingStats(new Timezone(), [], [], new Planning([])).jsoned([]);
+  expect(empty.average).toEqual({ planned: 0, manual: 0, total: 0, difference: 0 });
+});
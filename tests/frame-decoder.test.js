@@ -0,0 +1,71 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const FrameDecoder = require("../src/frame-decoder");
+const ResponseBuilder = require("../src/response-builder");
+const Meal = require("../src/models/meal");
+const Planning = require("../src/models/planning");
+
+const identification = '9da11441424331323334353637383901d0010000';
+const manualMeal = '9da1144142433132333435363738392103840005';
+
+let hexed = (frames) => frames.map((frame) => frame.toString('hex'));
+
+test('push() returns a single complete frame', () => {
+  let decoder = new FrameDecoder();
+  expect(hexed(decoder.push(Buffer.from(identification, 'hex')))).toEqual([identification]);
+  expect(decoder.pending().length).toBe(0);
+});
+
+test('push() splits coalesced frames', () => {
+  let decoder = new FrameDecoder();
+  expect(hexed(decoder.push(Buffer.from(identification + manualMeal, 'hex')))).toEqual([identification, manualMeal]);
+  expect(hexed(decoder.push(Buffer.from(identification + identification, 'hex')))).toEqual([identification, identification]);
+});
+
+test('push() buffers partial frames across calls', () => {
+  let decoder = new FrameDecoder();
+  expect(decoder.push(Buffer.from(identification.slice(0, 10), 'hex'))).toEqual([]);
+  expect(decoder.push(Buffer.from(identification.slice(10, 30), 'hex'))).toEqual([]);
+  expect(hexed(decoder.push(Buffer.from(identification.slice(30) + manualMeal.slice(0, 4), 'hex')))).toEqual([identification]);
+  expect(decoder.pending().toString('hex')).toBe('9da1');
+  expect(hexed(decoder.push(Buffer.from(manualMeal.slice(4), 'hex')))).toEqual([manualMeal]);
+  expect(decoder.pending().length).toBe(0);
+});
+
+test('push() handles a frame split on its first byte', () => {
+  let decoder = new FrameDecoder();
+  expect(decoder.push(Buffer.from('9d', 'hex'))).toEqual([]);
+  expect(hexed(decoder.push(Buffer.from(identification.slice(2), 'hex')))).toEqual([identification]);
+});
+
+test('push() isolates garbage and truncated frames', () => {
+  let decoder = new FrameDecoder();
+  expect(hexed(decoder.push(Buffer.from('0102' + identification, 'hex')))).toEqual(['0102', identification]);
+  expect(hexed(decoder.push(Buffer.from('9da114414c' + manualMeal, 'hex')))).toEqual(['9da114414c', manualMeal]);
+  expect(hexed(decoder.push(Buffer.from('9da101' + identification, 'hex')))).toEqual(['9da1', '01', identification]);
+  expect(hexed(decoder.push(Buffer.from('cafe', 'hex')))).toEqual(['cafe']);
+  expect(decoder.pending().length).toBe(0);
+});
+
+test('push() returns the plannings with fewer meals than the frame allows', () => {
+  let decoder = new FrameDecoder();
+  let planning = ResponseBuilder.changePlanning(new Planning([new Meal({ hours: 8, minutes: 0 }, 10)]));
+  expect(hexed(decoder.push(planning))).toEqual([planning.toString('hex')]);
+  expect(decoder.pending().length).toBe(0);
+});
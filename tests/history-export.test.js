@@ -0,0 +1,125 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const stream = require('stream');
+
+const HistoryExport = require("../src/history-export");
+
+let requested;
+let database = {
+  getMealsBetween: (id, begin, end, timezone) => {
+    requested.push([begin, end]);
+    if (begin !== '2018-03-01') {
+      return Promise.resolve([]);
+    }
+    return Promise.resolve([
+      { type: 'planned', date: new Date('2018-03-01T07:00:00Z'), quantity: 10 },
+      { type: 'manual', date: new Date('2018-03-02T12:30:00Z'), quantity: 5 },
+    ]);
+  },
+  getAlertsBetween: (id, begin, end) => {
+    if (begin.toJSON() !== '2018-02-28T23:00:00.000Z') {
+      return Promise.resolve([]);
+    }
+    return Promise.resolve([
+      { id: 1, type: 'empty', date: new Date('2018-03-01T20:00:00Z'), data: { message: 'Empty, "really"' } },
+    ]);
+  },
+};
+
+let feeder = { id: 1, identifier: 'ABC123456789', timezone: 'Europe/Paris' };
+
+/**
+ * Collects what is written, slowly enough for the export to wait for it
+ */
+let output = () => {
+  let chunks = [];
+  let writable = new stream.Writable({
+    highWaterMark: 16,
+    write: (chunk, encoding, callback) => {
+      chunks.push(chunk.toString());
+      setImmediate(callback);
+    },
+  });
+  writable.text = () => chunks.join('');
+  return writable;
+};
+
+beforeEach(() => {
+  requested = [];
+});
+
+test('isDay() tests', () => {
+  expect(HistoryExport.isDay('2018-03-21')).toBe(true);
+  expect(HistoryExport.isDay('2018-02-30')).toBe(false);
+  expect(HistoryExport.isDay('2018-3-21')).toBe(false);
+  expect(HistoryExport.isDay('yesterday')).toBe(false);
+  expect(HistoryExport.isDay(undefined)).toBe(false);
+});
+
+test('windows() tests', () => {
+  expect(new HistoryExport(database, feeder, 'csv', '2018-03-21', '2018-03-21').windows()).toEqual([['2018-03-21', '2018-03-21']]);
+  expect(new HistoryExport(database, feeder, 'csv', '2018-01-01', '2018-03-05').windows()).toEqual([
+    ['2018-01-01', '2018-01-31'],
+    ['2018-02-01', '2018-03-03'],
+    ['2018-03-04', '2018-03-05'],
+  ]);
+});
+
+test('headers() tests', () => {
+  expect(new HistoryExport(database, feeder, 'json', '2018-03-01', '2018-03-31').headers()).toEqual({
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Disposition': 'attachment; filename="feeder-ABC123456789-2018-03-01-2018-03-31.json"',
+  });
+});
+
+test('streams CSV', () => {
+  let writable = output();
+  return new HistoryExport(database, feeder, 'csv', '2018-03-01', '2018-04-15').pipe(writable).then(() => {
+    expect(requested).toEqual([['2018-03-01', '2018-03-31'], ['2018-04-01', '2018-04-15']]);
+    expect(writable.text()).toBe(
+      'date,local_date,category,type,quantity,data\r\n' +
+      '2018-03-01T07:00:00.000Z,2018-03-01 08:00,meal,planned,10,\r\n' +
+      '2018-03-01T20:00:00.000Z,2018-03-01 21:00,alert,empty,,"{""message"":""Empty, \\""really\\""""}"\r\n' +
+      '2018-03-02T12:30:00.000Z,2018-03-02 13:30,meal,manual,5,\r\n'
+    );
+  });
+});
+
+test('streams JSON', () => {
+  let writable = output();
+  return new HistoryExport(database, feeder, 'json', '2018-03-01', '2018-03-02').pipe(writable).then(() => {
+    let events = JSON.parse(writable.text());
+    expect(events.length).toBe(3);
+    expect(events[1]).toEqual({ date: '2018-03-01T20:00:00.000Z', local_date: '2018-03-01 21:00', category: 'alert', type: 'empty', quantity: null, data: { message: 'Empty, "really"' } });
+
+    let empty = output();
+    return new HistoryExport(database, feeder, 'json', '2018-05-01', '2018-05-02').pipe(empty).then(() => {
+      expect(JSON.parse(empty.text())).toEqual([]);
+    });
+  });
+});
+
+test('stops once the output is closed', () => {
+  let writable = output();
+  let history = new HistoryExport(database, feeder, 'csv', '2018-01-01', '2018-12-31');
+  writable.destroy();
+  return history.pipe(writable).then(() => {
+    expect(requested.length).toBeLessThanOrEqual(1);
+  });
+});
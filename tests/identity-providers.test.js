@@ -0,0 +1,151 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+
+"use strict";
+
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+
+const IdentityProviders = require("../src/identity-providers");
+
+const ISSUER = 'https://sso.example.com/realms/home';
+
+let keys = [];
+let fetches;
+let server;
+let config;
+
+let sign = (kid, payload, options = {}) => {
+  let key = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  let jwk = key.publicKey.export({ format: 'jwk' });
+  keys.push({ kty: 'RSA', kid: kid, use: 'sig', alg: 'RS256', n: jwk.n, e: jwk.e });
+  let pem = key.privateKey.export({ type: 'pkcs1', format: 'pem' });
+  return jwt.sign(payload, pem, Object.assign({ algorithm: 'RS256', keyid: kid, issuer: ISSUER, audience: 'aln', expiresIn: 60 }, options));
+};
+
+beforeAll((done) => {
+  server = http.createServer((req, res) => {
+    fetches++;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ keys: keys }));
+  });
+  server.listen(0, '127.0.0.1', () => {
+    config = {
+      ios_bundle_identifier: 'com.example.aln',
+      oidc_providers: {
+        keycloak: { issuer: ISSUER, jwks_url: 'http://127.0.0.1:' + server.address().port + '/certs', client_id: 'aln' },
+      },
+    };
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  keys = [];
+  fetches = 0;
+});
+
+test('lists Apple and the configured providers', () => {
+  let providers = new IdentityProviders(config);
+  expect(providers.has('keycloak')).toBe(true);
+  expect(providers.has('google')).toBe(false);
+  expect(providers.jsoned()).toEqual([
+    { name: 'apple', issuer: 'https://appleid.apple.com', client_id: 'com.example.aln' },
+    { name: 'keycloak', issuer: ISSUER, client_id: 'aln' },
+  ]);
+});
+
+test('only offers Sign in with Apple to the iOS app', () => {
+  let providers = new IdentityProviders({ ios_bundle_identifier: '' });
+  expect(providers.has('apple')).toBe(false);
+  expect(providers.jsoned()).toEqual([]);
+  return expect(providers.verify('apple', 'token')).rejects.toThrow('Unknown identity provider');
+});
+
+test('requires the client id of every configured provider', () => {
+  expect(() => new IdentityProviders(Object.assign({}, config, {
+    oidc_providers: { keycloak: { issuer: ISSUER, jwks_url: 'http://127.0.0.1/certs', client_id: '' } },
+  }))).toThrow('The keycloak identity provider needs a client_id');
+});
+
+test('verifies id tokens with the cached keys', () => {
+  let providers = new IdentityProviders(config);
+  let token = sign('first', { sub: 'user-1', email: 'user@example.com' });
+  return providers.verify('keycloak', token).then((payload) => {
+    expect(payload.sub).toBe('user-1');
+    expect(payload.email).toBe('user@example.com');
+    return providers.verify('keycloak', token);
+  }).then(() => {
+    expect(fetches).toBe(1);
+  });
+});
+
+test('fetches the keys again when they have been rotated', () => {
+  let providers = new IdentityProviders(config);
+  let first = sign('first', { sub: 'user-1' });
+  return providers.verify('keycloak', first).then(() => {
+    // Not twice in a row
+    providers.cache.get('keycloak').date -= 2 * 60 * 1000;
+    return providers.verify('keycloak', sign('second', { sub: 'user-2' }));
+  }).then((payload) => {
+    expect(payload.sub).toBe('user-2');
+    expect(fetches).toBe(2);
+    return expect(providers.verify('keycloak', sign('third', { sub: 'user-3' }))).rejects.toThrow();
+  }).then(() => {
+    expect(fetches).toBe(2);
+  });
+});
+
+test('rejects the tokens of other issuers or clients', () => {
+  let providers = new IdentityProviders(config);
+  let tokens = [
+    sign('issuer', { sub: 'user' }, { issuer: 'https://other.example.com' }),
+    sign('client', { sub: 'user' }, { audience: ['account', 'other'] }),
+    sign('expired', { sub: 'user' }, { expiresIn: -60 }),
+  ];
+  return Promise.all([
+    expect(providers.verify('keycloak', tokens[0])).rejects.toThrow('not issued by correct OpenID provider'),
+    expect(providers.verify('keycloak', tokens[1])).rejects.toThrow('does not include this client'),
+    expect(providers.verify('keycloak', tokens[2])).rejects.toThrow('expired'),
+    expect(providers.verify('keycloak', 'not a token')).rejects.toThrow('Malformed id token'),
+    expect(providers.verify('google', 'not a token')).rejects.toThrow('Unknown identity provider'),
+  ]);
+});
+
+test('accepts the tokens given to several clients', () => {
+  let providers = new IdentityProviders(config);
+  return providers.verify('keycloak', sign('audience', { sub: 'user' }, { audience: ['account', 'aln'] })).then((payload) => {
+    expect(payload.aud).toEqual(['account', 'aln']);
+  });
+});
+
+test('rejects the tokens given to another client only', () => {
+  let providers = new IdentityProviders(config);
+  let tokens = [
+    sign('foreign', { sub: 'user' }, { audience: 'other-app' }),
+    sign('none', { sub: 'user' }, { audience: [] }),
+  ];
+  return Promise.all([
+    expect(providers.verify('keycloak', tokens[0])).rejects.toThrow('does not include this client'),
+    expect(providers.verify('keycloak', tokens[1])).rejects.toThrow('does not include this client'),
+  ]);
+});
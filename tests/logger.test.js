@@ -0,0 +1,88 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const Logger = require("../src/logger");
+
+let capture = (callback) => {
+  let lines = [];
+  let log = jest.spyOn(console, 'log').mockImplementation((line) => { lines.push(line); });
+  let error = jest.spyOn(console, 'error').mockImplementation((line) => { lines.push(line); });
+  try {
+    callback();
+  } finally {
+    log.mockRestore();
+    error.mockRestore();
+  }
+  return lines;
+};
+
+test('filters by level', () => {
+  let logger = new Logger({}, { level: 'warn', format: 'json' });
+  let lines = capture(() => {
+    logger.debug('debug');
+    logger.info('info');
+    logger.warn('warn');
+    logger.error('error');
+  });
+  expect(lines.map((line) => JSON.parse(line).msg)).toEqual(['warn', 'error']);
+
+  logger.options.level = 'silent';
+  expect(capture(() => { logger.error('error'); })).toEqual([]);
+});
+
+test('child loggers add their fields and share the options', () => {
+  let logger = new Logger({ module: 'coordinator' }, { level: 'info', format: 'json' });
+  let child = logger.child({ feeder: 'ABC123456789' });
+  logger.options.level = 'debug';
+
+  let lines = capture(() => {
+    child.debug('Data received', { ip: '127.0.0.1:1234', user: undefined });
+  });
+  let entry = JSON.parse(lines[0]);
+  expect(entry.level).toBe('debug');
+  expect(entry.module).toBe('coordinator');
+  expect(entry.feeder).toBe('ABC123456789');
+  expect(entry.ip).toBe('127.0.0.1:1234');
+  expect('user' in entry).toBe(false);
+  expect(logger.fields).toEqual({ module: 'coordinator' });
+});
+
+test('serializes errors', () => {
+  let logger = new Logger({}, { level: 'info', format: 'json' });
+  let err = new Error('Connection lost');
+  err.code = 'PROTOCOL_CONNECTION_LOST';
+  let entry = JSON.parse(capture(() => { logger.error('Query failed', { err: err }); })[0]);
+  expect(entry.err.message).toBe('Connection lost');
+  expect(entry.err.code).toBe('PROTOCOL_CONNECTION_LOST');
+  expect(entry.err.stack).toContain('Error: Connection lost');
+});
+
+test('formats as text', () => {
+  let logger = new Logger({ module: 'server' }, { level: 'info', format: 'text' });
+  let line = capture(() => { logger.info('Request refused', { status: 403 }); })[0];
+  expect(line).toMatch(/^\d{4}-\d{2}-\d{2}T[\d:.]+Z INFO Request refused module=server status=403$/);
+});
+
+test('is configured from the config', () => {
+  Logger.configure({ debug_mode: true });
+  expect(Logger.root.options).toEqual({ level: 'debug', format: 'json' });
+  Logger.configure({ log_level: 'error', log_format: 'text' });
+  expect(Logger.child({ module: 'database' }).options).toEqual({ level: 'error', format: 'text' });
+  expect(() => { Logger.configure({ log_level: 'verbose' }); }).toThrow();
+  Logger.configure({});
+});
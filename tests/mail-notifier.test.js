@@ -0,0 +1,95 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const EventEmitter = require('events');
+
+const MailNotifier = require("../src/mail-notifier");
+const MailTemplates = require("../src/mail-templates");
+
+test('MailTemplates.render() renders the empty alert', () => {
+  let mail = MailTemplates.render('empty', { feeder_name: 'Kitchen', data: { hours: 8, minutes: 5, amount: 15 } });
+  expect(mail.subject).toBe('Kitchen is empty');
+  expect(mail.text).toContain('The meal of 15g planned at 08:05 could not be given.');
+  expect(mail.html).toContain('<p>The meal of 15g planned at 08:05 could not be given.</p>');
+
+  // In the feeder zone, on the day it was planned
+  let date = new Date('2018-07-15T00:10:00Z');
+  expect(MailTemplates.render('empty', { timezone: 'Europe/Paris', date: date, data: { hours: 8, minutes: 5, amount: 15 } }).text).toContain('planned at 10:05 could');
+  expect(MailTemplates.render('empty', { timezone: 'America/New_York', date: date, data: { hours: 23, minutes: 30, amount: 15 } }).text).toContain('planned at 19:30 could');
+
+  expect(MailTemplates.render('empty', { feeder_name: '', data: { hours: 8, minutes: 5, amount: 15 } }).subject).toBe('Your feeder is empty');
+});
+
+test('MailTemplates.render() escapes html', () => {
+  let mail = MailTemplates.render('empty', { feeder_name: '<b>Tom & Jerry</b>', data: { hours: 8, minutes: 5, amount: 15 } });
+  expect(mail.text).toContain('<b>Tom & Jerry</b> is empty');
+  expect(mail.html).toContain('&lt;b&gt;Tom &amp; Jerry&lt;/b&gt; is empty');
+  expect(mail.html).not.toContain('<b>');
+});
+
+test('MailTemplates.render() renders invitations', () => {
+  let mail = MailTemplates.render('invitation', { feeder_name: 'Kitchen', inviter: 'owner@example.com', role: 'viewer', url: 'https://example.com/invitations/abc', valid_until: new Date('2018-03-28T12:00:00Z') });
+  expect(mail.subject).toBe('You are invited to use Kitchen');
+  expect(mail.text).toContain('owner@example.com invited you to use Kitchen as a viewer.');
+  expect(mail.text).toContain('before 2018-03-28');
+  expect(mail.html).toContain('<a href="https://example.com/invitations/abc">');
+});
+
+test('MailTemplates.render() renders transfers', () => {
+  let mail = MailTemplates.render('transfer', { feeder_name: '<Kitchen>', from: 'owner@example.com', valid_until: new Date('2018-03-28T12:00:00Z') });
+  expect(mail.subject).toBe('Become the owner of <Kitchen>');
+  expect(mail.text).toContain('owner@example.com wants to give you <Kitchen>.');
+  expect(mail.text).toContain('before 2018-03-28');
+  expect(mail.html).toContain('&lt;Kitchen&gt;');
+});
+
+test('MailTemplates.render() renders the account links', () => {
+  let verification = MailTemplates.render('verification', { url: 'https://example.com/verify/abc', valid_until: new Date('2018-03-28T12:00:00Z') });
+  expect(verification.text).toContain('before 2018-03-28');
+  expect(verification.html).toContain('<a href="https://example.com/verify/abc">');
+
+  let reset = MailTemplates.render('password_reset', { url: 'https://example.com/password/reset/abc' });
+  expect(reset.subject).toBe('Reset your password');
+  expect(reset.text).toContain('https://example.com/password/reset/abc');
+});
+
+test('MailTemplates.render() rejects unknown templates', () => {
+  expect(MailTemplates.exists('unknown')).toBe(false);
+  expect(() => MailTemplates.render('unknown', {})).toThrow();
+});
+
+test('alerts are emailed to the recipients', (done) => {
+  let coordinator = new EventEmitter();
+  let database = {
+    getAlertRecipients: () => Promise.resolve([{ email: 'owner@example.com', feeder_name: 'Kitchen', feeder_timezone: 'Europe/Paris' }]),
+  };
+  let mailer = {
+    send: (to, mail) => {
+      expect(to).toBe('owner@example.com');
+      expect(mail.subject).toBe('Kitchen is empty');
+      expect(mail.text).toContain('planned at 10:00 could');
+      done();
+      return Promise.resolve();
+    },
+  };
+
+  new MailNotifier(coordinator, database, mailer);
+  // No template for this one
+  coordinator.emit('alert', { identifier: 'ABC123456789', type: 'unknown', date: new Date(), data: {} });
+  coordinator.emit('alert', { identifier: 'ABC123456789', type: 'empty', date: new Date('2018-07-15T12:00:00Z'), data: { hours: 8, minutes: 0, amount: 10 } });
+});
@@ -0,0 +1,91 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const MessageCodec = require("../src/message-codec");
+const Meal = require("../src/models/meal");
+const Planning = require("../src/models/planning");
+
+test('MessageCodec.encode() builds messages sent to the feeder', () => {
+  expect(MessageCodec.encode('time', { hours: 16, minutes: 0 }).toString('hex')).toBe('9da106010000');
+  expect(MessageCodec.encode('time', { hours: 7, minutes: 1 }).toString('hex')).toBe('9da106010385');
+  expect(MessageCodec.encode('change_default_quantity', { amount: 12 }).toString('hex')).toBe('9da106c3000c');
+  expect(MessageCodec.encode('feed_now', { amount: 150 }).toString('hex')).toBe('9da106a20096');
+
+  let planning = new Planning([new Meal({ hours: 16, minutes: 30 }, 10), new Meal({ hours: 7, minutes: 1 }, 5)]);
+  expect(MessageCodec.encode('change_planning', { planning: planning }).toString('hex')).toBe('9da12dc402001e000a03850005' + '00'.repeat(32));
+});
+
+test('MessageCodec.encode() builds messages sent by the feeder', () => {
+  expect(MessageCodec.encode('identification', { identifier: 'ABC123456789' }).toString('hex')).toBe('9da11441424331323334353637383901d0010000');
+  expect(MessageCodec.encode('manual_meal', { identifier: 'ABC123456789', amount: 5 }).toString('hex')).toBe('9da1144142433132333435363738392103840005');
+  expect(MessageCodec.encode('empty_feeder', { identifier: 'ABC123456789', hours: 6, minutes: 53, amount: 30 }).toString('hex')).toBe('9da11441424331323334353637383921037d001e');
+  expect(MessageCodec.encode('expectation', { identifier: 'ABC123456789', action: 'change_default_quantity' }).toString('hex')).toBe('9da114414243313233343536373839c3d0a10000');
+  expect(MessageCodec.encode('expectation', { identifier: 'ABC123456789', action: 'change_planning' }).toString('hex')).toBe('9da114414243313233343536373839c4d0a10000');
+  expect(MessageCodec.encode('expectation', { identifier: 'ABC123456789', action: 'feed_now' }).toString('hex')).toBe('9da114414243313233343536373839a2d0a10000');
+});
+
+test('MessageCodec.encode() rejects unknown messages', () => {
+  expect(() => MessageCodec.encode('unknown')).toThrow();
+  expect(() => MessageCodec.encode('expectation', { identifier: 'ABC123456789', action: 'unknown' })).toThrow();
+
+  let meals = Array.from({ length: 11 }, (value, index) => new Meal({ hours: index, minutes: 0 }, 5));
+  expect(() => MessageCodec.encode('change_planning', { planning: new Planning(meals) })).toThrow('more than 10 meals');
+});
+
+test('MessageCodec.decode() is the reverse of MessageCodec.encode()', () => {
+  let messages = [
+    { type: 'time', hours: 23, minutes: 59 },
+    { type: 'change_default_quantity', amount: 42 },
+    { type: 'feed_now', amount: 5 },
+    { type: 'identification', identifier: 'ZYX987654321' },
+    { type: 'manual_meal', identifier: 'ZYX987654321', amount: 24 },
+    { type: 'empty_feeder', identifier: 'ZYX987654321', hours: 7, minutes: 1, amount: 5 },
+    { type: 'expectation', identifier: 'ZYX987654321', action: 'feed_now' },
+  ];
+  messages.forEach((message) => {
+    expect(MessageCodec.decode(MessageCodec.encode(message.type, message))).toEqual(message);
+  });
+
+  let planning = new Planning([new Meal({ hours: 8, minutes: 15 }, 20), new Meal({ hours: 19, minutes: 45 }, 35)]);
+  let decoded = MessageCodec.decode(MessageCodec.encode('change_planning', { planning: planning }));
+  expect(decoded.type).toBe('change_planning');
+  expect(decoded.planning.jsoned()).toEqual(planning.jsoned());
+});
+
+test('MessageCodec.decode() filters by direction', () => {
+  let identification = Buffer.from('9da11441424331323334353637383901d0010000', 'hex');
+  expect(MessageCodec.decode(identification, MessageCodec.FROM_FEEDER)).toEqual({ type: 'identification', identifier: 'ABC123456789' });
+  expect(MessageCodec.decode(identification, MessageCodec.TO_FEEDER)).toBeUndefined();
+
+  let feedNow = Buffer.from('9da106a20005', 'hex');
+  expect(MessageCodec.decode(feedNow, MessageCodec.TO_FEEDER)).toEqual({ type: 'feed_now', amount: 5 });
+  expect(MessageCodec.decode(feedNow, MessageCodec.FROM_FEEDER)).toBeUndefined();
+});
+
+test('MessageCodec.decode() does not recognize invalid messages', () => {
+  expect(MessageCodec.decode(Buffer.from('9da114414c', 'hex'))).toBeUndefined();
+  expect(MessageCodec.decode(Buffer.from('9da11441424331323334353637383901d00100', 'hex'))).toBeUndefined();
+  // Invalid character in identifier
+  expect(MessageCodec.decode(Buffer.from('9da1142d424331323334353637383901d0010000', 'hex'))).toBeUndefined();
+  // Out of range time
+  expect(MessageCodec.decode(Buffer.from('9da11441424331323334353637383921ffff001e', 'hex'))).toBeUndefined();
+  // Meals beyond the count, or unpadded planning
+  expect(MessageCodec.decode(Buffer.from('9da12dc401001e000a' + '01' + '00'.repeat(35), 'hex'))).toBeUndefined();
+  expect(MessageCodec.decode(Buffer.from('9da12dc401001e000a', 'hex'))).toBeUndefined();
+  expect(MessageCodec.decode(Buffer.alloc(0))).toBeUndefined();
+});
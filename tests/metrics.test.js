@@ -0,0 +1,80 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const express = require('express');
+const http = require('http');
+
+const CommandError = require("../src/command-error");
+const Metrics = require("../src/metrics");
+
+let request = (server, path, headers = {}) => {
+  return new Promise((resolve, reject) => {
+    http.get({ port: server.address().port, path: path, headers: headers }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => { resolve({ status: res.statusCode, body: body }); });
+    }).on('error', reject);
+  });
+};
+
+let server;
+
+beforeAll(() => {
+  let app = express();
+  app.get('/metrics', Metrics.endpoint({ metrics_token: 'secret' }));
+  app.use(Metrics.observeRequests());
+  let api = express.Router();
+  api.get('/feeder/:id', (req, res) => { res.json({ id: req.params.id }); });
+  app.use('/api', api);
+  return new Promise((resolve) => { server = app.listen(0, 'localhost', resolve); });
+});
+
+afterAll(() => {
+  return new Promise((resolve) => { server.close(resolve); });
+});
+
+test('requires the token to scrape', () => {
+  return request(server, '/metrics').then((response) => {
+    expect(response.status).toBe(401);
+  });
+});
+
+test('labels requests with the route pattern', () => {
+  return Promise.all([request(server, '/api/feeder/1'), request(server, '/api/feeder/2'), request(server, '/nothing')]).then(() => {
+    return request(server, '/metrics', { Authorization: 'Bearer secret' });
+  }).then((response) => {
+    expect(response.status).toBe(200);
+    expect(response.body).toContain('aln_http_request_duration_seconds_count{method="GET",route="/api/feeder/:id",status="200"} 2');
+    expect(response.body).toContain('aln_http_request_duration_seconds_count{method="GET",route="unmatched",status="404"} 1');
+  });
+});
+
+test('observes commands', () => {
+  let acknowledged = Metrics.observeCommand('feed_now', Promise.resolve());
+  let timedOut = Metrics.observeCommand('change_planning', Promise.reject(new CommandError('No answer', 'timeout')));
+
+  return Promise.all([acknowledged, timedOut.catch(() => {})]).then(() => {
+    return Metrics.register.getSingleMetricAsString('aln_feeder_command_duration_seconds');
+  }).then((metrics) => {
+    expect(metrics).toContain('aln_feeder_command_duration_seconds_count{action="feed_now",result="acknowledged"} 1');
+    expect(metrics).toContain('aln_feeder_command_duration_seconds_count{action="change_planning",result="timeout"} 1');
+    return Metrics.register.getSingleMetricAsString('aln_feeder_command_timeouts_total');
+  }).then((metrics) => {
+    expect(metrics).toContain('aln_feeder_command_timeouts_total{action="change_planning"} 1');
+  });
+});
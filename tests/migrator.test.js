@@ -0,0 +1,139 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Migrator = require("../src/migrator");
+
+/**
+ * Remembers the queries, and simulates the tables & the schema_migrations rows
+ */
+class FakeStorage {
+  constructor(tables = []) {
+    this.dialect = 'mysql';
+    this.tables = tables;
+    this.versions = [];
+    this.queries = [];
+  }
+  query(sql, values) {
+    this.queries.push(sql);
+    let result = [];
+    if (sql.startsWith('CREATE TABLE `schema_migrations`')) {
+      this.tables.push('schema_migrations');
+    } else if (sql.startsWith('INSERT INTO schema_migrations')) {
+      this.versions.push(values[0]);
+    } else if (sql.startsWith('DELETE FROM schema_migrations')) {
+      this.versions = this.versions.filter((version) => version !== values[0]);
+    } else if (sql.startsWith('SELECT version')) {
+      result = this.versions.map((version) => ({ version: version, applied: new Date() }));
+    }
+    return Promise.resolve(result);
+  }
+  execute(script) {
+    this.queries.push(script);
+    return script === 'FAIL' ? Promise.reject(new Error('Syntax error')) : Promise.resolve();
+  }
+  tableExists(table) {
+    return Promise.resolve(this.tables.indexOf(table) !== -1);
+  }
+}
+
+let directory;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  fs.writeFileSync(path.join(directory, '001_initial.up.sql'), 'CREATE TABLE feeders');
+  fs.writeFileSync(path.join(directory, '001_initial.down.sql'), 'DROP TABLE feeders');
+  fs.writeFileSync(path.join(directory, '002_alerts.up.sql'), 'CREATE TABLE alerts');
+  fs.writeFileSync(path.join(directory, '002_alerts.down.sql'), 'DROP TABLE alerts');
+  fs.writeFileSync(path.join(directory, 'README.md'), 'Not a migration');
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true });
+});
+
+test('every migration of the project has both scripts, in each dialect', () => {
+  let storage = new FakeStorage();
+  let mysql = new Migrator(storage).migrations();
+  storage.dialect = 'sqlite';
+  let sqlite = new Migrator(storage).migrations();
+
+  expect(mysql.length).toBeGreaterThan(0);
+  mysql.forEach((migration, index) => {
+    expect(migration.version).toBe(index + 1);
+  });
+  expect(sqlite.map((migration) => migration.name)).toEqual(mysql.map((migration) => migration.name));
+});
+
+test('refuses incomplete migrations', () => {
+  fs.unlinkSync(path.join(directory, '002_alerts.down.sql'));
+  expect(() => { new Migrator(new FakeStorage(), directory).migrations(); }).toThrow('Migration 2 needs both up and down scripts');
+});
+
+test('applies the migrations in order on an empty database', () => {
+  let storage = new FakeStorage();
+  let migrator = new Migrator(storage, directory);
+  return migrator.migrate().then((applied) => {
+    expect(applied.map((migration) => migration.version)).toEqual([1, 2]);
+    expect(storage.queries).toContain('CREATE TABLE feeders');
+    expect(storage.queries.indexOf('CREATE TABLE feeders')).toBeLessThan(storage.queries.indexOf('CREATE TABLE alerts'));
+    expect(storage.versions).toEqual([1, 2]);
+    return migrator.migrate();
+  }).then((applied) => {
+    expect(applied).toEqual([]);
+  });
+});
+
+test('considers the first migration applied on a database created before migrations', () => {
+  let storage = new FakeStorage(['feeders', 'users']);
+  let migrator = new Migrator(storage, directory);
+  return migrator.migrate().then((applied) => {
+    expect(applied.map((migration) => migration.version)).toEqual([2]);
+    expect(storage.queries).not.toContain('CREATE TABLE feeders');
+    expect(storage.versions).toEqual([1, 2]);
+  });
+});
+
+test('reverts the last migrations', () => {
+  let storage = new FakeStorage();
+  let migrator = new Migrator(storage, directory);
+  return migrator.migrate().then(() => {
+    return migrator.rollback();
+  }).then((reverted) => {
+    expect(reverted.map((migration) => migration.version)).toEqual([2]);
+    expect(storage.queries).toContain('DROP TABLE alerts');
+    expect(storage.versions).toEqual([1]);
+    return migrator.pending();
+  }).then((pending) => {
+    expect(pending.map((migration) => migration.name)).toEqual(['alerts']);
+  });
+});
+
+test('stops at the first failing migration', () => {
+  fs.writeFileSync(path.join(directory, '002_alerts.up.sql'), 'FAIL');
+  fs.writeFileSync(path.join(directory, '003_meals.up.sql'), 'CREATE TABLE meals');
+  fs.writeFileSync(path.join(directory, '003_meals.down.sql'), 'DROP TABLE meals');
+  let storage = new FakeStorage();
+  return expect(new Migrator(storage, directory).migrate()).rejects.toThrow('Syntax error').then(() => {
+    expect(storage.versions).toEqual([1]);
+    expect(storage.queries).not.toContain('CREATE TABLE meals');
+  });
+});
@@ -0,0 +1,115 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const EventEmitter = require('events');
+
+const MqttBridge = require("../src/mqtt-bridge");
+
+class FakeClient extends EventEmitter {
+  constructor() {
+    super();
+    this.published = {};
+    this.subscribed = [];
+  }
+  publish(topic, message) {
+    this.published[topic] = message;
+  }
+  subscribe(topics) {
+    this.subscribed = this.subscribed.concat(topics);
+  }
+}
+
+let database = {
+  getFeederByIdentifier: (identifier) => Promise.resolve({ id: 1, identifier: identifier, name: 'Kitchen', default_value: 12 }),
+};
+
+let setup = () => {
+  let coordinator = new EventEmitter();
+  coordinator.feeders = {};
+  coordinator.fed = [];
+  coordinator.feedNow = (identifier, quantity) => {
+    coordinator.fed.push({ identifier: identifier, amount: quantity.amount });
+    return Promise.resolve();
+  };
+  coordinator.setDefaultQuantity = (identifier, quantity) => Promise.resolve({ pending: false });
+
+  let client = new FakeClient();
+  new MqttBridge({}, coordinator, database, client);
+  client.emit('connect');
+  return { coordinator: coordinator, client: client };
+};
+
+test('subscribes to the command topics', () => {
+  let client = setup().client;
+  expect(client.subscribed).toEqual(['alnpet/+/feed/set', 'alnpet/+/default_quantity/set']);
+  expect(client.published['alnpet/bridge/availability']).toBe('online');
+});
+
+test('publishes availability and Home Assistant discovery when a feeder comes online', () => {
+  let bridge = setup();
+  bridge.coordinator.emit('activity', { identifier: 'ABC123456789', type: 'online', date: new Date(), data: {} });
+
+  return new Promise((resolve) => setImmediate(resolve)).then(() => {
+    let published = bridge.client.published;
+    expect(published['alnpet/ABC123456789/availability']).toBe('online');
+    expect(published['alnpet/ABC123456789/default_quantity']).toBe('12');
+
+    let button = JSON.parse(published['homeassistant/button/alnpet_ABC123456789/feed/config']);
+    expect(button.command_topic).toBe('alnpet/ABC123456789/feed/set');
+    expect(button.unique_id).toBe('alnpet_ABC123456789_feed');
+    expect(button.device.name).toBe('Kitchen');
+
+    let number = JSON.parse(published['homeassistant/number/alnpet_ABC123456789/default_quantity/config']);
+    expect(number.state_topic).toBe('alnpet/ABC123456789/default_quantity');
+    expect(number.min).toBe(5);
+    expect(number.max).toBe(150);
+
+    bridge.coordinator.emit('activity', { identifier: 'ABC123456789', type: 'offline', date: new Date(), data: {} });
+    expect(published['alnpet/ABC123456789/availability']).toBe('offline');
+  });
+});
+
+test('publishes meals and alerts', () => {
+  let bridge = setup();
+  let date = new Date('2018-03-21T08:00:00Z');
+  bridge.coordinator.emit('activity', { identifier: 'ABC123456789', type: 'manual_meal', date: date, data: { amount: 10 } });
+  expect(JSON.parse(bridge.client.published['alnpet/ABC123456789/last_meal'])).toEqual({ type: 'manual', date: '2018-03-21T08:00:00.000Z', amount: 10 });
+
+  bridge.coordinator.emit('activity', { identifier: 'ABC123456789', type: 'empty_feeder', date: date, data: { hours: 8, minutes: 0, amount: 15 } });
+  expect(JSON.parse(bridge.client.published['alnpet/ABC123456789/alert'])).toEqual({ type: 'empty', date: '2018-03-21T08:00:00.000Z', hours: 8, minutes: 0, amount: 15 });
+});
+
+test('feeds on command', () => {
+  let bridge = setup();
+  let bridgeInstance = new MqttBridge({}, bridge.coordinator, database, new FakeClient());
+  return bridgeInstance.messageReceived('alnpet/ABC123456789/feed/set', '20').then(() => {
+    return bridgeInstance.messageReceived('alnpet/ABC123456789/feed/set', 'PRESS');
+  }).then(() => {
+    expect(bridge.coordinator.fed).toEqual([{ identifier: 'ABC123456789', amount: 20 }, { identifier: 'ABC123456789', amount: 12 }]);
+  });
+});
+
+test('changes the default quantity on command', () => {
+  let bridge = setup();
+  let client = new FakeClient();
+  let bridgeInstance = new MqttBridge({}, bridge.coordinator, database, client);
+  return bridgeInstance.messageReceived('alnpet/ABC123456789/default_quantity/set', '25').then(() => {
+    expect(client.published['alnpet/ABC123456789/default_quantity']).toBe('25');
+    return expect(bridgeInstance.messageReceived('alnpet/ABC123456789/default_quantity/set', '500')).rejects.toMatch('out of bounds');
+  });
+});
@@ -0,0 +1,140 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const EventEmitter = require('events');
+
+/**
+ * Answers the queries with the next planned results, and remembers how connections are used
+ */
+class MockConnection extends EventEmitter {
+  constructor(pool) {
+    super();
+    this.pool = pool;
+    this.queries = [];
+    this.released = false;
+    this.destroyed = false;
+  }
+  query(options, callback) {
+    this.queries.push(options);
+    this.pool.queries.push(options);
+    let result = this.pool.results.shift();
+    setImmediate(() => {
+      if (result instanceof Error) {
+        callback(result);
+      } else {
+        callback(null, result);
+      }
+    });
+  }
+  beginTransaction(callback) { this.pool.statements.push('BEGIN'); setImmediate(callback); }
+  commit(callback) { this.pool.statements.push('COMMIT'); setImmediate(callback); }
+  rollback(callback) { this.pool.statements.push('ROLLBACK'); setImmediate(callback); }
+  release() { this.released = true; }
+  destroy() { this.destroyed = true; }
+}
+
+class MockPool {
+  constructor(options) {
+    this.options = options;
+    this.results = [];
+    this.queries = [];
+    this.statements = [];
+    this.connections = [];
+  }
+  query(options, callback) {
+    new MockConnection(this).query(options, callback);
+  }
+  getConnection(callback) {
+    let connection = new MockConnection(this);
+    this.connections.push(connection);
+    setImmediate(() => { callback(null, connection); });
+  }
+}
+
+jest.mock('mysql', () => ({
+  createPool: (options) => new MockPool(options),
+}));
+
+const MysqlStorage = require("../src/storage/mysql-storage");
+
+let lost = () => {
+  let err = new Error('Connection lost: The server closed the connection.');
+  err.code = 'PROTOCOL_CONNECTION_LOST';
+  err.fatal = true;
+  return err;
+};
+
+test('uses a pool, with query timeouts', () => {
+  let storage = new MysqlStorage({ mysql_host: 'localhost', mysql_connection_limit: 4, mysql_query_timeout: 2000 });
+  expect(storage.pool.options.connectionLimit).toBe(4);
+  expect(storage.pool.options.timezone).toBe('UTC');
+
+  storage.pool.results.push([{ id: 1 }]);
+  return storage.query('SELECT id FROM feeders WHERE identifier = ?', ['ABC123456789']).then((rows) => {
+    expect(rows).toEqual([{ id: 1 }]);
+    expect(storage.pool.queries[0]).toEqual({ sql: 'SELECT id FROM feeders WHERE identifier = ?', values: ['ABC123456789'], timeout: 2000 });
+  });
+});
+
+test('reads again when the connection was lost', () => {
+  let storage = new MysqlStorage({});
+  storage.pool.results.push(lost(), [{ id: 1 }]);
+  return storage.query('SELECT id FROM feeders').then((rows) => {
+    expect(rows).toEqual([{ id: 1 }]);
+    expect(storage.pool.queries.length).toBe(2);
+  });
+});
+
+test('does not write twice when the connection was lost', () => {
+  let storage = new MysqlStorage({});
+  storage.pool.results.push(lost(), { insertId: 1, affectedRows: 1 });
+  return expect(storage.query('INSERT INTO meals(feeder) VALUES (?)', [1])).rejects.toThrow('Connection lost').then(() => {
+    expect(storage.pool.queries.length).toBe(1);
+  });
+});
+
+test('runs each transaction on a connection of its own', () => {
+  let storage = new MysqlStorage({});
+  storage.pool.results.push({ insertId: 3, affectedRows: 1 }, { insertId: 4, affectedRows: 1 });
+  return storage.transaction((query) => {
+    return query('INSERT INTO plannings(feeder) VALUES (?)', [1]).then((result) => {
+      return query('INSERT INTO meals(planning) VALUES (?)', [result.insertId]);
+    }).then((result) => result.insertId);
+  }).then((result) => {
+    expect(result).toBe(4);
+    expect(storage.pool.statements).toEqual(['BEGIN', 'COMMIT']);
+    let connection = storage.pool.connections[0];
+    expect(connection.queries.map((query) => query.values)).toEqual([[1], [3]]);
+    expect(connection.released).toBe(true);
+  });
+});
+
+test('rolls back failed transactions, and drops lost connections', () => {
+  let storage = new MysqlStorage({});
+  storage.pool.results.push({ insertId: 3, affectedRows: 1 }, lost());
+  return expect(storage.transaction((query) => {
+    return query('INSERT INTO plannings(feeder) VALUES (?)', [1]).then(() => {
+      return query('INSERT INTO meals(planning) VALUES (?)', [3]);
+    });
+  })).rejects.toThrow('Connection lost').then(() => {
+    expect(storage.pool.statements).toEqual(['BEGIN', 'ROLLBACK']);
+    let connection = storage.pool.connections[0];
+    expect(connection.destroyed).toBe(true);
+    expect(connection.released).toBe(false);
+  });
+});
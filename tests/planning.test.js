@@ -78,3 +78,16 @@ test('jsoned() tests', () => {
   let meal4 = new Meal({ hours: 12, minutes: 45}, 40, false);
   expect(new Planning([meal1, meal2, meal4]).jsoned()).toEqual([{ time: { hours: 11, minutes: 30 }, quantity: 10, enabled: true }, { time: { hours: 17, minutes: 20 }, quantity: 15, enabled: true }, { time: { hours: 12, minutes: 45 }, quantity: 40, enabled: false }]);
 });
+
+test('utc() tests', () => {
+  const Timezone = require("../src/models/timezone");
+  let meal1 = new Meal({ hours: 8, minutes: 0 }, 10);
+  let meal2 = new Meal({ hours: 0, minutes: 30 }, 15, false);
+  let planning = new Planning([meal1, meal2]);
+
+  let winter = planning.utc(new Timezone('Europe/Paris'), new Date('2018-01-15T12:00:00Z'));
+  expect(winter.jsoned()).toEqual([{ time: { hours: 7, minutes: 0 }, quantity: 10, enabled: true }, { time: { hours: 23, minutes: 30 }, quantity: 15, enabled: false }]);
+  let summer = planning.utc(new Timezone('Europe/Paris'), new Date('2018-07-15T12:00:00Z'));
+  expect(summer.jsoned()).toEqual([{ time: { hours: 6, minutes: 0 }, quantity: 10, enabled: true }, { time: { hours: 22, minutes: 30 }, quantity: 15, enabled: false }]);
+  expect(planning.utc(new Timezone()).jsoned()).toEqual(planning.jsoned());
+});
@@ -0,0 +1,117 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const http2 = require('http2');
+const jwt = require('jsonwebtoken');
+const os = require('os');
+const path = require('path');
+
+const ApnsTransport = require("../src/apns-transport");
+const PushNotifier = require("../src/push-notifier");
+
+let removed;
+let database = {
+  getDeviceTokensByIdentifier: () => Promise.resolve([
+    { token: 'aaaa', feeder: 1, feeder_name: 'Kitchen' },
+    { token: 'bbbb', feeder: 1, feeder_name: '' },
+  ]),
+  removeDeviceToken: (token) => {
+    removed.push(token);
+    return Promise.resolve(true);
+  },
+};
+
+beforeEach(() => {
+  removed = [];
+});
+
+test('notificationFor() only handles meals and empty feeders', () => {
+  expect(PushNotifier.notificationFor({ type: 'manual_meal', data: { amount: 10 } })).toEqual({ title: 'Meal given', body: '10g were given using the feeder button.' });
+  expect(PushNotifier.notificationFor({ type: 'empty_feeder', data: { hours: 8, minutes: 0, amount: 15 } }).title).toBe('Feeder is empty');
+  expect(PushNotifier.notificationFor({ type: 'online', data: {} })).toBeUndefined();
+});
+
+test('notify() sends to every device, and removes invalid tokens', () => {
+  let sent = [];
+  let transport = {
+    send: (token, payload) => {
+      sent.push({ token: token, payload: payload });
+      return Promise.resolve(token === 'aaaa' ? { status: 200 } : { status: 410, reason: 'Unregistered' });
+    },
+  };
+
+  let notifier = new PushNotifier(new EventEmitter(), database, transport);
+  return notifier.notify('ABC123456789', { title: 'Feeder is empty', body: 'Refill' }).then(() => {
+    expect(sent.map((notification) => notification.token)).toEqual(['aaaa', 'bbbb']);
+    expect(sent[0].payload.aps.alert).toEqual({ title: 'Kitchen: Feeder is empty', body: 'Refill' });
+    expect(sent[1].payload.aps.alert).toEqual({ title: 'Feeder is empty', body: 'Refill' });
+    expect(removed).toEqual(['bbbb']);
+  });
+});
+
+test('ApnsTransport sends signed requests to APNs', (done) => {
+  let keys = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  let keyPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'apns-')), 'key.p8');
+  fs.writeFileSync(keyPath, keys.privateKey.export({ type: 'pkcs8', format: 'pem' }));
+
+  // A local mock of APNs, without TLS
+  let server = http2.createServer();
+  server.on('stream', (stream, headers) => {
+    let body = '';
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => { body += chunk; });
+    stream.on('end', () => {
+      let token = headers.authorization.replace('bearer ', '');
+      let decoded = jwt.verify(token, keys.publicKey.export({ type: 'spki', format: 'pem' }), { complete: true });
+      expect(decoded.header.kid).toBe('KEY1234567');
+      expect(decoded.payload.iss).toBe('TEAM123456');
+      expect(headers['apns-topic']).toBe('fr.thomasdurand.aln');
+      expect(JSON.parse(body)).toEqual({ aps: { alert: 'Hello' } });
+
+      if (headers[':path'] === '/3/device/aaaa') {
+        stream.respond({ ':status': 200 });
+        stream.end();
+      } else {
+        stream.respond({ ':status': 400, 'content-type': 'application/json' });
+        stream.end(JSON.stringify({ reason: 'BadDeviceToken' }));
+      }
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    let transport = new ApnsTransport({
+      apns_url: 'http://127.0.0.1:' + server.address().port,
+      key_id: 'KEY1234567',
+      key_path: keyPath,
+      ios_team_identifier: 'TEAM123456',
+      ios_bundle_identifier: 'fr.thomasdurand.aln',
+    });
+
+    Promise.all([
+      transport.send('aaaa', { aps: { alert: 'Hello' } }),
+      transport.send('cccc', { aps: { alert: 'Hello' } }),
+    ]).then((results) => {
+      expect(results).toEqual([{ status: 200, reason: undefined }, { status: 400, reason: 'BadDeviceToken' }]);
+      transport.close();
+      server.close(done);
+    }).catch(done);
+  });
+});
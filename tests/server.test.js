@@ -0,0 +1,447 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const express = require('express');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+
+const CryptoHelper = require("../src/crypto-helper");
+const DataBaseCoordinator = require("../src/database-coordinator");
+const Logger = require("../src/logger");
+const Server = require("../src/server");
+
+const config = { base_url: 'https://aln.example.com', hmac_secret: 'secret' };
+
+let database, session, server, mails;
+let identityKey, identityServer;
+
+// An identity provider serving its keys locally
+beforeAll((done) => {
+  identityKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  let jwk = identityKey.publicKey.export({ format: 'jwk' });
+  identityServer = http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ keys: [{ kty: 'RSA', kid: 'key', use: 'sig', alg: 'RS256', n: jwk.n, e: jwk.e }] }));
+  });
+  identityServer.listen(0, '127.0.0.1', () => {
+    config.oidc_providers = {
+      sso: { issuer: 'https://sso.example.com', jwks_url: 'http://127.0.0.1:' + identityServer.address().port + '/certs', client_id: 'aln' },
+    };
+    done();
+  });
+});
+
+afterAll((done) => {
+  identityServer.close(done);
+});
+
+// Runs the API against an in-memory SQLite database, with a session faked by the tests
+beforeEach(() => {
+  database = new DataBaseCoordinator({ storage: 'sqlite', sqlite_path: ':memory:' });
+  session = { id: 'session', destroy: (callback) => { delete session.user; callback(); } };
+  mails = [];
+
+  let feederCoordinator = new EventEmitter();
+  feederCoordinator.feedNow = () => Promise.resolve();
+  let mailer = { send: (to, mail) => { mails.push({ to: to, mail: mail }); return Promise.resolve(); } };
+
+  let app = express();
+  app.use((req, res, next) => {
+    req.session = session;
+    req.log = Logger.child({});
+    next();
+  });
+  app.use('/api', Server.createApiRouter(feederCoordinator, database, config, mailer));
+  app.use('/', Server.createWebRouter(config, database));
+
+  return database.ready.then(() => {
+    return database.registerFeeder('ABC123456789', '::ffff:127.0.0.1:1234');
+  }).then(() => {
+    return database.createUser({ identity: { provider: 'apple', subject: 'owner' }, email: 'owner@example.com', shown_email: 'owner@example.com' });
+  }).then((user_id) => {
+    return database.claimFeeder('ABC123456789', user_id);
+  }).then(() => {
+    return new Promise((resolve) => { server = app.listen(0, '127.0.0.1', resolve); });
+  });
+});
+
+afterEach(() => {
+  return new Promise((resolve) => server.close(resolve)).then(() => database.storage.end());
+});
+
+/**
+ * @param {number|undefined} user_id the user of the session
+ * @return Promise
+ */
+let login = (user_id) => {
+  if (user_id === undefined) {
+    delete session.user;
+    return Promise.resolve();
+  }
+  return database.getUserById(user_id).then((user) => {
+    session.user = user.jsoned();
+  });
+};
+
+/**
+ * @param {string} method
+ * @param {string} path
+ * @param {Object|string|undefined} body sent as JSON, unless it's already a string
+ * @param {Object} headers the CSRF token of the session is sent unless given
+ * @return {Promise<{status: number, body: *}>}
+ */
+let request = (method, path, body = undefined, headers = {}) => {
+  return new Promise((resolve, reject) => {
+    let options = {
+      host: '127.0.0.1',
+      port: server.address().port,
+      method: method,
+      path: path,
+      headers: Object.assign({ 'content-type': 'application/json', 'x-csrf-token': CryptoHelper.hashBase64('csrf', session.id + config.hmac_secret) }, headers),
+    };
+    let req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        let json = (res.headers['content-type'] || '').indexOf('application/json') !== -1;
+        resolve({ status: res.statusCode, body: json ? JSON.parse(data) : data });
+      });
+    });
+    req.on('error', reject);
+    req.end(body === undefined || typeof body === 'string' ? body : JSON.stringify(body));
+  });
+};
+
+/**
+ * @param {string} email
+ * @param {string} role
+ * @return {Promise<string>} the token sent in the invitation link
+ */
+let invite = (email, role) => {
+  return login(1).then(() => {
+    return request('POST', '/api/feeder/1/invitations', { email: email, role: role });
+  }).then((res) => {
+    expect(res.status).toBe(200);
+    let mail = mails.pop();
+    expect(mail.to).toBe(email);
+    return mail.mail.text.match(/https:\/\/aln\.example\.com(\/invitations\/[0-9a-f]+)/)[1];
+  });
+};
+
+test('invites members with a link', () => {
+  let link;
+  return invite('guest@example.com', 'caregiver').then((path) => {
+    link = path;
+    return request('GET', '/api/feeder/1/invitations');
+  }).then((res) => {
+    expect(res.body.map((invitation) => invitation.email)).toEqual(['guest@example.com']);
+    // Opened without the app
+    return request('GET', link);
+  }).then((res) => {
+    expect(res.status).toBe(200);
+    expect(res.body).toMatch(/app is installed/);
+    return database.createUser({ identity: { provider: 'apple', subject: 'guest' }, email: 'guest@example.com', shown_email: 'guest@example.com' });
+  }).then((user_id) => {
+    return login(user_id);
+  }).then(() => {
+    return request('POST', '/api/invitations/accept', { token: link.split('/').pop() });
+  }).then((res) => {
+    expect(res.status).toBe(200);
+    expect(res.body.role).toBe('caregiver');
+    expect(res.body.user.feeders).toEqual([{ id: 1, role: 'caregiver', defaultAmount: 5 }]);
+    // Only once
+    return request('POST', '/api/invitations/accept', { token: link.split('/').pop() });
+  }).then((res) => {
+    expect(res.status).toBe(404);
+    return request('GET', '/api/feeder/1/members');
+  }).then((res) => {
+    expect(res.status).toBe(200);
+    expect(res.body.map((member) => member.role)).toEqual(['owner', 'caregiver']);
+    // Only the owner sees the invitations
+    return request('GET', '/api/feeder/1/invitations');
+  }).then((res) => {
+    expect(res.status).toBe(403);
+  });
+});
+
+test('lets the owner manage the members, who may leave', () => {
+  return invite('guest@example.com', 'caregiver').then((link) => {
+    return database.createUser({ identity: { provider: 'apple', subject: 'guest' }, email: 'guest@example.com', shown_email: 'guest@example.com' }).then((user_id) => {
+      return login(user_id);
+    }).then(() => {
+      return request('POST', '/api/invitations/accept', { token: link.split('/').pop() });
+    });
+  }).then(() => {
+    // Members cannot change roles, nor remove others
+    return request('PUT', '/api/feeder/1/members/2', { role: 'owner' });
+  }).then((res) => {
+    expect(res.status).toBe(403);
+    return request('DELETE', '/api/feeder/1/members/1');
+  }).then((res) => {
+    expect(res.status).toBe(403);
+    return login(1);
+  }).then(() => {
+    return request('PUT', '/api/feeder/1/members/2', { role: 'viewer' });
+  }).then((res) => {
+    expect(res.status).toBe(200);
+    return request('GET', '/api/feeder/1/members');
+  }).then((res) => {
+    expect(res.body.map((member) => member.role)).toEqual(['owner', 'viewer']);
+    return login(2);
+  }).then(() => {
+    // Viewers cannot feed
+    return request('POST', '/api/feeder/1/feed', { quantity: 10 });
+  }).then((res) => {
+    expect(res.status).toBe(403);
+    return request('DELETE', '/api/feeder/1/members/2');
+  }).then((res) => {
+    expect(res.status).toBe(200);
+    return request('GET', '/api/feeder/1');
+  }).then((res) => {
+    expect(res.status).toBe(404);
+  });
+});
+
+/**
+ * @param {string} path
+ * @param {string} body
+ * @return {Promise<{status: number, body: string}>}
+ */
+let submit = (path, body = '') => {
+  return request('POST', path, body, { 'content-type': 'application/x-www-form-urlencoded' });
+};
+
+/**
+ * @param {RegExp} path
+ * @return {string} the path of the link in the last email sent
+ */
+let linkSent = (path) => {
+  let match = mails.pop().mail.text.match(new RegExp('https://aln\\.example\\.com(' + path.source + ')'));
+  return match[1];
+};
+
+test('confirms emails with the link sent', () => {
+  let link;
+  return request('POST', '/api/user/register', { email: 'user@example.com', password: 'password' }).then((res) => {
+    expect(res.status).toBe(200);
+    link = linkSent(/\/verify\/[0-9a-f]+/);
+    return request('POST', '/api/user/login', { email: 'user@example.com', password: 'password' });
+  }).then((res) => {
+    expect(res.status).toBe(403);
+    return request('GET', link);
+  }).then((res) => {
+    // Opening the link is not enough
+    expect(res.status).toBe(200);
+    expect(res.body).toMatch(/<form method="post">/);
+    return submit(link);
+  }).then((res) => {
+    expect(res.status).toBe(200);
+    expect(res.body).toMatch(/is confirmed/);
+    return submit(link);
+  }).then((res) => {
+    expect(res.status).toBe(404);
+    expect(res.body).toMatch(/already been used/);
+    return Promise.all([request('GET', '/verify/not-a-token'), request('POST', '/api/user/login', { email: 'user@example.com', password: 'password' })]);
+  }).then((results) => {
+    expect(results[0].status).toBe(404);
+    expect(results[1].status).toBe(200);
+  });
+});
+
+/**
+ * @param {Object} payload
+ * @return {string} an identity token of the local provider
+ */
+let identityToken = (payload) => {
+  let pem = identityKey.privateKey.export({ type: 'pkcs1', format: 'pem' });
+  return jwt.sign(payload, pem, { algorithm: 'RS256', keyid: 'key', issuer: 'https://sso.example.com', audience: 'aln', expiresIn: 60 });
+};
+
+test('only trusts the emails verified by the identity provider', () => {
+  let link;
+  let token = identityToken({ sub: 'intruder' });
+  // The email given by the app is only confirmed by its owner
+  return request('POST', '/api/user/login/sso', { identityToken: token, email: 'victim@example.com' }).then((res) => {
+    expect(res.status).toBe(200);
+    expect(mails[0].to).toBe('victim@example.com');
+    link = linkSent(/\/verify\/[0-9a-f]+/);
+    return database.getUserByEmail('victim@example.com');
+  }).then((user) => {
+    expect(user.email_verified).toBeNull();
+    return login(undefined);
+  }).then(() => {
+    token = identityToken({ sub: 'user', email: 'user@example.com', email_verified: true });
+    return request('POST', '/api/user/login/sso', { identityToken: token });
+  }).then((res) => {
+    expect(res.status).toBe(200);
+    expect(mails).toEqual([]);
+    return database.getUserByEmail('user@example.com');
+  }).then((user) => {
+    expect(user.email_verified).not.toBeNull();
+    return submit(link);
+  }).then((res) => {
+    expect(res.status).toBe(200);
+    return database.getUserByEmail('victim@example.com');
+  }).then((user) => {
+    expect(user.email_verified).not.toBeNull();
+  });
+});
+
+test('resets passwords with the link sent', () => {
+  let link;
+  return database.createUser({ email: 'user@example.com', shown_email: 'user@example.com', password: 'unknown' }).then(() => {
+    return request('POST', '/api/user/password/forgot', { email: 'user@example.com' });
+  }).then((res) => {
+    expect(res.status).toBe(200);
+    link = linkSent(/\/password\/reset\/[0-9a-f]+/);
+    return request('GET', link);
+  }).then((res) => {
+    expect(res.status).toBe(200);
+    expect(res.body).toMatch(/<input type="password" name="password"/);
+    return submit(link, 'password=short');
+  }).then((res) => {
+    // The form is shown again
+    expect(res.status).toBe(400);
+    expect(res.body).toMatch(/8 characters or more/);
+    expect(res.body).toMatch(/<form method="post">/);
+    return submit(link, 'password=' + encodeURIComponent('new password'));
+  }).then((res) => {
+    expect(res.status).toBe(200);
+    expect(res.body).toMatch(/has been changed/);
+    return submit(link, 'password=' + encodeURIComponent('other password'));
+  }).then((res) => {
+    expect(res.status).toBe(404);
+    return request('POST', '/api/user/login', { email: 'user@example.com', password: 'new password' });
+  }).then((res) => {
+    expect(res.status).toBe(200);
+  });
+});
+
+/**
+ * @param {string[]} scopes
+ * @param {number[]|undefined} feeders
+ * @return {Promise<string>} the access token, once the session is over
+ */
+let createAccessToken = (scopes, feeders = undefined) => {
+  return login(1).then(() => {
+    return request('POST', '/api/user/tokens', { name: 'Script', scopes: scopes, feeders: feeders });
+  }).then((res) => {
+    expect(res.status).toBe(200);
+    return login(undefined).then(() => res.body.token);
+  });
+};
+
+test('only lets access tokens use the routes of their scopes', () => {
+  let bearer;
+  return createAccessToken(['read']).then((token) => {
+    bearer = { authorization: 'Bearer ' + token };
+    return request('GET', '/api/feeder/1/alerts', undefined, bearer);
+  }).then((res) => {
+    expect(res.status).toBe(200);
+    return request('POST', '/api/feeder/1/feed', { quantity: 10 }, bearer);
+  }).then((res) => {
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Not allowed with this access token');
+    // Nor the routes reserved to sessions
+    return Promise.all([request('DELETE', '/api/feeder/1', undefined, bearer), request('GET', '/api/user/tokens', undefined, bearer)]);
+  }).then((results) => {
+    expect(results.map((res) => res.status)).toEqual([403, 403]);
+    expect(session.user).toBe(undefined);
+    return database.getFeederByIdentifier('ABC123456789');
+  }).then((feeder) => {
+    expect(feeder.owner).toBe(1);
+    return request('GET', '/api/feeder/1/alerts', undefined, { authorization: 'Bearer 0123456789abcdef' });
+  }).then((res) => {
+    expect(res.status).toBe(401);
+  });
+});
+
+test('only lets access tokens use the feeders they are restricted to', () => {
+  let bearer;
+  return database.registerFeeder('DEF123456789', '::ffff:127.0.0.1:1234').then(() => {
+    return database.claimFeeder('DEF123456789', 1);
+  }).then(() => {
+    return createAccessToken(['feed'], [1]);
+  }).then((token) => {
+    bearer = { authorization: 'Bearer ' + token };
+    return request('POST', '/api/feeder/1/feed', { quantity: 10 }, bearer);
+  }).then((res) => {
+    expect(res.status).toBe(200);
+    return request('POST', '/api/feeder/2/feed', { quantity: 10 }, bearer);
+  }).then((res) => {
+    expect(res.status).toBe(404);
+  });
+});
+
+test('does not check the CSRF token of access tokens', () => {
+  let token;
+  return createAccessToken(['feed']).then((value) => {
+    token = value;
+    return login(1);
+  }).then(() => {
+    // Browsers send the session cookie by themselves, not the access tokens
+    return request('POST', '/api/feeder/1/feed', { quantity: 10 }, { 'x-csrf-token': 'forged' });
+  }).then((res) => {
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('CSRF token check failed');
+    return request('POST', '/api/feeder/1/feed', { quantity: 10 }, { 'x-csrf-token': 'forged', authorization: 'Bearer ' + token });
+  }).then((res) => {
+    expect(res.status).toBe(200);
+  });
+});
+
+test('lists the alerts of a known type only', () => {
+  return database.logAlert('ABC123456789', 'empty', { hours: 8, minutes: 0, amount: 10 }).then(() => {
+    return login(1);
+  }).then(() => {
+    return request('GET', '/api/feeder/1/alerts?type=empty');
+  }).then((res) => {
+    expect(res.status).toBe(200);
+    expect(res.body.map((alert) => alert.type)).toEqual(['empty']);
+    return request('GET', '/api/feeder/1/alerts?type=unknown');
+  }).then((res) => {
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid alert type');
+    return request('GET', '/api/feeder/1/alerts?type[]=empty&type[]=other');
+  }).then((res) => {
+    expect(res.status).toBe(400);
+  });
+});
+
+test('only acknowledges the unread alerts of the feeder', () => {
+  let alert;
+  return database.logAlert('ABC123456789', 'empty', { hours: 8, minutes: 0, amount: 10 }).then(() => {
+    return login(1);
+  }).then(() => {
+    return request('GET', '/api/feeder/1/alerts');
+  }).then((res) => {
+    alert = res.body[0].id;
+    return request('POST', '/api/feeder/1/alerts/' + alert + '/acknowledge');
+  }).then((res) => {
+    expect(res.body).toEqual({ success: true, acknowledged: 1 });
+    return Promise.all([
+      request('POST', '/api/feeder/1/alerts/' + alert + '/acknowledge'),
+      request('POST', '/api/feeder/1/alerts/' + (alert + 1) + '/acknowledge'),
+    ]);
+  }).then((results) => {
+    expect(results.map((res) => res.status)).toEqual([404, 404]);
+    expect(results[1].body.message).toBe('Alert not found');
+  });
+});
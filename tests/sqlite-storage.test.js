@@ -0,0 +1,129 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const session = require('express-session');
+
+const Migrator = require("../src/migrator");
+const Storage = require("../src/storage/storage");
+
+let storage;
+
+beforeEach(() => {
+  storage = Storage.create({ storage: 'sqlite', sqlite_path: ':memory:' });
+  return storage.connect();
+});
+
+afterEach(() => {
+  return storage.end();
+});
+
+test('gives back rows, dates and insert ids like the mysql driver', () => {
+  return storage.execute('CREATE TABLE things (id integer PRIMARY KEY AUTOINCREMENT, day date, seen datetime, name varchar(16), data blob)').then(() => {
+    return storage.query('INSERT INTO things(day, seen, name, data) VALUES (?, ?, ?, ?)', ['2018-03-21', new Date('2018-03-21T08:00:00Z'), undefined, Buffer.from([1, 2])]);
+  }).then((result) => {
+    expect(result).toEqual({ insertId: 1, affectedRows: 1 });
+    return storage.query('SELECT * FROM things WHERE id = ?', [result.insertId]);
+  }).then((rows) => {
+    expect(rows).toEqual([{ id: 1, day: new Date('2018-03-21T00:00:00Z'), seen: new Date('2018-03-21T08:00:00Z'), name: null, data: Buffer.from([1, 2]) }]);
+  });
+});
+
+test('rolls back failed transactions, and commits the others', () => {
+  return storage.execute('CREATE TABLE things (id integer PRIMARY KEY, name varchar(16) NOT NULL)').then(() => {
+    return storage.transaction((query) => {
+      return query('INSERT INTO things(id, name) VALUES (?, ?)', [1, 'first']).then(() => {
+        return query('INSERT INTO things(id, name) VALUES (?, ?)', [2, null]);
+      });
+    });
+  }).then(() => {
+    throw new Error('The transaction should fail');
+  }, (err) => {
+    expect(err.code).toBe('SQLITE_CONSTRAINT_NOTNULL');
+    return storage.transaction((query) => query('INSERT INTO things(id, name) VALUES (?, ?)', [3, 'third']).then(() => 'done'));
+  }).then((result) => {
+    expect(result).toBe('done');
+    return storage.query('SELECT id FROM things');
+  }).then((rows) => {
+    expect(rows).toEqual([{ id: 3 }]);
+  });
+});
+
+test('queries wait for the transaction in progress', () => {
+  let order = [];
+  return storage.execute('CREATE TABLE things (id integer PRIMARY KEY)').then(() => {
+    let transaction = storage.transaction((query) => {
+      return new Promise((resolve) => setTimeout(resolve, 10)).then(() => {
+        order.push('transaction');
+        return query('INSERT INTO things(id) VALUES (1)');
+      });
+    });
+    let select = storage.query('SELECT COUNT(*) as count FROM things').then((rows) => {
+      order.push('select');
+      return rows[0].count;
+    });
+    return Promise.all([transaction, select]);
+  }).then((results) => {
+    expect(order).toEqual(['transaction', 'select']);
+    expect(results[1]).toBe(1);
+  });
+});
+
+test('applies and reverts every migration', () => {
+  let migrator = new Migrator(storage);
+  return migrator.migrate().then((applied) => {
+    expect(applied.length).toBe(migrator.migrations().length);
+    return storage.tableExists('webhook_deliveries');
+  }).then((exists) => {
+    expect(exists).toBe(true);
+    return migrator.rollback(migrator.migrations().length);
+  }).then(() => {
+    return Promise.all([storage.tableExists('feeders'), storage.tableExists('schema_migrations')]);
+  }).then((exists) => {
+    expect(exists).toEqual([false, true]);
+  });
+});
+
+test('stores sessions', () => {
+  let store = storage.sessionStore(session);
+  let call = (method, ...args) => new Promise((resolve, reject) => {
+    store[method](...args, (err, result) => err ? reject(err) : resolve(result));
+  });
+  let expires = new Date(Date.now() + 60000);
+
+  return call('set', 'sid', { cookie: { expires: expires }, user: { id: 1 } }).then(() => {
+    return call('get', 'sid');
+  }).then((data) => {
+    expect(data.user).toEqual({ id: 1 });
+    return call('set', 'sid', { cookie: { expires: expires }, user: { id: 2 } });
+  }).then(() => {
+    return call('get', 'sid');
+  }).then((data) => {
+    expect(data.user).toEqual({ id: 2 });
+    return call('set', 'expired', { cookie: { expires: new Date(Date.now() - 1000) } });
+  }).then(() => {
+    return call('get', 'expired');
+  }).then((data) => {
+    expect(data).toBe(null);
+    return call('destroy', 'sid');
+  }).then(() => {
+    return call('get', 'sid');
+  }).then((data) => {
+    expect(data).toBe(null);
+    clearInterval(store.timer);
+  });
+});
@@ -0,0 +1,88 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED 'AS IS' AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const Time = require("../src/models/time");
+const Timezone = require("../src/models/timezone");
+
+test('isValid() tests', () => {
+  expect(Timezone.isValid('UTC')).toBe(true);
+  expect(Timezone.isValid('Europe/Paris')).toBe(true);
+  expect(Timezone.isValid('America/New_York')).toBe(true);
+  expect(Timezone.isValid('Mars/Olympus_Mons')).toBe(false);
+  expect(Timezone.isValid('')).toBe(false);
+  expect(Timezone.isValid(undefined)).toBe(false);
+  expect(() => new Timezone('Mars/Olympus_Mons')).toThrow();
+});
+
+test('offset() tests', () => {
+  let paris = new Timezone('Europe/Paris');
+  expect(paris.offset(new Date('2018-01-15T12:00:00Z'))).toBe(60);
+  expect(paris.offset(new Date('2018-07-15T12:00:00Z'))).toBe(120);
+  // Transition happens at 01:00 UTC
+  expect(paris.offset(new Date('2018-03-25T00:59:00Z'))).toBe(60);
+  expect(paris.offset(new Date('2018-03-25T01:00:00Z'))).toBe(120);
+  expect(new Timezone('America/New_York').offset(new Date('2018-01-15T12:00:00Z'))).toBe(-300);
+  expect(new Timezone('Asia/Kolkata').offset(new Date('2018-01-15T12:00:00Z'))).toBe(330);
+  expect(new Timezone().offset()).toBe(0);
+});
+
+test('day() tests', () => {
+  expect(new Timezone('Europe/Paris').day(new Date('2018-01-15T23:30:00Z'))).toBe('2018-01-16');
+  expect(new Timezone('America/New_York').day(new Date('2018-01-15T03:00:00Z'))).toBe('2018-01-14');
+  expect(new Timezone().day(new Date('2018-01-15T23:30:00Z'))).toBe('2018-01-15');
+});
+
+test('format() tests', () => {
+  expect(new Timezone('Europe/Paris').format(new Date('2018-01-15T23:30:00Z'))).toBe('2018-01-16 00:30');
+  expect(new Timezone('America/New_York').format(new Date('2018-07-15T12:05:00Z'))).toBe('2018-07-15 08:05');
+  expect(new Timezone().format(new Date('2018-07-15T12:05:00Z'))).toBe('2018-07-15 12:05');
+});
+
+test('instant() tests', () => {
+  let paris = new Timezone('Europe/Paris');
+  expect(paris.instant('2018-01-15', new Time(8, 0)).toJSON()).toBe('2018-01-15T07:00:00.000Z');
+  expect(paris.instant('2018-07-15', new Time(8, 0)).toJSON()).toBe('2018-07-15T06:00:00.000Z');
+  expect(paris.instant('2018-07-15', new Time(0, 30)).toJSON()).toBe('2018-07-14T22:30:00.000Z');
+  // Around the transitions
+  expect(paris.instant('2018-03-25', new Time(1, 30)).toJSON()).toBe('2018-03-25T00:30:00.000Z');
+  expect(paris.instant('2018-03-25', new Time(2, 30)).toJSON()).toBe('2018-03-25T01:30:00.000Z');
+  expect(paris.instant('2018-03-25', new Time(3, 30)).toJSON()).toBe('2018-03-25T01:30:00.000Z');
+  expect(paris.instant('2018-10-28', new Time(4, 0)).toJSON()).toBe('2018-10-28T03:00:00.000Z');
+});
+
+test('offsetRanges() tests', () => {
+  let paris = new Timezone('Europe/Paris');
+  let bounds = ['2018-03-24', '2018-03-25', '2018-03-26', '2018-03-27'].map((day) => paris.instant(day, new Time(0, 0)));
+  let jsoned = (ranges) => ranges.map((range) => ({ begin: range.begin.toJSON(), end: range.end.toJSON(), offset: range.offset }));
+  expect(jsoned(paris.offsetRanges(bounds))).toEqual([
+    { begin: '2018-03-23T23:00:00.000Z', end: '2018-03-25T01:00:00.000Z', offset: 60 },
+    { begin: '2018-03-25T01:00:00.000Z', end: '2018-03-26T22:00:00.000Z', offset: 120 },
+  ]);
+  expect(jsoned(paris.offsetRanges(bounds.slice(2)))).toEqual([
+    { begin: '2018-03-25T22:00:00.000Z', end: '2018-03-26T22:00:00.000Z', offset: 120 },
+  ]);
+  expect(paris.offsetRanges(bounds.slice(3))).toEqual([]);
+});
+
+test('toUtc() tests', () => {
+  let paris = new Timezone('Europe/Paris');
+  expect(paris.toUtc(new Time(8, 0), new Date('2018-01-15T12:00:00Z')).jsoned()).toEqual({ hours: 7, minutes: 0 });
+  expect(paris.toUtc(new Time(8, 0), new Date('2018-07-15T12:00:00Z')).jsoned()).toEqual({ hours: 6, minutes: 0 });
+  let newYork = new Timezone('America/New_York');
+  expect(newYork.toUtc(new Time(20, 15), new Date('2018-07-15T12:00:00Z')).jsoned()).toEqual({ hours: 0, minutes: 15 });
+});
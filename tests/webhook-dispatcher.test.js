@@ -0,0 +1,167 @@
+/*
+Copyright (C) 2018 Dean151 a.k.a. Thomas Durand
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+*/
+
+"use strict";
+
+const EventEmitter = require('events');
+const http = require('http');
+
+const WebhookDispatcher = require("../src/webhook-dispatcher");
+const CryptoHelper = require("../src/crypto-helper");
+
+let deliveries;
+let database = {
+  getWebhooksByIdentifier: () => Promise.resolve([]),
+  recordWebhookDelivery: (id, event, attempt, status, error, payload) => {
+    deliveries.push({ id: id, event: event, attempt: attempt, status: status, error: error });
+    return Promise.resolve(true);
+  },
+};
+
+let responses;
+let requests;
+let server;
+let url;
+
+beforeAll((done) => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body: body });
+      res.statusCode = responses.shift() || 200;
+      res.end();
+    });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    url = 'http://127.0.0.1:' + server.address().port + '/hook';
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  deliveries = [];
+  requests = [];
+  responses = [];
+});
+
+test('sign() is an HMAC of the timestamp and the payload', () => {
+  expect(WebhookDispatcher.sign(1521619200, '{}', 'secret')).toBe(CryptoHelper.hashHex('1521619200.{}', 'secret'));
+  expect(WebhookDispatcher.sign(1521619200, '{}', 'secret')).toMatch(/^[0-9a-f]{64}$/);
+  expect(WebhookDispatcher.sign(1521619200, '{}', 'other')).not.toBe(WebhookDispatcher.sign(1521619200, '{}', 'secret'));
+  expect(WebhookDispatcher.sign(1521619201, '{}', 'secret')).not.toBe(WebhookDispatcher.sign(1521619200, '{}', 'secret'));
+});
+
+test('isPrivateAddress() tests', () => {
+  ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', 'localhost'].forEach((address) => {
+    expect(WebhookDispatcher.isPrivateAddress(address)).toBe(true);
+  });
+  ['93.184.216.34', '172.32.0.1', '2606:2800:220:1::1', '::ffff:93.184.216.34'].forEach((address) => {
+    expect(WebhookDispatcher.isPrivateAddress(address)).toBe(false);
+  });
+});
+
+test('checkUrl() refuses private hosts', () => {
+  return Promise.all([
+    expect(WebhookDispatcher.checkUrl('http://localhost:8080/hook')).rejects.toThrow('Refused private address'),
+    expect(WebhookDispatcher.checkUrl('http://[::1]/hook')).rejects.toThrow('Refused private address'),
+    expect(WebhookDispatcher.checkUrl('http://169.254.169.254/latest')).rejects.toThrow('Refused private address'),
+    expect(WebhookDispatcher.checkUrl('https://93.184.216.34/hook')).resolves.toBe(undefined),
+    expect(WebhookDispatcher.checkUrl(url, true)).resolves.toBe(undefined),
+  ]);
+});
+
+test('deliver() posts a signed payload', () => {
+  let dispatcher = new WebhookDispatcher({ webhook_private_hosts: true }, new EventEmitter(), database);
+  let payload = JSON.stringify({ event: 'manual_meal' });
+  return dispatcher.deliver({ id: 1, url: url, secret: 'secret' }, 'manual_meal', payload, 1).then(() => {
+    expect(requests.length).toBe(1);
+    expect(requests[0].body).toBe(payload);
+    expect(requests[0].headers['x-aln-event']).toBe('manual_meal');
+    let timestamp = +requests[0].headers['x-aln-timestamp'];
+    expect(Math.abs(timestamp - Date.now() / 1000)).toBeLessThan(5);
+    expect(requests[0].headers['x-aln-signature']).toBe('sha256=' + CryptoHelper.hashHex(timestamp + '.' + payload, 'secret'));
+    expect(deliveries).toEqual([{ id: 1, event: 'manual_meal', attempt: 1, status: 200, error: null }]);
+  });
+});
+
+test('deliver() does not reach private hosts', () => {
+  let dispatcher = new WebhookDispatcher({ webhook_retries: 0 }, new EventEmitter(), database);
+  let local = url.replace('127.0.0.1', 'localhost');
+  return dispatcher.deliver({ id: 1, url: local, secret: 'secret' }, 'manual_meal', '{}', 1).then(() => {
+    expect(requests.length).toBe(0);
+    expect(deliveries.length).toBe(1);
+    expect(deliveries[0].status).toBe(null);
+    expect(deliveries[0].error).toMatch(/^Refused private address/);
+  });
+});
+
+test('guardedLookup() checks the address connected to', (done) => {
+  WebhookDispatcher.guardedLookup(false)('localhost', {}, (err, address) => {
+    expect(err.message).toMatch(/^Refused private address/);
+    WebhookDispatcher.guardedLookup(true)('localhost', {}, (err, address) => {
+      expect(err).toBe(null);
+      expect(WebhookDispatcher.isPrivateAddress(address)).toBe(true);
+      done();
+    });
+  });
+});
+
+test('deliver() retries failed deliveries', () => {
+  responses = [500, 503];
+  let dispatcher = new WebhookDispatcher({ webhook_retries: 3, webhook_retry_delay: 1, webhook_private_hosts: true }, new EventEmitter(), database);
+  return dispatcher.deliver({ id: 2, url: url, secret: 'secret' }, 'feed_now', '{}', 1).then(() => {
+    expect(requests.length).toBe(3);
+    expect(deliveries.map((delivery) => delivery.status)).toEqual([500, 503, 200]);
+    expect(deliveries.map((delivery) => delivery.attempt)).toEqual([1, 2, 3]);
+    expect(deliveries[0].error).toBe('Unexpected status 500');
+  });
+});
+
+test('deliver() gives up after the last retry', () => {
+  responses = [500, 500, 500];
+  let dispatcher = new WebhookDispatcher({ webhook_retries: 1, webhook_retry_delay: 1, webhook_private_hosts: true }, new EventEmitter(), database);
+  return dispatcher.deliver({ id: 3, url: url, secret: 'secret' }, 'feed_now', '{}', 1).then(() => {
+    expect(requests.length).toBe(2);
+    expect(deliveries.map((delivery) => delivery.status)).toEqual([500, 500]);
+  });
+});
+
+test('dispatched activities are sent to the feeder webhooks', (done) => {
+  let coordinator = new EventEmitter();
+  let webhooks = Object.assign({}, database, {
+    getWebhooksByIdentifier: (identifier) => Promise.resolve([{ id: 4, feeder: 7, url: url, secret: 'secret' }]),
+    recordWebhookDelivery: () => {
+      expect(requests.length).toBe(1);
+      expect(JSON.parse(requests[0].body)).toEqual({
+        event: 'empty_feeder',
+        feeder: { id: 7, identifier: 'ABC123456789' },
+        date: '2018-03-21T08:00:00.000Z',
+        data: { hours: 8, minutes: 0, amount: 10 },
+      });
+      done();
+      return Promise.resolve(true);
+    },
+  });
+  new WebhookDispatcher({ webhook_private_hosts: true }, coordinator, webhooks);
+  // Not sent to webhooks
+  coordinator.emit('activity', { identifier: 'ABC123456789', type: 'online', date: new Date(), data: {} });
+  coordinator.emit('activity', { identifier: 'ABC123456789', type: 'empty_feeder', date: new Date('2018-03-21T08:00:00Z'), data: { hours: 8, minutes: 0, amount: 10 } });
+});